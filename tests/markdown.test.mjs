@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, stripMarkdown } from '../www/js/core/markdown.js';
+
+test('strips links down to their labels', () => {
+    assert.equal(stripMarkdown('see [docs](https://example.com/a) now'), 'see docs now');
+    assert.equal(stripMarkdown('![cover](https://example.com/cover.png "Cover")'), 'cover');
+    assert.equal(stripMarkdown('[wiki](https://en.wikipedia.org/wiki/Foo_(bar)) end'), 'wiki end');
+    assert.equal(stripMarkdown('[a](https://x.test/(1)) and [b](https://y.test/(2)/c)'), 'a and b');
+});
+
+test('keeps fenced code and strips block markers', () => {
+    assert.equal(stripMarkdown('# Title\n> **bold** [x](https://x.test)\n```\n[raw](keep)\n```'), 'Title\nbold x\n\n[raw](keep)\n');
+});
+
+test('renders inline code inside link labels', () => {
+    assert.equal(
+        renderMarkdown('[`npm test`](https://x.y)', { standalone: true }),
+        '<p><a href="https://x.y"><code>npm test</code></a></p>'
+    );
+    assert.equal(
+        renderMarkdown('[**b** `c`](https://x.y) and `d`', { standalone: true }),
+        '<p><a href="https://x.y"><strong>b</strong> <code>c</code></a> and <code>d</code></p>'
+    );
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { planNotificationWindow } from '../www/js/services/reminder-service.js';
+
+function reminder(id, fields) {
+    return {
+        id,
+        title: id,
+        archived: false,
+        scheduled: false,
+        notificationIds: [],
+        snoozeNotificationId: 0,
+        snoozedUntil: '',
+        repeatWeekdays: [],
+        rrule: '',
+        ...fields
+    };
+}
+
+function countPlanned(planned) {
+    return Array.from(planned.values()).reduce((sum, list) => sum + list.length, 0);
+}
+
+test('fills the notification budget in chronological order', () => {
+    const now = new Date(2026, 9, 19, 10, 30);
+    const dayAt = (offset, hour) => new Date(2026, 9, 19 + offset, hour, 0).toISOString();
+    const custom = reminder('custom', { repeatType: 'custom', rrule: 'FREQ=DAILY', startAt: dayAt(1, 9), dueAt: dayAt(1, 9) });
+    const once = reminder('once', { repeatType: 'once', startAt: dayAt(3, 12), dueAt: dayAt(3, 12) });
+
+    const roomy = planNotificationWindow([custom, once], now, 4);
+    assert.deepEqual(roomy.planned.get('custom'), [dayAt(1, 9), dayAt(2, 9), dayAt(3, 9)]);
+    assert.deepEqual(roomy.planned.get('once'), [dayAt(3, 12)]);
+
+    const tight = planNotificationWindow([custom, once], now, 3);
+    assert.deepEqual(tight.planned.get('custom'), [dayAt(1, 9), dayAt(2, 9), dayAt(3, 9)]);
+    assert.deepEqual(tight.planned.get('once'), []);
+});
+
+test('reserves slots for repeating and snoozed notifications', () => {
+    const now = new Date(2026, 9, 19, 10, 30);
+    const dueAt = offset => new Date(2026, 9, 20 + offset, 9, 0).toISOString();
+    const onceReminders = Array.from({ length: 70 }, (_item, index) => reminder(`once-${index}`, {
+        repeatType: 'once',
+        startAt: dueAt(index),
+        dueAt: dueAt(index)
+    }));
+    const weekly = reminder('weekly', {
+        repeatType: 'weekly',
+        repeatWeekdays: [1, 3, 5],
+        startAt: dueAt(0),
+        dueAt: dueAt(0),
+        scheduled: true,
+        notificationIds: [1, 2, 3]
+    });
+    const snoozed = reminder('snoozed', {
+        repeatType: 'daily',
+        startAt: dueAt(0),
+        dueAt: dueAt(0),
+        snoozeNotificationId: 4,
+        snoozedUntil: new Date(2026, 9, 19, 10, 40).toISOString()
+    });
+    const archived = reminder('archived', { repeatType: 'once', startAt: dueAt(0), dueAt: dueAt(0), archived: true });
+
+    const unbounded = planNotificationWindow(onceReminders, now, 64);
+    assert.equal(unbounded.fixedCount, 0);
+    assert.equal(countPlanned(unbounded.planned), 64);
+    assert.deepEqual(unbounded.planned.get('once-63'), [dueAt(63)]);
+    assert.deepEqual(unbounded.planned.get('once-64'), []);
+
+    const shared = planNotificationWindow([...onceReminders, weekly, snoozed, archived], now, 64);
+    assert.equal(shared.fixedCount, 4);
+    assert.equal(countPlanned(shared.planned), 60);
+    assert.equal(shared.planned.has('archived'), false);
+    assert.deepEqual(shared.planned.get('once-59'), [dueAt(59)]);
+    assert.deepEqual(shared.planned.get('once-60'), []);
+
+    const exhausted = planNotificationWindow([...onceReminders.slice(0, 2), weekly, snoozed], now, 3);
+    assert.equal(countPlanned(exhausted.planned), 0);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReminderText, describeParsedReminder } from '../www/js/services/reminder-parser.js';
+
+const MONDAY_MORNING = new Date(2026, 9, 19, 10, 30);
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatLocal(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function parse(text, now = MONDAY_MORNING) {
+    const parsed = parseReminderText(text, now);
+    return parsed && { ...parsed, dates: parsed.dates.map(formatLocal) };
+}
+
+test('parses the example phrases', () => {
+    assert.deepEqual(parse('明天下午3点开会'), {
+        title: '开会',
+        repeatType: 'once',
+        repeatWeekdays: [],
+        dates: ['2026-10-20 15:00']
+    });
+    assert.deepEqual(parse('每周一三五早上8点跑步'), {
+        title: '跑步',
+        repeatType: 'weekly',
+        repeatWeekdays: [1, 3, 5],
+        dates: ['2026-10-19 08:00']
+    });
+    assert.deepEqual(parse('下个月15号交房租'), {
+        title: '交房租',
+        repeatType: 'once',
+        repeatWeekdays: [],
+        dates: ['2026-11-15 09:00']
+    });
+    assert.deepEqual(parse('每天9点到18点每两小时喝水'), {
+        title: '喝水',
+        repeatType: 'daily',
+        repeatWeekdays: [],
+        dates: ['2026-10-19 09:00', '2026-10-19 11:00', '2026-10-19 13:00', '2026-10-19 15:00', '2026-10-19 17:00']
+    });
+});
+
+test('maps 12 o\'clock according to the period', () => {
+    const cases = {
+        '12点吃饭': '2026-10-19 12:00',
+        '中午12点吃饭': '2026-10-19 12:00',
+        '下午12点吃饭': '2026-10-19 12:00',
+        '凌晨12点关灯': '2026-10-20 00:00',
+        '半夜12点关灯': '2026-10-20 00:00',
+        '晚上12点关灯': '2026-10-20 00:00',
+        '夜里12点关灯': '2026-10-20 00:00',
+        '今晚12点关灯': '2026-10-20 00:00',
+        '明晚12点关灯': '2026-10-21 00:00',
+        '晚上12点半关灯': '2026-10-20 00:30'
+    };
+    Object.entries(cases).forEach(([text, expected]) => {
+        assert.deepEqual(parse(text).dates, [expected], text);
+    });
+    assert.deepEqual(parse('晚上10点到12点每小时巡检').dates, ['2026-10-19 22:00', '2026-10-19 23:00', '2026-10-20 00:00']);
+});
+
+test('rolls month days over the month and year boundary', () => {
+    const december = new Date(2026, 11, 20, 10, 30);
+    assert.deepEqual(parse('15号交电费').dates, ['2026-11-15 09:00']);
+    assert.deepEqual(parse('5号交电费', december).dates, ['2027-01-05 09:00']);
+    assert.deepEqual(parse('下个月3号体检', december).dates, ['2027-01-03 09:00']);
+    assert.deepEqual(parse('3月1号续保', december).dates, ['2027-03-01 09:00']);
+    assert.deepEqual(parse('每月31号还信用卡').dates, ['2026-10-31 09:00']);
+    assert.deepEqual(parse('每月31号还信用卡', new Date(2026, 10, 5, 10, 30)).dates, ['2026-12-31 09:00']);
+    assert.equal(parse('下个月31号交房租'), null);
+});
+
+test('moves past times today to the next matching day', () => {
+    assert.deepEqual(parse('9点开会').dates, ['2026-10-20 09:00']);
+    assert.deepEqual(parse('11点开会').dates, ['2026-10-19 11:00']);
+    assert.deepEqual(parse('10点30分开会').dates, ['2026-10-20 10:30']);
+    assert.deepEqual(parse('周一9点开会').dates, ['2026-10-26 09:00']);
+    assert.deepEqual(parse('今天9点开会').dates, ['2026-10-19 09:00']);
+});
+
+test('returns null for text without a time', () => {
+    assert.equal(parse('买牛奶'), null);
+    assert.equal(parse('明天25点开会'), null);
+});
+
+test('describes the parsed interpretation', () => {
+    assert.equal(
+        describeParsedReminder(parseReminderText('每天9点到18点每两小时喝水', MONDAY_MORNING)),
+        '识别为：「喝水」每天 09:00、11:00、13:00、15:00、17:00，共 5 个提醒'
+    );
+});
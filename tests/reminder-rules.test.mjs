@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseRecurrenceRule,
+    getRuleOccurrences,
+    getFirstRulePeriod,
+    getReminderRecurrenceRule
+} from '../www/js/services/reminder-service.js';
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatLocal(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function occurrences(text, startDate, options) {
+    return getRuleOccurrences(parseRecurrenceRule(text), startDate, options).map(formatLocal);
+}
+
+test('clamps month-end days to the last day of shorter months', () => {
+    const january31 = new Date(2026, 0, 31, 9, 0);
+    const expected = ['2026-01-31 09:00', '2026-02-28 09:00', '2026-03-31 09:00', '2026-04-30 09:00'];
+
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', january31, { limit: 4 }), expected);
+
+    const monthly = getReminderRecurrenceRule({ repeatType: 'monthly', repeatWeekdays: [], startAt: january31.toISOString() });
+    assert.deepEqual(getRuleOccurrences(monthly, january31, { limit: 4 }).map(formatLocal), expected);
+    assert.deepEqual(
+        occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', new Date(2028, 0, 31, 9, 0), { after: new Date(2028, 1, 1), limit: 1 }),
+        ['2028-02-29 09:00']
+    );
+});
+
+test('resolves negative weekday ordinals within each month', () => {
+    assert.deepEqual(
+        occurrences('FREQ=MONTHLY;BYDAY=-1FR', new Date(2026, 9, 1, 18, 0), { limit: 3 }),
+        ['2026-10-30 18:00', '2026-11-27 18:00', '2026-12-25 18:00']
+    );
+    assert.deepEqual(
+        occurrences('FREQ=MONTHLY;BYDAY=-2MO', new Date(2026, 0, 1, 8, 0), { limit: 2 }),
+        ['2026-01-19 08:00', '2026-02-16 08:00']
+    );
+    assert.deepEqual(
+        occurrences('FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO', new Date(2026, 0, 1, 9, 0), { limit: 2 }),
+        ['2026-05-25 09:00', '2027-05-31 09:00']
+    );
+});
+
+test('skips whole intervals before the after date', () => {
+    const weekly = parseRecurrenceRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+    const monday = new Date(2026, 0, 5, 9, 0);
+    const after = new Date(2026, 2, 1, 12, 0);
+    assert.equal(getFirstRulePeriod(weekly, monday, after), 2);
+    assert.deepEqual(
+        getRuleOccurrences(weekly, monday, { after, limit: 2 }).map(formatLocal),
+        ['2026-03-02 09:00', '2026-03-16 09:00']
+    );
+
+    const quarterly = parseRecurrenceRule('FREQ=MONTHLY;INTERVAL=3');
+    const january15 = new Date(2026, 0, 15, 9, 0);
+    assert.equal(getFirstRulePeriod(quarterly, january15, new Date(2026, 7, 20)), 1);
+    assert.deepEqual(
+        getRuleOccurrences(quarterly, january15, { after: new Date(2026, 7, 20), limit: 2 }).map(formatLocal),
+        ['2026-10-15 09:00', '2027-01-15 09:00']
+    );
+    assert.deepEqual(
+        occurrences('FREQ=DAILY;INTERVAL=10', january15, { after: new Date(2026, 0, 25, 9, 0), limit: 1 }),
+        ['2026-02-04 09:00']
+    );
+
+    assert.equal(getFirstRulePeriod(weekly, monday, new Date(2025, 11, 1)), 0);
+    assert.equal(getFirstRulePeriod(weekly, monday, null), 0);
+});
+
+test('stops once COUNT occurrences have been produced', () => {
+    const start = new Date(2026, 0, 1, 9, 0);
+    const rule = parseRecurrenceRule('FREQ=DAILY;COUNT=3');
+
+    assert.deepEqual(getRuleOccurrences(rule, start, { limit: 10 }).map(formatLocal), ['2026-01-01 09:00', '2026-01-02 09:00', '2026-01-03 09:00']);
+    assert.equal(getFirstRulePeriod(rule, start, new Date(2026, 5, 1)), 0);
+    assert.deepEqual(getRuleOccurrences(rule, start, { after: new Date(2026, 0, 2, 10, 0), limit: 10 }).map(formatLocal), ['2026-01-03 09:00']);
+    assert.deepEqual(getRuleOccurrences(rule, start, { after: new Date(2026, 0, 3, 10, 0), limit: 10 }), []);
+    assert.deepEqual(
+        occurrences('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=2', new Date(2026, 0, 31, 9, 0), { after: new Date(2026, 2, 1), limit: 10 }),
+        []
+    );
+});
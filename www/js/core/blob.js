@@ -0,0 +1,43 @@
+﻿export function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+export function dataUrlToBlob(dataUrl) {
+    const raw = String(dataUrl || '');
+    const commaIndex = raw.indexOf(',');
+    if (!isDataUrl(raw) || commaIndex < 0) {
+        throw new Error('Invalid data URL.');
+    }
+
+    const header = raw.slice(5, commaIndex);
+    const payload = raw.slice(commaIndex + 1);
+    const mimeType = header.split(';')[0] || 'application/octet-stream';
+
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(payload)], { type: mimeType });
+    }
+
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index += 1) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+
+    return new Blob([bytes], { type: mimeType });
+}
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onload = event => {
+            resolve(String(event.target?.result || ''));
+        };
+
+        reader.onerror = () => {
+            reject(new Error('Failed to read blob.'));
+        };
+
+        reader.readAsDataURL(blob);
+    });
+}
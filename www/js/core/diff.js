@@ -0,0 +1,58 @@
+﻿const MAX_DIFF_CELLS = 250000;
+
+function splitLines(text) {
+    const normalized = String(text || '').replace(/\r\n?/g, '\n');
+    return normalized ? normalized.split('\n') : [];
+}
+
+export function diffLines(oldText, newText) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+    const rows = oldLines.length;
+    const cols = newLines.length;
+
+    if (rows * cols > MAX_DIFF_CELLS) {
+        return [
+            ...oldLines.map(text => ({ type: 'removed', text })),
+            ...newLines.map(text => ({ type: 'added', text }))
+        ];
+    }
+
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i -= 1) {
+        for (let j = cols - 1; j >= 0; j -= 1) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldLines[i] === newLines[j]) {
+            result.push({ type: 'equal', text: oldLines[i] });
+            i += 1;
+            j += 1;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'removed', text: oldLines[i] });
+            i += 1;
+        } else {
+            result.push({ type: 'added', text: newLines[j] });
+            j += 1;
+        }
+    }
+
+    while (i < rows) {
+        result.push({ type: 'removed', text: oldLines[i] });
+        i += 1;
+    }
+
+    while (j < cols) {
+        result.push({ type: 'added', text: newLines[j] });
+        j += 1;
+    }
+
+    return result;
+}
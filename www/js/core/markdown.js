@@ -0,0 +1,291 @@
+﻿import { escapeHtml } from './dom.js';
+
+const ALLOWED_TAGS = new Set([
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 'a', 'button', 'span'
+]);
+const ALLOWED_ATTRIBUTES = {
+    a: new Set(['class', 'role', 'data-action', 'data-url', 'href']),
+    ol: new Set(['start']),
+    li: new Set(['class']),
+    button: new Set(['type', 'class', 'role', 'aria-checked', 'data-action', 'data-index']),
+    span: new Set(['class'])
+};
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|tel:)/i;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[( |x|X)\]\s+(.*)$/;
+const LINK_PATTERN = /!?\[([^\]]*)\]\(\s*(<[^>]*>|(?:[^\s()]|\([^\s()]*\))+)(?:\s+"[^"]*")?\s*\)/g;
+const PLACEHOLDER = '\u0000';
+
+function renderTag(name, attributes, inner = '') {
+    if (!ALLOWED_TAGS.has(name)) {
+        throw new Error(`Markdown renderer tried to emit <${name}>`);
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES[name] || new Set();
+    const attributeText = Object.entries(attributes || {})
+        .filter(([key, value]) => allowed.has(key) && value !== undefined && value !== '')
+        .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+        .join('');
+
+    if (name === 'br' || name === 'hr') {
+        return `<${name}${attributeText}>`;
+    }
+
+    return `<${name}${attributeText}>${inner}</${name}>`;
+}
+
+export function normalizeLinkUrl(value) {
+    const url = String(value || '').trim().replace(/^<|>$/g, '');
+    if (/^www\./i.test(url)) {
+        return `https://${url}`;
+    }
+
+    return SAFE_URL_PATTERN.test(url) ? url : '';
+}
+
+function renderLink(label, url, standalone) {
+    const safeUrl = normalizeLinkUrl(url);
+    if (!safeUrl) {
+        return label;
+    }
+
+    if (standalone) {
+        return renderTag('a', { href: safeUrl }, label);
+    }
+
+    return renderTag('a', {
+        class: 'note-link',
+        role: 'link',
+        'data-action': 'open-note-link',
+        'data-url': safeUrl
+    }, label);
+}
+
+function applyEmphasis(escaped) {
+    return escaped
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, (_match, inner) => renderTag('strong', null, inner))
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, (_match, inner) => renderTag('strong', null, inner))
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, (_match, inner) => renderTag('del', null, inner))
+        .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, (_match, inner) => renderTag('em', null, inner))
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, (_match, lead, inner) => `${lead}${renderTag('em', null, inner)}`);
+}
+
+function renderInline(text, { allowLinks = true, standalone = false, fragments = null } = {}) {
+    const kept = fragments || [];
+    const keep = html => {
+        kept.push(html);
+        return `${PLACEHOLDER}${kept.length - 1}${PLACEHOLDER}`;
+    };
+
+    let source = fragments ? String(text || '') : String(text || '').replaceAll(PLACEHOLDER, '');
+    source = source.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_match, _ticks, code) => keep(renderTag('code', null, escapeHtml(code.trim()))));
+
+    if (allowLinks) {
+        source = source
+            .replace(LINK_PATTERN, (_match, label, url) => keep(renderLink(renderInline(label, { allowLinks: false, fragments: kept }), url, standalone)))
+            .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/gi, (_match, url) => keep(renderLink(escapeHtml(url), url, standalone)))
+            .replace(/(^|[^\w/])((?:https?:\/\/|www\.)[^\s<>()（）]+[^\s<>()（）.,;:!?，。；：！？])/gi, (_match, lead, url) => `${lead}${keep(renderLink(escapeHtml(url), url, standalone))}`);
+    }
+
+    return applyEmphasis(escapeHtml(source))
+        .replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (_match, index) => kept[Number(index)] || '');
+}
+
+function getIndentWidth(value) {
+    return String(value || '').replace(/\t/g, '    ').length;
+}
+
+function isBlockStart(line) {
+    return FENCE_PATTERN.test(line)
+        || HEADING_PATTERN.test(line)
+        || RULE_PATTERN.test(line)
+        || QUOTE_PATTERN.test(line)
+        || LIST_ITEM_PATTERN.test(line);
+}
+
+export function renderChecklistItem(index, checked, labelHtml, childHtml = '', { standalone = false } = {}) {
+    if (standalone) {
+        return renderTag('li', { class: `task-item${checked ? ' done' : ''}` }, `${renderTag('span', { class: 'task-check' }, checked ? '☑' : '☐')} ${renderTag('span', { class: 'task-label' }, labelHtml)}${childHtml}`);
+    }
+
+    return renderTag('li', { class: `task-item${checked ? ' done' : ''}` }, `${renderTag('button', {
+        type: 'button',
+        class: 'task-check',
+        role: 'checkbox',
+        'aria-checked': checked ? 'true' : 'false',
+        'data-action': 'toggle-checklist-item',
+        'data-index': String(index)
+    }, checked ? '✓' : '')}${renderTag('span', { class: 'task-label' }, labelHtml)}${childHtml}`);
+}
+
+function renderList(items, context) {
+    const first = items[0];
+    const ordered = /\d/.test(first.marker);
+    const baseIndent = first.indent;
+    const html = [];
+    let index = 0;
+
+    while (index < items.length) {
+        const item = items[index];
+        const children = [];
+        index += 1;
+
+        while (index < items.length && items[index].indent > baseIndent) {
+            children.push(items[index]);
+            index += 1;
+        }
+
+        const body = item.lines.map(line => renderInline(line, { standalone: context.standalone })).join(renderTag('br'));
+        const childHtml = children.length > 0 ? renderList(children, context) : '';
+        html.push({
+            checked: Boolean(item.task?.checked),
+            html: item.task
+                ? renderChecklistItem(item.task.index, item.task.checked, body, childHtml, { standalone: context.standalone })
+                : renderTag('li', null, `${body}${childHtml}`)
+        });
+    }
+
+    const ordering = context.sinkCompleted && !ordered
+        ? [...html.filter(entry => !entry.checked), ...html.filter(entry => entry.checked)]
+        : html;
+
+    return renderTag(ordered ? 'ol' : 'ul', {
+        start: ordered && parseInt(first.marker, 10) !== 1 ? String(parseInt(first.marker, 10)) : ''
+    }, ordering.map(entry => entry.html).join(''));
+}
+
+function renderBlocks(lines, context) {
+    const html = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index += 1;
+            continue;
+        }
+
+        if (FENCE_PATTERN.test(line)) {
+            const fence = line.trim().slice(0, 3);
+            const code = [];
+            index += 1;
+            while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+                code.push(lines[index]);
+                index += 1;
+            }
+            index += 1;
+            html.push(renderTag('pre', null, renderTag('code', null, escapeHtml(code.join('\n')))));
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            html.push(renderTag(`h${heading[1].length}`, null, renderInline(heading[2], { standalone: context.standalone })));
+            index += 1;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            html.push(renderTag('hr'));
+            index += 1;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+                quoted.push(lines[index].replace(QUOTE_PATTERN, ''));
+                index += 1;
+            }
+            html.push(renderTag('blockquote', null, renderBlocks(quoted, { ...context, allowTasks: false })));
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const items = [];
+            while (index < lines.length) {
+                const current = lines[index];
+                const match = current.match(LIST_ITEM_PATTERN);
+                const switchesType = match && items.length > 0
+                    && getIndentWidth(match[1]) <= items[0].indent
+                    && /\d/.test(match[2]) !== /\d/.test(items[0].marker);
+                if (switchesType) {
+                    break;
+                }
+
+                if (match) {
+                    const task = context.allowTasks && !/\d/.test(match[2]) ? match[3].match(TASK_PATTERN) : null;
+                    items.push({
+                        indent: getIndentWidth(match[1]),
+                        marker: match[2],
+                        lines: [task ? task[2] : match[3]],
+                        task: task ? { checked: task[1] !== ' ', index: context.taskIndex++ } : null
+                    });
+                } else if (current.trim() && /^\s+/.test(current) && !isBlockStart(current)) {
+                    items[items.length - 1].lines.push(current.trim());
+                } else {
+                    break;
+                }
+                index += 1;
+            }
+            html.push(renderList(items, context));
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !isBlockStart(lines[index]))) {
+            paragraph.push(lines[index].trim());
+            index += 1;
+        }
+        html.push(renderTag('p', null, paragraph.map(item => renderInline(item, { standalone: context.standalone })).join(renderTag('br'))));
+    }
+
+    return html.join('');
+}
+
+export function renderMarkdown(text, { sinkCompleted = false, standalone = false } = {}) {
+    const source = String(text || '').replace(/\r\n?/g, '\n');
+    return renderBlocks(source.split('\n'), { allowTasks: true, sinkCompleted, standalone, taskIndex: 0 });
+}
+
+export function stripMarkdown(text) {
+    let inFence = false;
+
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => {
+            if (FENCE_PATTERN.test(line)) {
+                inFence = !inFence;
+                return '';
+            }
+
+            if (inFence) {
+                return line;
+            }
+
+            if (RULE_PATTERN.test(line)) {
+                return '';
+            }
+
+            return line
+                .replace(HEADING_PATTERN, '$2')
+                .replace(/^(\s{0,3}>\s?)+/, '')
+                .replace(/^\s*[-*+]\s+\[( |x|X)\]\s+/, '')
+                .replace(/^\s*([-*+]|\d{1,9}[.)])\s+/, '')
+                .replace(LINK_PATTERN, '$1')
+                .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/gi, '$1')
+                .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, '$2')
+                .replace(/(\*\*|__|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+                .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '$1')
+                .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1$2');
+        })
+        .join('\n');
+}
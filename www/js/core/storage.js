@@ -1,4 +1,30 @@
-﻿const memoryStore = new Map();
+﻿import { isDataUrl, dataUrlToBlob, blobToDataUrl } from './blob.js';
+
+const memoryStore = new Map();
+
+export class StorageQuotaError extends Error {
+    constructor(key, cause) {
+        super(`Storage quota exceeded while writing "${key}".`);
+        this.name = 'StorageQuotaError';
+        this.key = key;
+        this.cause = cause;
+    }
+}
+
+function isQuotaExceededError(error) {
+    if (!error) {
+        return false;
+    }
+
+    return error.name === 'QuotaExceededError'
+        || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22
+        || error.code === 1014;
+}
+
+function toWriteError(key, error) {
+    return isQuotaExceededError(error) ? new StorageQuotaError(key, error) : error;
+}
 
 function hasLocalStorage() {
     try {
@@ -17,12 +43,24 @@ function readRaw(key) {
 
 function writeRaw(key, value) {
     if (hasLocalStorage()) {
-        window.localStorage.setItem(key, value);
+        try {
+            window.localStorage.setItem(key, value);
+        } catch (error) {
+            throw toWriteError(key, error);
+        }
         return;
     }
     memoryStore.set(key, value);
 }
 
+function listRawKeys() {
+    if (hasLocalStorage()) {
+        return Array.from({ length: window.localStorage.length }, (_item, index) => window.localStorage.key(index))
+            .filter(Boolean);
+    }
+    return Array.from(memoryStore.keys());
+}
+
 export function readJSON(key, fallbackValue) {
     const raw = readRaw(key);
     if (raw === null || raw === undefined) {
@@ -56,3 +94,530 @@ export function removeKey(key) {
     }
     memoryStore.delete(key);
 }
+
+const DB_NAME = 'jeff_toolbox';
+const DB_VERSION = 1;
+const VALUE_STORE = 'values';
+const BLOB_STORE = 'blobs';
+const LEGACY_MIGRATION_KEY = 'jeff_toolbox_legacy_migrated';
+const BLOB_FALLBACK_PREFIX = 'jeff_toolbox_blob:';
+const LEGACY_KEYS = [
+    { key: 'jeff_toolbox_notes_v1', type: 'json' },
+    { key: 'jeff_toolbox_reminders_v1', type: 'json' },
+    { key: 'jeff_toolbox_start_time', type: 'text' }
+];
+
+const SCHEMA_VERSIONS_KEY = 'jeff_toolbox_schema_versions';
+const BACKUP_KEY_SEPARATOR = '__backup_v';
+const collectionRegistry = new Map();
+
+let storageReady = null;
+let migrationsReady = null;
+
+export class StorageMigrationError extends Error {
+    constructor(collectionName, fromVersion, toVersion, cause) {
+        const reason = cause?.message || String(cause || 'unknown error');
+        super(`Migration of "${collectionName}" from v${fromVersion} to v${toVersion} failed: ${reason}`);
+        this.name = 'StorageMigrationError';
+        this.collectionName = collectionName;
+        this.fromVersion = fromVersion;
+        this.toVersion = toVersion;
+        this.cause = cause;
+    }
+}
+
+function hasIndexedDB() {
+    try {
+        return typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+    } catch (_error) {
+        return false;
+    }
+}
+
+function openDatabase() {
+    return new Promise(resolve => {
+        if (!hasIndexedDB()) {
+            resolve(null);
+            return;
+        }
+
+        let request = null;
+        try {
+            request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (error) {
+            console.warn('IndexedDB open failed:', error);
+            resolve(null);
+            return;
+        }
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(VALUE_STORE)) {
+                db.createObjectStore(VALUE_STORE);
+            }
+            if (!db.objectStoreNames.contains(BLOB_STORE)) {
+                db.createObjectStore(BLOB_STORE);
+            }
+        };
+
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            console.warn('IndexedDB open failed:', request.error);
+            resolve(null);
+        };
+
+        request.onblocked = () => {
+            console.warn('IndexedDB open blocked by another connection.');
+        };
+    });
+}
+
+function runTransaction(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        let result;
+
+        if (request) {
+            request.onsuccess = () => {
+                result = request.result;
+            };
+        }
+
+        transaction.oncomplete = () => {
+            resolve(result);
+        };
+
+        transaction.onerror = () => {
+            reject(transaction.error || request?.error || new Error('IndexedDB transaction failed.'));
+        };
+
+        transaction.onabort = () => {
+            reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+        };
+    });
+}
+
+function parseLegacyValue(raw, type) {
+    if (type === 'text') {
+        return raw;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (_error) {
+        return undefined;
+    }
+}
+
+function clearLegacyKeys() {
+    LEGACY_KEYS
+        .filter(({ key }) => readRaw(key) !== null)
+        .forEach(({ key }) => {
+            try {
+                removeKey(key);
+            } catch (error) {
+                console.warn(`Failed to clear legacy key ${key}:`, error);
+            }
+        });
+}
+
+async function migrateLegacyStorage(db) {
+    const migratedAt = await runTransaction(db, VALUE_STORE, 'readonly', store => store.get(LEGACY_MIGRATION_KEY));
+    if (migratedAt) {
+        clearLegacyKeys();
+        return;
+    }
+
+    const entries = LEGACY_KEYS
+        .map(({ key, type }) => {
+            const raw = readRaw(key);
+            return {
+                key,
+                value: raw === null || raw === undefined ? undefined : parseLegacyValue(raw, type)
+            };
+        })
+        .filter(entry => entry.value !== undefined);
+
+    await runTransaction(db, VALUE_STORE, 'readwrite', store => {
+        entries.forEach(entry => {
+            store.put(entry.value, entry.key);
+        });
+        return store.put(new Date().toISOString(), LEGACY_MIGRATION_KEY);
+    });
+}
+
+export function initStorage() {
+    if (!storageReady) {
+        storageReady = openDatabase().then(async db => {
+            if (!db) {
+                return null;
+            }
+
+            try {
+                await migrateLegacyStorage(db);
+                return db;
+            } catch (error) {
+                console.warn('Legacy storage migration failed, keep using localStorage:', error);
+                db.close();
+                return null;
+            }
+        });
+    }
+
+    return storageReady;
+}
+
+export async function readValue(key, fallbackValue) {
+    const db = await initStorage();
+    if (!db) {
+        return readJSON(key, fallbackValue);
+    }
+
+    const value = await runTransaction(db, VALUE_STORE, 'readonly', store => store.get(key));
+    return value === undefined ? fallbackValue : value;
+}
+
+export async function writeValue(key, value) {
+    const db = await initStorage();
+    if (!db) {
+        writeJSON(key, value);
+        return;
+    }
+
+    try {
+        await runTransaction(db, VALUE_STORE, 'readwrite', store => store.put(value, key));
+    } catch (error) {
+        throw toWriteError(key, error);
+    }
+}
+
+export async function removeValue(key) {
+    const db = await initStorage();
+    if (!db) {
+        removeKey(key);
+        return;
+    }
+
+    await runTransaction(db, VALUE_STORE, 'readwrite', store => store.delete(key));
+}
+
+export async function readBlob(blobId) {
+    const db = await initStorage();
+    if (!db) {
+        const dataUrl = readText(`${BLOB_FALLBACK_PREFIX}${blobId}`, '');
+        return isDataUrl(dataUrl) ? dataUrlToBlob(dataUrl) : null;
+    }
+
+    const blob = await runTransaction(db, BLOB_STORE, 'readonly', store => store.get(blobId));
+    return blob instanceof Blob ? blob : null;
+}
+
+export async function writeBlob(blobId, blob) {
+    const db = await initStorage();
+    if (!db) {
+        writeText(`${BLOB_FALLBACK_PREFIX}${blobId}`, await blobToDataUrl(blob));
+        return;
+    }
+
+    try {
+        await runTransaction(db, BLOB_STORE, 'readwrite', store => store.put(blob, blobId));
+    } catch (error) {
+        throw toWriteError(blobId, error);
+    }
+}
+
+export async function removeBlob(blobId) {
+    const db = await initStorage();
+    if (!db) {
+        removeKey(`${BLOB_FALLBACK_PREFIX}${blobId}`);
+        return;
+    }
+
+    await runTransaction(db, BLOB_STORE, 'readwrite', store => store.delete(blobId));
+}
+
+export async function listBlobSizes() {
+    const db = await initStorage();
+    const sizes = new Map();
+
+    if (!db) {
+        listRawKeys()
+            .filter(key => key.startsWith(BLOB_FALLBACK_PREFIX))
+            .forEach(key => {
+                sizes.set(key.slice(BLOB_FALLBACK_PREFIX.length), measureValueBytes(readText(key, '')));
+            });
+        return sizes;
+    }
+
+    await runTransaction(db, BLOB_STORE, 'readonly', store => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                return;
+            }
+
+            sizes.set(String(cursor.key), cursor.value instanceof Blob ? cursor.value.size : 0);
+            cursor.continue();
+        };
+    });
+
+    return sizes;
+}
+
+function measureValueBytes(value) {
+    if (value === undefined) {
+        return 0;
+    }
+
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    return new TextEncoder().encode(serialized).length;
+}
+
+function cloneFallback(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getCollectionDefinition(name) {
+    const definition = collectionRegistry.get(name);
+    if (!definition) {
+        throw new Error(`Unknown storage collection: ${name}`);
+    }
+    return definition;
+}
+
+export function defineCollection(name, {
+    key,
+    label = name,
+    version = 1,
+    fallbackValue = [],
+    legacyKeys = [],
+    migrations = []
+}) {
+    const sortedMigrations = [...migrations].sort((a, b) => a.version - b.version);
+    const latestStep = sortedMigrations[sortedMigrations.length - 1];
+    if (latestStep && latestStep.version > version) {
+        throw new Error(`Collection "${name}" declares v${version} but has a step to v${latestStep.version}`);
+    }
+
+    collectionRegistry.set(name, {
+        name,
+        key,
+        label,
+        version,
+        fallbackValue,
+        legacyKeys,
+        migrations: sortedMigrations
+    });
+}
+
+export function listCollections() {
+    return Array.from(collectionRegistry.values()).map(({ name, label, version }) => ({ name, label, version }));
+}
+
+export function getCollectionBackupKey(name, fromVersion) {
+    return `${getCollectionDefinition(name).key}${BACKUP_KEY_SEPARATOR}${fromVersion}`;
+}
+
+async function readCollectionSource(definition) {
+    const current = await readValue(definition.key, undefined);
+    if (current !== undefined) {
+        return { sourceKey: definition.key, data: current };
+    }
+
+    for (const legacyKey of definition.legacyKeys) {
+        const legacy = await readValue(legacyKey, undefined);
+        if (legacy !== undefined) {
+            return { sourceKey: legacyKey, data: legacy };
+        }
+    }
+
+    return { sourceKey: definition.key, data: undefined };
+}
+
+function createNewerVersionError(definition, fromVersion) {
+    return new StorageMigrationError(
+        definition.name,
+        fromVersion,
+        definition.version,
+        new Error('stored data is newer than this app version')
+    );
+}
+
+async function applyMigrationSteps(definition, data, fromVersion) {
+    let upgraded = data;
+    for (const step of definition.migrations) {
+        if (step.version <= fromVersion || step.version > definition.version) {
+            continue;
+        }
+
+        try {
+            upgraded = await step.migrate(upgraded);
+        } catch (error) {
+            throw new StorageMigrationError(definition.name, fromVersion, step.version, error);
+        }
+    }
+
+    return upgraded;
+}
+
+export async function upgradeCollectionData(name, data, fromVersion) {
+    const definition = getCollectionDefinition(name);
+    const version = Number(fromVersion) || 1;
+    if (version > definition.version) {
+        throw createNewerVersionError(definition, version);
+    }
+
+    return applyMigrationSteps(definition, data, version);
+}
+
+async function migrateCollection(definition, versions) {
+    const { sourceKey, data } = await readCollectionSource(definition);
+    if (data === undefined) {
+        versions[definition.name] = definition.version;
+        return null;
+    }
+
+    const fromVersion = Number(versions[definition.name]) || 1;
+    if (fromVersion === definition.version && sourceKey === definition.key) {
+        versions[definition.name] = fromVersion;
+        return null;
+    }
+
+    if (fromVersion > definition.version) {
+        throw createNewerVersionError(definition, fromVersion);
+    }
+
+    const backupKey = getCollectionBackupKey(definition.name, fromVersion);
+    await writeValue(backupKey, data);
+
+    const upgraded = await applyMigrationSteps(definition, data, fromVersion);
+    await writeValue(definition.key, upgraded);
+    if (sourceKey !== definition.key) {
+        await removeValue(sourceKey);
+    }
+
+    versions[definition.name] = definition.version;
+    return {
+        name: definition.name,
+        label: definition.label,
+        fromVersion,
+        toVersion: definition.version,
+        backupKey
+    };
+}
+
+export function runMigrations() {
+    if (!migrationsReady) {
+        migrationsReady = (async () => {
+            const versions = { ...(await readValue(SCHEMA_VERSIONS_KEY, {})) };
+            const migrated = [];
+            const failures = [];
+
+            for (const definition of collectionRegistry.values()) {
+                try {
+                    const result = await migrateCollection(definition, versions);
+                    if (result) {
+                        migrated.push(result);
+                    }
+                } catch (error) {
+                    console.warn(`Storage migration for ${definition.name} failed:`, error);
+                    failures.push({
+                        name: definition.name,
+                        label: definition.label,
+                        error: error instanceof StorageMigrationError
+                            ? error
+                            : new StorageMigrationError(definition.name, versions[definition.name] || 1, definition.version, error)
+                    });
+                }
+            }
+
+            await writeValue(SCHEMA_VERSIONS_KEY, versions);
+            return { migrated, failures };
+        })().catch(error => {
+            migrationsReady = null;
+            throw error;
+        });
+    }
+
+    return migrationsReady;
+}
+
+async function assertCollectionMigrated(name) {
+    const { failures } = await runMigrations();
+    const failure = failures.find(item => item.name === name);
+    if (failure) {
+        throw failure.error;
+    }
+}
+
+export async function readCollection(name) {
+    const definition = getCollectionDefinition(name);
+    await assertCollectionMigrated(name);
+    return readValue(definition.key, cloneFallback(definition.fallbackValue));
+}
+
+export async function writeCollection(name, value) {
+    const definition = getCollectionDefinition(name);
+    await assertCollectionMigrated(name);
+    await writeValue(definition.key, value);
+}
+
+export async function resetCollection(name) {
+    await writeCollection(name, cloneFallback(getCollectionDefinition(name).fallbackValue));
+}
+
+async function estimateDeviceStorage() {
+    if (typeof navigator === 'undefined' || typeof navigator.storage?.estimate !== 'function') {
+        return null;
+    }
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return {
+            usage: Number(usage) || 0,
+            quota: Number(quota) || 0
+        };
+    } catch (error) {
+        console.warn('Storage estimate failed:', error);
+        return null;
+    }
+}
+
+export function countCollectionItems(value) {
+    if (Array.isArray(value)) {
+        return value.length;
+    }
+
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+}
+
+export async function getStorageUsage() {
+    const collections = [];
+    for (const definition of collectionRegistry.values()) {
+        const value = await readValue(definition.key, undefined);
+        collections.push({
+            name: definition.name,
+            label: definition.label,
+            count: countCollectionItems(value),
+            bytes: measureValueBytes(value)
+        });
+    }
+
+    const blobSizes = await listBlobSizes();
+    const blobBytes = Array.from(blobSizes.values()).reduce((total, size) => total + size, 0);
+    const collectionBytes = collections.reduce((total, item) => total + item.bytes, 0);
+
+    return {
+        collections,
+        blobSizes,
+        blobCount: blobSizes.size,
+        blobBytes,
+        totalBytes: collectionBytes + blobBytes,
+        device: await estimateDeviceStorage()
+    };
+}
@@ -0,0 +1,279 @@
+﻿import {
+    listCollections,
+    readCollection,
+    writeCollection,
+    resetCollection,
+    runMigrations,
+    upgradeCollectionData,
+    countCollectionItems,
+    listBlobSizes,
+    readBlob,
+    writeBlob,
+    removeBlob
+} from '../core/storage.js';
+import { isDataUrl, dataUrlToBlob, blobToDataUrl } from '../core/blob.js';
+import { releaseNoteImageUrls } from './notes-service.js';
+import { isNoteDraftBlobId } from './draft-service.js';
+import { getAllReminders, rescheduleAllReminders } from './reminder-service.js';
+
+const BACKUP_FORMAT = 'jeff-toolbox-backup';
+const BACKUP_VERSION = 1;
+
+function getItemTimestamp(item) {
+    const time = new Date(item?.updatedAt || item?.createdAt || 0).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeById(existing, incoming) {
+    if (isPlainObject(existing) && isPlainObject(incoming)) {
+        return { ...incoming, ...existing };
+    }
+
+    if (!Array.isArray(existing) || !Array.isArray(incoming)) {
+        return incoming;
+    }
+
+    const merged = new Map(existing.map(item => [String(item?.id || ''), item]));
+    incoming.forEach(item => {
+        const id = String(item?.id || '');
+        if (!id) {
+            return;
+        }
+
+        const current = merged.get(id);
+        if (!current || getItemTimestamp(item) > getItemTimestamp(current)) {
+            merged.set(id, item);
+        }
+    });
+
+    return Array.from(merged.values());
+}
+
+export async function createBackupArchive() {
+    const collections = {};
+    for (const { name, version } of listCollections()) {
+        collections[name] = {
+            schemaVersion: version,
+            data: await readCollection(name)
+        };
+    }
+
+    const blobs = {};
+    const blobSizes = await listBlobSizes();
+    for (const blobId of blobSizes.keys()) {
+        if (isNoteDraftBlobId(blobId)) {
+            continue;
+        }
+
+        const blob = await readBlob(blobId);
+        if (blob) {
+            blobs[blobId] = await blobToDataUrl(blob);
+        }
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        collections,
+        blobs
+    };
+}
+
+export async function exportBackupText() {
+    const archive = await createBackupArchive();
+    return JSON.stringify(archive);
+}
+
+export function parseBackupArchive(text) {
+    let archive = null;
+    try {
+        archive = JSON.parse(String(text || ''));
+    } catch (_error) {
+        throw new Error('备份文件不是有效的 JSON');
+    }
+
+    if (!archive || archive.format !== BACKUP_FORMAT) {
+        throw new Error('不是 Jeff的工具箱 的备份文件');
+    }
+
+    const version = Number(archive.version);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('备份文件缺少版本号');
+    }
+
+    if (version > BACKUP_VERSION) {
+        throw new Error('备份文件来自更新版本的应用，请先升级');
+    }
+
+    if (!archive.collections || typeof archive.collections !== 'object') {
+        throw new Error('备份文件缺少数据集合');
+    }
+
+    const blobs = archive.blobs && typeof archive.blobs === 'object' ? archive.blobs : {};
+    const invalidBlobId = Object.keys(blobs).find(blobId => !isDataUrl(blobs[blobId]));
+    if (invalidBlobId) {
+        throw new Error(`附件 ${invalidBlobId} 数据已损坏`);
+    }
+
+    const knownCollections = listCollections();
+    knownCollections.forEach(({ name, label, version: currentVersion }) => {
+        const entry = archive.collections[name];
+        if (!entry) {
+            return;
+        }
+
+        if (Number(entry.schemaVersion) > currentVersion) {
+            throw new Error(`「${label}」数据版本高于当前应用，请先升级`);
+        }
+
+        if (!Array.isArray(entry.data) && !isPlainObject(entry.data)) {
+            throw new Error(`「${label}」数据格式不正确`);
+        }
+    });
+
+    return {
+        ...archive,
+        blobs
+    };
+}
+
+export async function previewBackupArchive(archive) {
+    const collections = [];
+    for (const { name, label } of listCollections()) {
+        const entry = archive.collections[name];
+        const existing = await readCollection(name);
+        collections.push({
+            name,
+            label,
+            incoming: countCollectionItems(entry?.data),
+            existing: countCollectionItems(existing)
+        });
+    }
+
+    return {
+        createdAt: archive.createdAt,
+        collections,
+        blobCount: Object.keys(archive.blobs).length
+    };
+}
+
+async function planCollectionRestore(archive, replace) {
+    const { failures } = await runMigrations();
+    const plans = [];
+
+    for (const { name, label } of listCollections()) {
+        const entry = archive.collections[name];
+        if (!entry && !replace) {
+            continue;
+        }
+
+        const failure = failures.find(item => item.name === name);
+        if (failure) {
+            throw failure.error;
+        }
+
+        const previous = await readCollection(name);
+        if (!entry) {
+            plans.push({ name, label, previous, reset: true, count: 0 });
+            continue;
+        }
+
+        const incoming = await upgradeCollectionData(name, entry.data, entry.schemaVersion);
+        const nextValue = replace ? incoming : mergeById(previous, incoming);
+        plans.push({ name, label, previous, nextValue, count: countCollectionItems(nextValue) });
+    }
+
+    return plans;
+}
+
+async function rollbackRestore(writtenPlans, writtenBlobIds, overwrittenBlobs) {
+    for (const { name, previous } of [...writtenPlans].reverse()) {
+        try {
+            await writeCollection(name, previous);
+        } catch (error) {
+            console.warn(`Failed to roll back collection ${name}:`, error);
+        }
+    }
+
+    for (const blobId of writtenBlobIds) {
+        try {
+            const previous = overwrittenBlobs.get(blobId);
+            if (previous) {
+                await writeBlob(blobId, previous);
+            } else {
+                await removeBlob(blobId);
+            }
+        } catch (error) {
+            console.warn(`Failed to roll back attachment ${blobId}:`, error);
+        }
+    }
+}
+
+export async function restoreBackupArchive(archive, { mode = 'merge' } = {}, notifier = {}) {
+    const replace = mode === 'replace';
+    const previousReminders = await getAllReminders();
+    const previousNotificationIds = previousReminders
+        .flatMap(reminder => [...reminder.notificationIds, reminder.snoozeNotificationId])
+        .filter(Boolean);
+
+    const plans = await planCollectionRestore(archive, replace);
+    const existingBlobIds = new Set((await listBlobSizes()).keys());
+    const incomingBlobIds = Object.keys(archive.blobs)
+        .filter(blobId => !isNoteDraftBlobId(blobId) && (replace || !existingBlobIds.has(blobId)));
+    const overwrittenBlobs = new Map();
+    for (const blobId of incomingBlobIds) {
+        if (existingBlobIds.has(blobId)) {
+            overwrittenBlobs.set(blobId, await readBlob(blobId));
+        }
+    }
+
+    const writtenBlobIds = [];
+    const writtenPlans = [];
+    try {
+        for (const blobId of incomingBlobIds) {
+            await writeBlob(blobId, dataUrlToBlob(archive.blobs[blobId]));
+            writtenBlobIds.push(blobId);
+        }
+
+        for (const plan of plans) {
+            if (plan.reset) {
+                await resetCollection(plan.name);
+            } else {
+                await writeCollection(plan.name, plan.nextValue);
+            }
+            writtenPlans.push(plan);
+        }
+    } catch (error) {
+        await rollbackRestore(writtenPlans, writtenBlobIds, overwrittenBlobs);
+        throw error;
+    } finally {
+        releaseNoteImageUrls();
+    }
+
+    if (replace) {
+        for (const blobId of existingBlobIds) {
+            if (!(blobId in archive.blobs) && !isNoteDraftBlobId(blobId)) {
+                try {
+                    await removeBlob(blobId);
+                } catch (error) {
+                    console.warn(`Failed to remove attachment ${blobId}:`, error);
+                }
+            }
+        }
+    }
+
+    if (typeof notifier.cancel === 'function' && previousNotificationIds.length > 0) {
+        await notifier.cancel(previousNotificationIds);
+    }
+
+    const reminders = await rescheduleAllReminders(notifier);
+    return {
+        restored: plans.map(({ name, label, count }) => ({ name, label, count })),
+        reminders
+    };
+}
@@ -1,22 +1,36 @@
 ﻿import { getPlugins } from './capacitor-bridge.js';
-import { readText, writeText } from '../core/storage.js';
+import { readValue, writeValue } from '../core/storage.js';
 
 const APP_START_KEY = 'jeff_toolbox_start_time';
 
 let networkListener = null;
+let notificationTapListener = null;
 
-function ensureAppStartTime() {
-    const existing = Number(readText(APP_START_KEY, '0'));
+const REMINDER_ACTION_TYPE_ID = 'reminder-actions';
+
+export const REMINDER_NOTIFICATION_ACTIONS = {
+    complete: 'reminder-complete',
+    snooze: 'reminder-snooze'
+};
+let appStartTime = 0;
+
+async function ensureAppStartTime() {
+    if (appStartTime > 0) {
+        return appStartTime;
+    }
+
+    const existing = Number(await readValue(APP_START_KEY, 0));
     if (existing > 0) {
-        return existing;
+        appStartTime = existing;
+        return appStartTime;
     }
 
-    const now = Date.now();
-    writeText(APP_START_KEY, String(now));
-    return now;
+    appStartTime = Date.now();
+    await writeValue(APP_START_KEY, appStartTime);
+    return appStartTime;
 }
 
-function getUptimeText(startTime = ensureAppStartTime()) {
+function getUptimeText(startTime = appStartTime || Date.now()) {
     const elapsedMs = Math.max(0, Date.now() - startTime);
     const seconds = Math.floor(elapsedMs / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -54,7 +68,7 @@ function toNetworkText(connectionType, connected) {
 }
 
 export async function initDeviceService() {
-    ensureAppStartTime();
+    await ensureAppStartTime();
     const { LocalNotifications } = getPlugins();
 
     if (LocalNotifications && typeof LocalNotifications.requestPermissions === 'function') {
@@ -64,6 +78,24 @@ export async function initDeviceService() {
             console.warn('Local notification permission request failed:', error);
         }
     }
+
+    if (LocalNotifications && typeof LocalNotifications.registerActionTypes === 'function') {
+        try {
+            await LocalNotifications.registerActionTypes({
+                types: [
+                    {
+                        id: REMINDER_ACTION_TYPE_ID,
+                        actions: [
+                            { id: REMINDER_NOTIFICATION_ACTIONS.complete, title: '完成' },
+                            { id: REMINDER_NOTIFICATION_ACTIONS.snooze, title: '稍后提醒' }
+                        ]
+                    }
+                ]
+            });
+        } catch (error) {
+            console.warn('Notification action registration failed:', error);
+        }
+    }
 }
 
 export async function getDeviceSnapshot() {
@@ -170,6 +202,43 @@ export async function removeNetworkStatusListener() {
     }
 }
 
+export async function addReminderNotificationTapListener(callback) {
+    const { LocalNotifications } = getPlugins();
+    if (!LocalNotifications || typeof LocalNotifications.addListener !== 'function') {
+        return;
+    }
+
+    await removeReminderNotificationTapListener();
+
+    try {
+        notificationTapListener = await LocalNotifications.addListener('localNotificationActionPerformed', event => {
+            const extra = event?.notification?.extra || {};
+            callback({
+                notificationId: Number(event?.notification?.id) || 0,
+                reminderId: String(extra.reminderId || ''),
+                noteId: String(extra.noteId || ''),
+                actionId: String(event?.actionId || 'tap')
+            });
+        });
+    } catch (error) {
+        console.warn('Failed to add notification listener:', error);
+    }
+}
+
+export async function removeReminderNotificationTapListener() {
+    if (!notificationTapListener) {
+        return;
+    }
+
+    try {
+        await notificationTapListener.remove();
+    } catch (error) {
+        console.warn('Failed to remove notification listener:', error);
+    } finally {
+        notificationTapListener = null;
+    }
+}
+
 export function refreshUptime(snapshot) {
     if (!snapshot) {
         return snapshot;
@@ -296,8 +365,22 @@ function buildRecurringNotifications({
     dueAt,
     startAt,
     repeatType,
-    repeatWeekdays
+    repeatWeekdays,
+    occurrences
 }) {
+    if (Array.isArray(occurrences)) {
+        const safeIds = normalizeNotificationIdList(notificationIds, 0, occurrences.length);
+        return occurrences.map((occurrence, index) => ({
+            id: safeIds[index],
+            title,
+            body,
+            schedule: {
+                at: new Date(occurrence)
+            },
+            sound: 'default'
+        }));
+    }
+
     const parsedDueAt = new Date(dueAt);
     const dueAtDate = Number.isNaN(parsedDueAt.getTime()) ? new Date() : parsedDueAt;
 
@@ -409,7 +492,9 @@ export async function scheduleReminderNotification({
     dueAt,
     startAt,
     repeatType,
-    repeatWeekdays
+    repeatWeekdays,
+    occurrences = null,
+    extra = null
 }) {
     const { LocalNotifications } = getPlugins();
     if (!LocalNotifications || typeof LocalNotifications.schedule !== 'function') {
@@ -431,8 +516,20 @@ export async function scheduleReminderNotification({
             dueAt,
             startAt,
             repeatType,
-            repeatWeekdays
-        });
+            repeatWeekdays,
+            occurrences
+        }).map(item => ({
+            ...item,
+            actionTypeId: REMINDER_ACTION_TYPE_ID,
+            ...(extra ? { extra } : {})
+        }));
+
+        if (notifications.length === 0) {
+            return {
+                scheduled: false,
+                notificationIds: normalizeNotificationIdList(notificationIds, notificationId, 1)
+            };
+        }
 
         await LocalNotifications.schedule({ notifications });
         return {
@@ -448,6 +545,21 @@ export async function scheduleReminderNotification({
     }
 }
 
+export async function getPendingNotificationCount() {
+    const { LocalNotifications } = getPlugins();
+    if (!LocalNotifications || typeof LocalNotifications.getPending !== 'function') {
+        return null;
+    }
+
+    try {
+        const result = await LocalNotifications.getPending();
+        return Array.isArray(result?.notifications) ? result.notifications.length : 0;
+    } catch (error) {
+        console.warn('Pending notification lookup failed:', error);
+        return null;
+    }
+}
+
 export async function cancelReminderNotification(notificationIdsOrSingle) {
     const notificationIds = Array.isArray(notificationIdsOrSingle)
         ? notificationIdsOrSingle
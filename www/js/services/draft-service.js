@@ -0,0 +1,201 @@
+﻿import { readValue, writeValue, removeValue, readBlob, writeBlob, removeBlob } from '../core/storage.js';
+
+const NOTE_DRAFT_KEY = 'jeff_toolbox_note_draft';
+const NOTE_DRAFT_SHADOW_KEY = 'jeff_toolbox_note_draft_shadow';
+const DRAFT_BLOB_PREFIX = 'note-draft-';
+const draftBlobIds = new WeakMap();
+const storedBlobIds = {
+    [NOTE_DRAFT_KEY]: new Set(),
+    [NOTE_DRAFT_SHADOW_KEY]: new Set()
+};
+
+function getDraftKey(shadow) {
+    return shadow ? NOTE_DRAFT_SHADOW_KEY : NOTE_DRAFT_KEY;
+}
+
+function getOtherDraftKey(key) {
+    return key === NOTE_DRAFT_KEY ? NOTE_DRAFT_SHADOW_KEY : NOTE_DRAFT_KEY;
+}
+
+export function isNoteDraftBlobId(blobId) {
+    return String(blobId || '').startsWith(DRAFT_BLOB_PREFIX);
+}
+
+function getDraftBlobId(blob) {
+    if (!draftBlobIds.has(blob)) {
+        draftBlobIds.set(blob, `${DRAFT_BLOB_PREFIX}${Date.now()}-${Math.floor(Math.random() * 10000)}`);
+    }
+    return draftBlobIds.get(blob);
+}
+
+async function storeDraftBlob(blob, key) {
+    const blobId = getDraftBlobId(blob);
+    if (!storedBlobIds[key].has(blobId)) {
+        if (!storedBlobIds[getOtherDraftKey(key)].has(blobId)) {
+            await writeBlob(blobId, blob);
+        }
+        storedBlobIds[key].add(blobId);
+    }
+    return blobId;
+}
+
+function collectDraftBlobIds(draft) {
+    return (draft?.attachments || []).flatMap(item => [item?.blobId, item?.thumbId].filter(Boolean));
+}
+
+async function removeDraftBlobs(blobIds, key) {
+    const otherKey = getOtherDraftKey(key);
+    const shared = new Set([
+        ...storedBlobIds[otherKey],
+        ...collectDraftBlobIds(normalizeDraft(await readValue(otherKey, null)))
+    ]);
+
+    for (const blobId of blobIds) {
+        storedBlobIds[key].delete(blobId);
+        if (!shared.has(blobId)) {
+            await removeBlob(blobId).catch(error => console.warn(`Failed to remove draft image ${blobId}:`, error));
+        }
+    }
+}
+
+function normalizeDraft(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    return {
+        editingNoteId: String(value.editingNoteId || ''),
+        title: String(value.title || ''),
+        content: String(value.content || ''),
+        tags: String(value.tags || ''),
+        folder: String(value.folder || ''),
+        formatProfile: String(value.formatProfile || ''),
+        formatColumns: Number(value.formatColumns) || 0,
+        markdown: value.markdown === true,
+        attachments: Array.isArray(value.attachments) ? value.attachments : [],
+        savedAt: String(value.savedAt || '')
+    };
+}
+
+export async function getNoteDraftInfo() {
+    const draft = normalizeDraft(await readValue(NOTE_DRAFT_KEY, null));
+    if (!draft) {
+        return null;
+    }
+
+    return {
+        editingNoteId: draft.editingNoteId,
+        title: draft.title,
+        savedAt: draft.savedAt
+    };
+}
+
+export async function loadNoteDraft() {
+    const draft = normalizeDraft(await readValue(NOTE_DRAFT_KEY, null));
+    if (!draft) {
+        return null;
+    }
+
+    const attachments = [];
+    for (const item of draft.attachments) {
+        if (!item?.blobId) {
+            if (item?.id) {
+                attachments.push({ id: String(item.id) });
+            }
+            continue;
+        }
+
+        const blob = await readBlob(item.blobId);
+        if (!blob) {
+            continue;
+        }
+
+        const thumbBlob = item.thumbId ? await readBlob(item.thumbId) : null;
+        draftBlobIds.set(blob, item.blobId);
+        storedBlobIds[NOTE_DRAFT_KEY].add(item.blobId);
+        if (thumbBlob) {
+            draftBlobIds.set(thumbBlob, item.thumbId);
+            storedBlobIds[NOTE_DRAFT_KEY].add(item.thumbId);
+        }
+
+        attachments.push({
+            blob,
+            thumbBlob: thumbBlob || blob,
+            width: Number(item.width) || 0,
+            height: Number(item.height) || 0,
+            mimeType: blob.type,
+            bytes: blob.size
+        });
+    }
+
+    return {
+        ...draft,
+        attachments
+    };
+}
+
+export async function saveNoteDraft({ attachments = [], ...fields }, { shadow = false } = {}) {
+    const key = getDraftKey(shadow);
+    const storedAttachments = [];
+    const keptBlobIds = new Set();
+
+    for (const item of attachments) {
+        if (!(item?.blob instanceof Blob)) {
+            if (item?.id) {
+                storedAttachments.push({ id: String(item.id) });
+            }
+            continue;
+        }
+
+        const blobId = await storeDraftBlob(item.blob, key);
+        const thumbId = item.thumbBlob instanceof Blob && item.thumbBlob !== item.blob
+            ? await storeDraftBlob(item.thumbBlob, key)
+            : '';
+        keptBlobIds.add(blobId);
+        if (thumbId) {
+            keptBlobIds.add(thumbId);
+        }
+
+        storedAttachments.push({
+            blobId,
+            thumbId,
+            width: item.width,
+            height: item.height
+        });
+    }
+
+    const draft = normalizeDraft({
+        ...fields,
+        attachments: storedAttachments,
+        savedAt: new Date().toISOString()
+    });
+    await writeValue(key, draft);
+    await removeDraftBlobs(Array.from(storedBlobIds[key]).filter(blobId => !keptBlobIds.has(blobId)), key);
+
+    return draft.savedAt;
+}
+
+export async function clearNoteDraft({ shadow = false } = {}) {
+    const key = getDraftKey(shadow);
+    const draft = normalizeDraft(await readValue(key, null));
+    const blobIds = new Set([...storedBlobIds[key], ...collectDraftBlobIds(draft)]);
+
+    await removeValue(key);
+    await removeDraftBlobs(Array.from(blobIds), key);
+}
+
+export async function promoteNoteDraft() {
+    const shadow = normalizeDraft(await readValue(NOTE_DRAFT_SHADOW_KEY, null));
+    if (!shadow) {
+        return;
+    }
+
+    const previous = normalizeDraft(await readValue(NOTE_DRAFT_KEY, null));
+    const previousBlobIds = new Set([...storedBlobIds[NOTE_DRAFT_KEY], ...collectDraftBlobIds(previous)]);
+    await writeValue(NOTE_DRAFT_KEY, shadow);
+    await removeValue(NOTE_DRAFT_SHADOW_KEY);
+
+    storedBlobIds[NOTE_DRAFT_KEY] = new Set([...storedBlobIds[NOTE_DRAFT_SHADOW_KEY], ...collectDraftBlobIds(shadow)]);
+    storedBlobIds[NOTE_DRAFT_SHADOW_KEY] = new Set();
+    await removeDraftBlobs(Array.from(previousBlobIds).filter(blobId => !storedBlobIds[NOTE_DRAFT_KEY].has(blobId)), NOTE_DRAFT_SHADOW_KEY);
+}
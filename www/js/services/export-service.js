@@ -0,0 +1,220 @@
+﻿import { readBlob } from '../core/storage.js';
+import { blobToDataUrl } from '../core/blob.js';
+import { escapeHtml, formatDateTime } from '../core/dom.js';
+import { renderMarkdown, stripMarkdown } from '../core/markdown.js';
+import { createTimestampedFileName } from './file-service.js';
+import { stripChecklistMarkers } from './note-checklist.js';
+
+const BULK_EXPORT_PREFIX = '笔记导出';
+const TEXT_SEPARATOR = '\n\n----------\n\n';
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+export const NOTE_EXPORT_FORMATS = [
+    { id: 'markdown', label: 'Markdown（图片另存为文件）', extension: 'md', mimeType: 'text/markdown' },
+    { id: 'markdown-inline', label: 'Markdown（图片内嵌）', extension: 'md', mimeType: 'text/markdown' },
+    { id: 'text', label: '纯文本', extension: 'txt', mimeType: 'text/plain' },
+    { id: 'html', label: 'HTML 网页', extension: 'html', mimeType: 'text/html' }
+];
+
+function getExportFormat(formatId) {
+    const format = NOTE_EXPORT_FORMATS.find(item => item.id === formatId);
+    if (!format) {
+        throw new Error('不支持的导出格式');
+    }
+    return format;
+}
+
+function sanitizeFileName(value) {
+    const name = String(value || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .slice(0, 60)
+        .trim();
+    return name || '未命名笔记';
+}
+
+function createNameRegistry() {
+    const used = new Set();
+    return (base, extension) => {
+        let fileName = `${base}.${extension}`;
+        for (let index = 2; used.has(fileName); index += 1) {
+            fileName = `${base} (${index}).${extension}`;
+        }
+        used.add(fileName);
+        return fileName;
+    };
+}
+
+function getMetaLines(note) {
+    const lines = [`创建于 ${formatDateTime(note.createdAt)} · 更新于 ${formatDateTime(note.updatedAt)}`];
+    const extras = [];
+    if (note.tags?.length) {
+        extras.push(`标签：${note.tags.map(tag => `#${tag}`).join(' ')}`);
+    }
+    if (note.folder) {
+        extras.push(`文件夹：${note.folder}`);
+    }
+    if (extras.length > 0) {
+        lines.push(extras.join(' · '));
+    }
+    return lines;
+}
+
+async function readNoteImages(note) {
+    const images = [];
+    for (const attachment of note.attachments || []) {
+        const blob = await readBlob(attachment.id);
+        if (blob) {
+            images.push(blob);
+        }
+    }
+    return images;
+}
+
+function fencePlainText(text) {
+    const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}text\n${text}\n${fence}`;
+}
+
+async function buildMarkdownSection(note, { inline, nameFile, files }) {
+    const content = String(note.content || '');
+    const parts = [
+        `# ${note.title}`,
+        getMetaLines(note).map(line => `> ${line}`).join('\n>\n'),
+        note.markdown ? content : fencePlainText(content)
+    ];
+
+    const images = await readNoteImages(note);
+    const imageLines = [];
+    for (const [index, blob] of images.entries()) {
+        const alt = `图片 ${index + 1}`;
+        if (inline) {
+            imageLines.push(`![${alt}](${await blobToDataUrl(blob)})`);
+            continue;
+        }
+
+        const fileName = nameFile(`${sanitizeFileName(note.title)}-${index + 1}`, IMAGE_EXTENSIONS[blob.type] || 'img');
+        files.push({ fileName, mimeType: blob.type || 'application/octet-stream', content: blob });
+        imageLines.push(`![${alt}](${encodeURI(fileName)})`);
+    }
+
+    if (imageLines.length > 0) {
+        parts.push(imageLines.join('\n\n'));
+    }
+    return parts.filter(Boolean).join('\n\n');
+}
+
+function buildTextSection(note) {
+    const content = String(note.content || '');
+    const parts = [
+        note.title,
+        getMetaLines(note).join('\n'),
+        note.markdown ? stripMarkdown(stripChecklistMarkers(content)) : stripChecklistMarkers(content)
+    ];
+
+    const imageCount = (note.attachments || []).length;
+    if (imageCount > 0) {
+        parts.push(`（附图 ${imageCount} 张，纯文本导出未包含图片）`);
+    }
+    return parts.filter(Boolean).join('\n\n');
+}
+
+async function buildHtmlSection(note) {
+    const content = String(note.content || '');
+    const body = note.markdown
+        ? `<div class="note-body">${renderMarkdown(content, { standalone: true })}</div>`
+        : `<pre class="note-body">${escapeHtml(stripChecklistMarkers(content))}</pre>`;
+
+    const images = [];
+    for (const [index, blob] of (await readNoteImages(note)).entries()) {
+        images.push(`<img src="${await blobToDataUrl(blob)}" alt="图片 ${index + 1}">`);
+    }
+
+    return `<article>
+<h1>${escapeHtml(note.title)}</h1>
+${getMetaLines(note).map(line => `<p class="note-meta">${escapeHtml(line)}</p>`).join('\n')}
+${body}
+${images.length > 0 ? `<div class="note-images">${images.join('\n')}</div>` : ''}
+</article>`;
+}
+
+function wrapHtmlDocument(title, sections) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { max-width: 760px; margin: 0 auto; padding: 24px 16px; font-family: -apple-system, BlinkMacSystemFont, "PingFang SC", sans-serif; line-height: 1.6; color: #1f2933; }
+article + article { margin-top: 40px; padding-top: 24px; border-top: 1px solid #d9e2ec; }
+h1 { font-size: 1.5em; margin: 0 0 8px; }
+.note-meta { margin: 0; color: #7b8794; font-size: 0.9em; }
+.note-body { margin-top: 16px; }
+pre { white-space: pre-wrap; word-break: break-word; font-family: inherit; }
+pre code, code { font-family: Menlo, monospace; background: #f0f4f8; border-radius: 4px; }
+blockquote { margin: 0; padding-left: 12px; border-left: 3px solid #d9e2ec; color: #52606d; }
+.task-item { list-style: none; }
+.task-item.done > .task-label { color: #9aa5b1; text-decoration: line-through; }
+.note-images img { display: block; max-width: 100%; margin-top: 12px; border-radius: 8px; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+export async function buildNoteExportFiles(notes, formatId, { now = new Date() } = {}) {
+    const list = Array.isArray(notes) ? notes.filter(Boolean) : [];
+    if (list.length === 0) {
+        throw new Error('没有可导出的笔记');
+    }
+
+    const format = getExportFormat(formatId);
+    const single = list.length === 1;
+    const title = single ? list[0].title : `${BULK_EXPORT_PREFIX}（${list.length} 篇）`;
+    const nameFile = createNameRegistry();
+    const documentName = single
+        ? nameFile(sanitizeFileName(list[0].title), format.extension)
+        : nameFile(createTimestampedFileName(BULK_EXPORT_PREFIX, format.extension, now).replace(/\.[^.]+$/, ''), format.extension);
+    const imageFiles = [];
+    let content;
+
+    if (format.id === 'html') {
+        const sections = [];
+        for (const note of list) {
+            sections.push(await buildHtmlSection(note));
+        }
+        content = wrapHtmlDocument(title, sections);
+    } else if (format.id === 'text') {
+        content = `${list.map(buildTextSection).join(TEXT_SEPARATOR)}\n`;
+    } else {
+        const sections = [];
+        for (const note of list) {
+            sections.push(await buildMarkdownSection(note, {
+                inline: format.id === 'markdown-inline',
+                nameFile,
+                files: imageFiles
+            }));
+        }
+        content = `${sections.join('\n\n---\n\n')}\n`;
+    }
+
+    return {
+        title,
+        files: [
+            { fileName: documentName, mimeType: format.mimeType, content },
+            ...imageFiles
+        ]
+    };
+}
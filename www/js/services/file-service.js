@@ -0,0 +1,60 @@
+﻿function triggerDownload(file) {
+    const url = URL.createObjectURL(file);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = file.name;
+    anchor.rel = 'noopener';
+    anchor.style.display = 'none';
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 30000);
+}
+
+export async function saveFiles(entries, { title = '' } = {}) {
+    const files = entries.map(({ fileName, mimeType, content }) => new File([content], fileName, { type: mimeType }));
+
+    if (typeof navigator !== 'undefined' && typeof navigator.share === 'function') {
+        const canShareFile = typeof navigator.canShare === 'function' && navigator.canShare({ files });
+        if (canShareFile) {
+            try {
+                await navigator.share({ files, title: title || files[0]?.name || '' });
+                return 'shared';
+            } catch (error) {
+                if (error?.name === 'AbortError') {
+                    return 'cancelled';
+                }
+                console.warn('File share failed, falling back to download:', error);
+            }
+        }
+    }
+
+    files.forEach(triggerDownload);
+    return 'downloaded';
+}
+
+export async function saveFile({ fileName, mimeType, content }) {
+    return saveFiles([{ fileName, mimeType, content }], { title: fileName });
+}
+
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onload = event => {
+            resolve(String(event.target?.result || ''));
+        };
+
+        reader.onerror = () => {
+            reject(new Error('Failed to read file.'));
+        };
+
+        reader.readAsText(file);
+    });
+}
+
+export function createTimestampedFileName(prefix, extension, date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    return `${prefix}-${stamp}.${extension}`;
+}
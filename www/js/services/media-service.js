@@ -1,4 +1,39 @@
 ﻿import { getPlugins } from './capacitor-bridge.js';
+import { isDataUrl, dataUrlToBlob } from '../core/blob.js';
+
+const THUMBNAIL_DIMENSION = 240;
+
+export const IMAGE_MAX_DIMENSION_OPTIONS = [1024, 1600, 2048, 3072];
+export const IMAGE_QUALITY_OPTIONS = [0.6, 0.75, 0.8, 0.9];
+export const IMAGE_FORMAT_OPTIONS = [
+    { id: 'image/jpeg', label: 'JPEG' },
+    { id: 'image/webp', label: 'WebP' }
+];
+export const DEFAULT_IMAGE_MAX_DIMENSION = 1600;
+export const DEFAULT_IMAGE_QUALITY = 0.8;
+export const DEFAULT_IMAGE_FORMAT = 'image/jpeg';
+
+export function normalizeImageMaxDimension(value) {
+    const dimension = Number(value);
+    return IMAGE_MAX_DIMENSION_OPTIONS.includes(dimension) ? dimension : DEFAULT_IMAGE_MAX_DIMENSION;
+}
+
+export function normalizeImageQuality(value) {
+    const quality = Number(value);
+    return IMAGE_QUALITY_OPTIONS.includes(quality) ? quality : DEFAULT_IMAGE_QUALITY;
+}
+
+export function normalizeImageFormat(value) {
+    return IMAGE_FORMAT_OPTIONS.some(item => item.id === value) ? value : DEFAULT_IMAGE_FORMAT;
+}
+
+export function getImageProcessingOptions(settings = {}) {
+    return {
+        maxDimension: normalizeImageMaxDimension(settings.imageMaxDimension),
+        quality: normalizeImageQuality(settings.imageQuality),
+        mimeType: normalizeImageFormat(settings.imageFormat)
+    };
+}
 
 function normalizeBarcode(rawBarcode) {
     if (!rawBarcode) {
@@ -171,6 +206,115 @@ export function readFileAsDataUrl(file) {
     });
 }
 
+function loadImageElement(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to decode image.'));
+        };
+
+        image.src = url;
+    });
+}
+
+function encodeCanvas(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(result => {
+            if (result) {
+                resolve(result);
+                return;
+            }
+            reject(new Error('Failed to encode image.'));
+        }, mimeType, quality);
+    });
+}
+
+async function renderImage(image, { maxDimension, quality, mimeType }) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    if (!width || !height) {
+        throw new Error('Image has no dimensions.');
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const context = canvas.getContext('2d');
+    if (mimeType === 'image/jpeg') {
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    let blob = await encodeCanvas(canvas, mimeType, quality);
+    if (blob.type !== mimeType && mimeType !== 'image/jpeg') {
+        context.globalCompositeOperation = 'destination-over';
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        blob = await encodeCanvas(canvas, 'image/jpeg', quality);
+    }
+
+    return {
+        blob,
+        width: canvas.width,
+        height: canvas.height
+    };
+}
+
+export async function compressImageBlob(blob, { maxDimension = DEFAULT_IMAGE_MAX_DIMENSION, quality = DEFAULT_IMAGE_QUALITY, mimeType = DEFAULT_IMAGE_FORMAT } = {}) {
+    const image = await loadImageElement(blob);
+    const result = await renderImage(image, { maxDimension, quality, mimeType });
+    return result.blob;
+}
+
+export async function createImageThumbnail(blob, { maxDimension = THUMBNAIL_DIMENSION } = {}) {
+    const image = await loadImageElement(blob);
+    const result = await renderImage(image, { maxDimension, quality: 0.7, mimeType: 'image/jpeg' });
+    return result.blob;
+}
+
+async function readImageSource(source) {
+    if (source instanceof Blob) {
+        return source;
+    }
+
+    if (isDataUrl(source)) {
+        return dataUrlToBlob(source);
+    }
+
+    const response = await fetch(String(source || ''));
+    if (!response.ok) {
+        throw new Error('Failed to load image.');
+    }
+    return response.blob();
+}
+
+export async function prepareImageAttachment(source, { maxDimension = DEFAULT_IMAGE_MAX_DIMENSION, quality = DEFAULT_IMAGE_QUALITY, mimeType = DEFAULT_IMAGE_FORMAT } = {}) {
+    const original = await readImageSource(source);
+    const image = await loadImageElement(original);
+    const full = await renderImage(image, { maxDimension, quality, mimeType });
+    const thumbnail = await renderImage(image, { maxDimension: THUMBNAIL_DIMENSION, quality: 0.7, mimeType: 'image/jpeg' });
+
+    return {
+        blob: full.blob,
+        thumbBlob: thumbnail.blob,
+        width: full.width,
+        height: full.height,
+        mimeType: full.blob.type,
+        bytes: full.blob.size
+    };
+}
+
 function explainWifiPayload(value) {
     const content = value.slice(5).replace(/;;$/, ';');
     const segments = content.split(';').filter(Boolean);
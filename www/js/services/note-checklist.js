@@ -0,0 +1,84 @@
+﻿const CHECKLIST_ITEM_PATTERN = /^(\s*)[-*+]\s+\[( |x|X)\]\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+function getIndentWidth(value) {
+    return String(value || '').replace(/\t/g, '    ').length;
+}
+
+export function parseChecklistLine(line) {
+    const match = String(line || '').match(CHECKLIST_ITEM_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        indent: getIndentWidth(match[1]),
+        checked: match[2] !== ' ',
+        text: match[3]
+    };
+}
+
+export function parseChecklist(text) {
+    let fence = '';
+    const items = [];
+
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach((line, lineIndex) => {
+        if (fence) {
+            if (line.trim().startsWith(fence)) {
+                fence = '';
+            }
+            return;
+        }
+
+        if (FENCE_PATTERN.test(line)) {
+            fence = line.trim().slice(0, 3);
+            return;
+        }
+
+        const item = parseChecklistLine(line);
+        if (item) {
+            items.push({
+                ...item,
+                index: items.length,
+                lineIndex
+            });
+        }
+    });
+
+    return items;
+}
+
+export function getChecklistProgress(text) {
+    const items = parseChecklist(text);
+    return {
+        done: items.filter(item => item.checked).length,
+        total: items.length
+    };
+}
+
+export function toggleChecklistItem(text, itemIndex) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const item = parseChecklist(lines.join('\n'))[Number(itemIndex)];
+    if (!item) {
+        return null;
+    }
+
+    lines[item.lineIndex] = lines[item.lineIndex].replace(/\[( |x|X)\]/, item.checked ? '[ ]' : '[x]');
+    return lines.join('\n');
+}
+
+export function prefixChecklistLines(text) {
+    const lines = String(text || '').split('\n');
+    return lines
+        .map(line => {
+            if (parseChecklistLine(line) || (lines.length > 1 && !line.trim())) {
+                return line;
+            }
+            return line.replace(/^(\s*)(?:[-*+]\s+)?/, '$1- [ ] ');
+        })
+        .join('\n');
+}
+
+export function stripChecklistMarkers(text) {
+    return String(text || '').replace(/(^|\n)(\s*)[-*+]\s+\[( |x|X)\]\s+/g, (_match, lead, indent, mark) => `${lead}${indent}${mark === ' ' ? '☐' : '☑'} `);
+}
@@ -0,0 +1,203 @@
+﻿export const NOTE_FORMAT_PROFILES = [
+    { id: 'raw', label: '保持原样' },
+    { id: 'sentence', label: '一句一行' },
+    { id: 'wrap', label: '按宽度换行' },
+    { id: 'paragraph', label: '段落整理' }
+];
+
+export const DEFAULT_NOTE_FORMAT_PROFILE = 'raw';
+export const DEFAULT_WRAP_COLUMNS = 40;
+export const MIN_WRAP_COLUMNS = 16;
+export const MAX_WRAP_COLUMNS = 120;
+
+const PROFILE_IDS = new Set(NOTE_FORMAT_PROFILES.map(item => item.id));
+const CODE_FENCE_PATTERN = /^\s*(```|~~~)/;
+const LIST_ITEM_PATTERN = /^\s*([-*+•]|\d+[.)、]|- \[[ xX]\])\s+/;
+const SENTENCE_END_PATTERN = /([。！？；!?]+[”’」』）)]*|[.;]+(?=\s|$))\s*/g;
+const NO_LINE_START_PATTERN = /^[，。！？；：、,.!?;:）)」』》〉】”’…]$/;
+const WIDE_RANGES = [
+    [0x1100, 0x115f],
+    [0x2e80, 0x303e],
+    [0x3041, 0x33ff],
+    [0x3400, 0x4dbf],
+    [0x4e00, 0x9fff],
+    [0xa000, 0xa4cf],
+    [0xac00, 0xd7a3],
+    [0xf900, 0xfaff],
+    [0xfe30, 0xfe4f],
+    [0xff00, 0xff60],
+    [0xffe0, 0xffe6],
+    [0x20000, 0x3fffd]
+];
+
+let graphemeSegmenter = null;
+
+export function normalizeFormatProfile(value) {
+    const profile = String(value || '').trim();
+    return PROFILE_IDS.has(profile) ? profile : DEFAULT_NOTE_FORMAT_PROFILE;
+}
+
+export function normalizeWrapColumns(value) {
+    const columns = Math.round(Number(value));
+    if (!Number.isFinite(columns) || columns <= 0) {
+        return DEFAULT_WRAP_COLUMNS;
+    }
+    return Math.min(MAX_WRAP_COLUMNS, Math.max(MIN_WRAP_COLUMNS, columns));
+}
+
+function splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        graphemeSegmenter = graphemeSegmenter || new Intl.Segmenter('zh', { granularity: 'grapheme' });
+        return Array.from(graphemeSegmenter.segment(text), item => item.segment);
+    }
+    return Array.from(text);
+}
+
+export function getDisplayWidth(grapheme) {
+    const codePoint = grapheme.codePointAt(0) || 0;
+    if (/\p{Extended_Pictographic}/u.test(grapheme)) {
+        return 2;
+    }
+
+    return WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 2 : 1;
+}
+
+function splitBlocks(text) {
+    const blocks = [];
+    let inFence = false;
+
+    text.split('\n').forEach(line => {
+        const isFence = CODE_FENCE_PATTERN.test(line);
+        const verbatim = inFence || isFence;
+        const last = blocks[blocks.length - 1];
+
+        if (last && last.verbatim === verbatim) {
+            last.lines.push(line);
+        } else {
+            blocks.push({ verbatim, lines: [line] });
+        }
+
+        if (isFence) {
+            inFence = !inFence;
+        }
+    });
+
+    return blocks;
+}
+
+function formatBlocks(text, formatLines) {
+    return splitBlocks(text)
+        .map(block => (block.verbatim ? block.lines : formatLines(block.lines)).join('\n'))
+        .join('\n');
+}
+
+function measureWidth(text) {
+    return splitGraphemes(text).reduce((total, grapheme) => total + getDisplayWidth(grapheme), 0);
+}
+
+function wrapLine(line, columns) {
+    const lead = (line.match(LIST_ITEM_PATTERN) || line.match(/^\s*/) || [''])[0];
+    const leadWidth = measureWidth(lead.replace(/\t/g, '    '));
+    const continuation = leadWidth <= columns / 2 ? Array.from(' '.repeat(leadWidth)) : [];
+    const lines = [];
+    let current = [];
+    let width = 0;
+
+    const pushCurrent = () => {
+        lines.push(current.join('').replace(/\s+$/, ''));
+        current = [...continuation];
+        width = continuation.length;
+    };
+
+    splitGraphemes(line).forEach(grapheme => {
+        const graphemeWidth = getDisplayWidth(grapheme);
+        const hasContent = current.length > continuation.length || lines.length === 0;
+
+        if (width + graphemeWidth > columns && hasContent && current.join('').trim() && !NO_LINE_START_PATTERN.test(grapheme)) {
+            const midWord = grapheme.trim() && graphemeWidth === 1 && current[current.length - 1]?.trim();
+            const spaceIndex = midWord ? current.lastIndexOf(' ') : -1;
+            const minIndex = lines.length === 0 ? lead.length : continuation.length;
+
+            if (spaceIndex > minIndex) {
+                const carried = current.slice(spaceIndex + 1);
+                current = current.slice(0, spaceIndex);
+                pushCurrent();
+                carried.forEach(item => {
+                    current.push(item);
+                    width += getDisplayWidth(item);
+                });
+            } else {
+                pushCurrent();
+            }
+
+            if (!grapheme.trim()) {
+                return;
+            }
+        }
+
+        current.push(grapheme);
+        width += graphemeWidth;
+    });
+
+    if (current.join('').trim() || lines.length === 0) {
+        lines.push(current.join('').replace(/\s+$/, ''));
+    }
+
+    return lines;
+}
+
+function formatWrap(text, columns) {
+    return formatBlocks(text, lines => lines.flatMap(line => (line.trim() ? wrapLine(line, columns) : [''])));
+}
+
+function splitSentences(paragraph) {
+    return paragraph
+        .replace(SENTENCE_END_PATTERN, '$1\n')
+        .split('\n')
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function formatSentences(text) {
+    return formatBlocks(text, lines => lines.flatMap(line => {
+        if (!line.trim()) {
+            return [''];
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            return [line.replace(/\s+$/, '')];
+        }
+
+        return splitSentences(line.trim().replace(/\s+/g, ' '));
+    }));
+}
+
+function formatParagraphs(text) {
+    return formatBlocks(text, lines => lines.map(line => {
+        const indent = (line.match(/^\s*/) || [''])[0].replace(/\t/g, '    ');
+        const body = line.trim().replace(/[ \t　]{2,}/g, ' ');
+        return body ? `${indent}${body}` : '';
+    }))
+        .replace(/\n{3,}/g, '\n\n');
+}
+
+export function formatNoteContent(rawText, { profile = DEFAULT_NOTE_FORMAT_PROFILE, columns = DEFAULT_WRAP_COLUMNS } = {}) {
+    const text = String(rawText || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/^\n+|\s+$/g, '');
+
+    if (!text) {
+        return '';
+    }
+
+    switch (normalizeFormatProfile(profile)) {
+        case 'sentence':
+            return formatSentences(text).replace(/\n{3,}/g, '\n\n');
+        case 'wrap':
+            return formatWrap(text, normalizeWrapColumns(columns));
+        case 'paragraph':
+            return formatParagraphs(text).replace(/^\n+|\s+$/g, '');
+        default:
+            return text;
+    }
+}
@@ -0,0 +1,149 @@
+﻿import { upgradeCollectionData } from '../core/storage.js';
+import { isDataUrl, dataUrlToBlob } from '../core/blob.js';
+
+const BACKUP_FORMAT = 'jeff-toolbox-backup';
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+export const NOTE_IMPORT_ACCEPT = '.txt,.md,.markdown,.json,text/plain,text/markdown,application/json';
+
+function getExtension(fileName) {
+    const match = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+}
+
+function getBaseName(fileName) {
+    return String(fileName || '').replace(/\.[^.]+$/, '').trim();
+}
+
+function toIsoString(value) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function normalizeText(text) {
+    return String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+export function getNoteContentHash(note) {
+    const content = normalizeText(note?.content).split('\n').map(line => line.trimEnd()).join('\n').trim();
+    const source = content || `title:${String(note?.title || '').trim()}`;
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let index = 0; index < source.length; index += 1) {
+        const code = source.charCodeAt(index);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+function parseTextNote({ name, text, lastModified }) {
+    const lines = normalizeText(text).split('\n');
+    const firstIndex = lines.findIndex(line => line.trim());
+    const heading = firstIndex >= 0 ? lines[firstIndex].match(HEADING_PATTERN) : null;
+    if (heading) {
+        lines.splice(firstIndex, 1);
+    }
+
+    const modifiedAt = toIsoString(lastModified);
+    return {
+        title: heading ? heading[1] : getBaseName(name),
+        content: lines.join('\n').replace(/^\n+/, '').trimEnd(),
+        markdown: MARKDOWN_EXTENSIONS.includes(getExtension(name)),
+        tags: [],
+        folder: '',
+        attachments: [],
+        createdAt: modifiedAt,
+        updatedAt: modifiedAt
+    };
+}
+
+function readAttachments(attachments, blobs) {
+    return (Array.isArray(attachments) ? attachments : [])
+        .filter(attachment => isDataUrl(blobs[attachment?.id]))
+        .map(attachment => {
+            const blob = dataUrlToBlob(blobs[attachment.id]);
+            return {
+                blob,
+                thumbBlob: isDataUrl(blobs[attachment.thumbId]) ? dataUrlToBlob(blobs[attachment.thumbId]) : null,
+                width: attachment.width,
+                height: attachment.height
+            };
+        });
+}
+
+function toImportCandidate(item, blobs = {}) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+
+    const content = normalizeText(item.rawContent ?? item.content ?? item.body ?? item.text ?? '');
+    const title = String(item.title || item.name || '').trim();
+    if (!content.trim() && !title) {
+        return null;
+    }
+
+    const createdAt = toIsoString(item.createdAt ?? item.created);
+    return {
+        title,
+        content,
+        markdown: item.markdown === true,
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        folder: String(item.folder || ''),
+        formatProfile: item.formatProfile,
+        formatColumns: item.formatColumns,
+        attachments: readAttachments(item.attachments, blobs),
+        createdAt,
+        updatedAt: toIsoString(item.updatedAt ?? item.updated ?? item.modifiedAt) || createdAt
+    };
+}
+
+async function parseJsonNotes(text) {
+    let data = null;
+    try {
+        data = JSON.parse(normalizeText(text));
+    } catch (_error) {
+        throw new Error('不是有效的 JSON 文件');
+    }
+
+    if (data?.format === BACKUP_FORMAT) {
+        const entry = data.collections?.notes;
+        if (!entry || !Array.isArray(entry.data)) {
+            return [];
+        }
+
+        const notes = await upgradeCollectionData('notes', entry.data, entry.schemaVersion);
+        const blobs = data.blobs && typeof data.blobs === 'object' ? data.blobs : {};
+        return notes.map(item => toImportCandidate(item, blobs)).filter(Boolean);
+    }
+
+    const items = Array.isArray(data) ? data : (Array.isArray(data?.notes) ? data.notes : [data]);
+    const candidates = items.map(item => toImportCandidate(item)).filter(Boolean);
+    if (candidates.length === 0) {
+        throw new Error('JSON 中没有可识别的笔记');
+    }
+    return candidates;
+}
+
+export async function parseNoteImportFile({ name, text, lastModified }) {
+    const extension = getExtension(name);
+    if (extension === 'json') {
+        return parseJsonNotes(text);
+    }
+
+    if (extension === 'txt' || MARKDOWN_EXTENSIONS.includes(extension)) {
+        const note = parseTextNote({ name, text, lastModified });
+        return note.content.trim() || note.title ? [note] : [];
+    }
+
+    throw new Error('仅支持 .txt、.md 和 .json 文件');
+}
@@ -0,0 +1,204 @@
+﻿const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    content: 1
+};
+const RECENCY_HALF_LIFE_DAYS = 30;
+const CJK_RANGES = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7a3\\uf900-\\ufaff';
+const CJK_PATTERN = new RegExp(`[${CJK_RANGES}]`, 'u');
+const TOKEN_PATTERN = new RegExp(`[${CJK_RANGES}]+|(?:(?![${CJK_RANGES}])[\\p{L}\\p{N}])+`, 'gu');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const postings = new Map();
+const documents = new Map();
+
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+function splitRuns(text) {
+    return normalizeSearchText(text).match(TOKEN_PATTERN) || [];
+}
+
+function getCjkGrams(run) {
+    const chars = Array.from(run);
+    if (chars.length === 1) {
+        return chars;
+    }
+
+    const grams = [];
+    for (let index = 0; index < chars.length - 1; index += 1) {
+        grams.push(`${chars[index]}${chars[index + 1]}`);
+    }
+    return grams;
+}
+
+export function tokenizeSearchText(text, { includeUnigrams = false } = {}) {
+    const tokens = [];
+    splitRuns(text).forEach(run => {
+        if (!CJK_PATTERN.test(run)) {
+            tokens.push(run);
+            return;
+        }
+
+        tokens.push(...getCjkGrams(run));
+        if (includeUnigrams && Array.from(run).length > 1) {
+            tokens.push(...Array.from(run));
+        }
+    });
+    return tokens;
+}
+
+function getDocumentSignature(note) {
+    return `${note.updatedAt}|${note.title}|${(note.tags || []).join(',')}|${note.content}`;
+}
+
+function removeDocument(noteId) {
+    const current = documents.get(noteId);
+    if (!current) {
+        return;
+    }
+
+    current.tokens.forEach(token => {
+        const entries = postings.get(token);
+        if (!entries) {
+            return;
+        }
+
+        entries.delete(noteId);
+        if (entries.size === 0) {
+            postings.delete(token);
+        }
+    });
+    documents.delete(noteId);
+}
+
+function addDocument(note) {
+    const weights = new Map();
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const value = Array.isArray(note[field]) ? note[field].join(' ') : note[field];
+        tokenizeSearchText(value, { includeUnigrams: true }).forEach(token => {
+            weights.set(token, (weights.get(token) || 0) + weight);
+        });
+    });
+
+    weights.forEach((weight, token) => {
+        if (!postings.has(token)) {
+            postings.set(token, new Map());
+        }
+        postings.get(token).set(note.id, weight);
+    });
+
+    documents.set(note.id, {
+        signature: getDocumentSignature(note),
+        updatedAt: new Date(note.updatedAt).getTime() || 0,
+        tokens: Array.from(weights.keys())
+    });
+}
+
+export function indexNote(note) {
+    if (!note?.id) {
+        return;
+    }
+
+    removeDocument(note.id);
+    addDocument(note);
+}
+
+export function removeNoteFromIndex(noteId) {
+    removeDocument(String(noteId));
+}
+
+export function syncNoteIndex(notes) {
+    const list = Array.isArray(notes) ? notes : [];
+    const keepIds = new Set(list.map(note => note.id));
+
+    Array.from(documents.keys())
+        .filter(noteId => !keepIds.has(noteId))
+        .forEach(removeDocument);
+
+    list.forEach(note => {
+        if (documents.get(note.id)?.signature !== getDocumentSignature(note)) {
+            indexNote(note);
+        }
+    });
+}
+
+function getMatchingPostings(token, isPrefix) {
+    if (!isPrefix) {
+        return postings.get(token) ? [postings.get(token)] : [];
+    }
+
+    const matched = [];
+    postings.forEach((entries, key) => {
+        if (key.startsWith(token)) {
+            matched.push(entries);
+        }
+    });
+    return matched;
+}
+
+function getQueryTerms(query) {
+    const runs = splitRuns(query);
+    const lastRun = runs[runs.length - 1];
+    const terms = [];
+
+    runs.forEach(run => {
+        if (CJK_PATTERN.test(run)) {
+            getCjkGrams(run).forEach(token => terms.push({ token, isPrefix: false }));
+            return;
+        }
+
+        terms.push({ token: run, isPrefix: run === lastRun });
+    });
+
+    return terms.filter((term, index) => terms.findIndex(item => item.token === term.token) === index);
+}
+
+export function searchNotes(query, { now = Date.now() } = {}) {
+    const terms = getQueryTerms(query);
+    if (terms.length === 0) {
+        return [];
+    }
+
+    const total = Math.max(1, documents.size);
+    let scores = null;
+
+    for (const term of terms) {
+        const termScores = new Map();
+        getMatchingPostings(term.token, term.isPrefix).forEach(entries => {
+            const idf = Math.log(1 + total / entries.size);
+            entries.forEach((weight, noteId) => {
+                termScores.set(noteId, Math.max(termScores.get(noteId) || 0, weight * idf));
+            });
+        });
+
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            scores = new Map(Array.from(scores).filter(([noteId]) => termScores.has(noteId))
+                .map(([noteId, score]) => [noteId, score + termScores.get(noteId)]));
+        }
+
+        if (scores.size === 0) {
+            return [];
+        }
+    }
+
+    return Array.from(scores, ([noteId, relevance]) => {
+        const updatedAt = documents.get(noteId)?.updatedAt || 0;
+        const ageDays = Math.max(0, now - updatedAt) / DAY_MS;
+        const recency = 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+        return {
+            id: noteId,
+            score: relevance * (0.7 + 0.3 * recency),
+            updatedAt
+        };
+    })
+        .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt)
+        .map(({ id, score }) => ({ id, score }));
+}
+
+export function getSearchHighlightTerms(query) {
+    return getQueryTerms(query).map(term => term.token);
+}
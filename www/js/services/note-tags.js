@@ -0,0 +1,103 @@
+﻿const MAX_TAG_LENGTH = 20;
+const MAX_FOLDER_LENGTH = 30;
+const HASHTAG_PATTERN = /(^|[\s(（,，。;；:：、])#([^\s#,，。.!?！？;；:：、()（）[\]【】"“”'‘’<>《》]{1,20})/gu;
+const TAG_SEPARATOR_PATTERN = /[\s,，、;；]+/;
+
+export function normalizeTagName(value) {
+    return String(value || '')
+        .normalize('NFKC')
+        .replace(/^#+/, '')
+        .replace(/[\s,，、;；#]+/g, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+export function normalizeTags(values) {
+    const list = Array.isArray(values) ? values : [];
+    const seen = new Set();
+    const tags = [];
+
+    list.forEach(value => {
+        const tag = normalizeTagName(value);
+        const key = tag.toLowerCase();
+        if (tag && !seen.has(key)) {
+            seen.add(key);
+            tags.push(tag);
+        }
+    });
+
+    return tags;
+}
+
+export function normalizeFolderName(value) {
+    return String(value || '')
+        .normalize('NFKC')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_FOLDER_LENGTH);
+}
+
+export function parseTagInput(text) {
+    return normalizeTags(String(text || '').split(TAG_SEPARATOR_PATTERN));
+}
+
+export function formatTagInput(tags) {
+    return normalizeTags(tags).join(', ');
+}
+
+export function isSameTag(a, b) {
+    return normalizeTagName(a).toLowerCase() === normalizeTagName(b).toLowerCase();
+}
+
+export function extractHashtags(text) {
+    let inFence = false;
+    const found = [];
+
+    String(text || '').split('\n').forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+
+        if (inFence) {
+            return;
+        }
+
+        line.replace(/`[^`]*`/g, ' ').replace(HASHTAG_PATTERN, (_match, _lead, tag) => {
+            const isColorCode = /^(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(tag) && /[a-f]/i.test(tag);
+            if (!isColorCode) {
+                found.push(tag);
+            }
+            return '';
+        });
+    });
+
+    return normalizeTags(found);
+}
+
+export function collectTagCounts(notes) {
+    const counts = new Map();
+    (Array.isArray(notes) ? notes : []).forEach(note => {
+        normalizeTags(note.tags).forEach(tag => {
+            const key = tag.toLowerCase();
+            const current = counts.get(key) || { name: tag, count: 0 };
+            current.count += 1;
+            counts.set(key, current);
+        });
+    });
+
+    return Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'zh-Hans-CN'));
+}
+
+export function collectFolders(notes) {
+    const counts = new Map();
+    (Array.isArray(notes) ? notes : []).forEach(note => {
+        const folder = normalizeFolderName(note.folder);
+        if (folder) {
+            counts.set(folder, (counts.get(folder) || 0) + 1);
+        }
+    });
+
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name, 'zh-Hans-CN'));
+}
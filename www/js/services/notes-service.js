@@ -1,103 +1,888 @@
-﻿import { readJSON, writeJSON } from '../core/storage.js';
+﻿import {
+    defineCollection,
+    readCollection,
+    writeCollection,
+    readBlob,
+    writeBlob,
+    removeBlob,
+    StorageQuotaError
+} from '../core/storage.js';
+import { isDataUrl, dataUrlToBlob } from '../core/blob.js';
+import { compressImageBlob, createImageThumbnail } from './media-service.js';
+import {
+    DEFAULT_NOTE_FORMAT_PROFILE,
+    DEFAULT_WRAP_COLUMNS,
+    formatNoteContent,
+    normalizeFormatProfile,
+    normalizeWrapColumns
+} from './note-format.js';
+import { normalizeTags, normalizeFolderName, isSameTag } from './note-tags.js';
+import { toggleChecklistItem } from './note-checklist.js';
+import { getNoteContentHash } from './note-import.js';
 
-const NOTES_KEY = 'jeff_toolbox_notes_v1';
+const NOTES_COLLECTION = 'notes';
+const REVISIONS_COLLECTION = 'noteRevisions';
+const NOTE_IMAGE_PREFIX = 'note-image-';
+const NOTE_THUMB_PREFIX = 'note-thumb-';
+const MAX_REVISIONS_PER_NOTE = 20;
+const imageUrlCache = new Map();
 
-function loadNotes() {
-    const notes = readJSON(NOTES_KEY, []);
+export const MAX_NOTE_ATTACHMENTS = 9;
+
+defineCollection(NOTES_COLLECTION, {
+    key: 'jeff_toolbox_notes',
+    label: '笔记',
+    version: 5,
+    legacyKeys: ['jeff_toolbox_notes_v1'],
+    migrations: [
+        { version: 2, migrate: upgradeNotesToV2 },
+        { version: 3, migrate: upgradeNotesToV3 },
+        { version: 4, migrate: upgradeNotesToV4 },
+        { version: 5, migrate: upgradeNotesToV5 }
+    ]
+});
+
+defineCollection(REVISIONS_COLLECTION, {
+    key: 'jeff_toolbox_note_revisions',
+    label: '笔记历史',
+    version: 2,
+    migrations: [
+        { version: 2, migrate: upgradeRevisionsToV2 }
+    ]
+});
+
+function createNoteId() {
+    return `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+}
+
+function createImageId(noteId, index = 0, prefix = NOTE_IMAGE_PREFIX) {
+    return `${prefix}${noteId}-${Date.now()}-${index}`;
+}
+
+function normalizeAttachment(item) {
+    return {
+        id: String(item?.id || ''),
+        thumbId: item?.thumbId ? String(item.thumbId) : '',
+        width: Math.max(0, Math.round(Number(item?.width) || 0)),
+        height: Math.max(0, Math.round(Number(item?.height) || 0)),
+        mimeType: String(item?.mimeType || ''),
+        bytes: Math.max(0, Number(item?.bytes) || 0)
+    };
+}
+
+function normalizeAttachments(items) {
+    return (Array.isArray(items) ? items : [])
+        .map(normalizeAttachment)
+        .filter(attachment => attachment.id)
+        .slice(0, MAX_NOTE_ATTACHMENTS);
+}
+
+function getAttachmentBlobIds(attachments) {
+    return (attachments || []).flatMap(attachment => [attachment.id, attachment.thumbId]).filter(Boolean);
+}
+
+function getAttachmentKey(attachments) {
+    return (attachments || []).map(attachment => attachment.id).join('\n');
+}
+
+function normalizeNote(item) {
+    const content = String(item.content || '');
+    return {
+        id: String(item.id || ''),
+        title: String(item.title || '未命名笔记'),
+        content,
+        rawContent: typeof item.rawContent === 'string' ? item.rawContent : content,
+        formatProfile: normalizeFormatProfile(item.formatProfile),
+        formatColumns: normalizeWrapColumns(item.formatColumns),
+        markdown: item.markdown === true,
+        tags: normalizeTags(item.tags),
+        folder: normalizeFolderName(item.folder),
+        pinned: item.pinned === true && item.archived !== true,
+        archived: item.archived === true,
+        attachments: normalizeAttachments(item.attachments),
+        createdAt: String(item.createdAt || new Date().toISOString()),
+        updatedAt: String(item.updatedAt || new Date().toISOString())
+    };
+}
+
+function toStoredNote(note) {
+    return {
+        id: note.id,
+        title: note.title,
+        content: note.content,
+        rawContent: note.rawContent,
+        formatProfile: note.formatProfile,
+        formatColumns: note.formatColumns,
+        markdown: note.markdown,
+        tags: note.tags,
+        folder: note.folder,
+        pinned: note.pinned,
+        archived: note.archived,
+        attachments: note.attachments.map(normalizeAttachment),
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt
+    };
+}
+
+function releaseImageUrl(imageId) {
+    const url = imageUrlCache.get(imageId);
+    if (url) {
+        URL.revokeObjectURL(url);
+        imageUrlCache.delete(imageId);
+    }
+}
+
+export function releaseNoteImageUrls() {
+    Array.from(imageUrlCache.keys()).forEach(releaseImageUrl);
+}
+
+async function resolveImageUrl(imageId) {
+    if (!imageId) {
+        return '';
+    }
+
+    if (imageUrlCache.has(imageId)) {
+        return imageUrlCache.get(imageId);
+    }
+
+    try {
+        const blob = await readBlob(imageId);
+        if (!blob) {
+            return '';
+        }
+
+        const url = URL.createObjectURL(blob);
+        imageUrlCache.set(imageId, url);
+        return url;
+    } catch (error) {
+        console.warn(`Failed to load note image ${imageId}:`, error);
+        return '';
+    }
+}
+
+async function resolveAttachmentUrls(attachments) {
+    return Promise.all(attachments.map(async attachment => ({
+        ...attachment,
+        url: await resolveImageUrl(attachment.id),
+        thumbUrl: await resolveImageUrl(attachment.thumbId)
+    })));
+}
+
+async function externalizeImage(note) {
+    if (!isDataUrl(note.imageData)) {
+        return note;
+    }
+
+    const imageId = note.imageId || createImageId(note.id);
+    await writeBlob(imageId, dataUrlToBlob(note.imageData));
+    releaseImageUrl(imageId);
+
+    return {
+        ...note,
+        imageId,
+        imageData: ''
+    };
+}
+
+async function upgradeNotesToV2(notes) {
+    if (!Array.isArray(notes)) {
+        return [];
+    }
+
+    const upgraded = [];
+    for (const item of notes) {
+        const now = new Date().toISOString();
+        const note = {
+            id: String(item?.id || createNoteId()),
+            title: String(item?.title || '未命名笔记'),
+            content: String(item?.content || ''),
+            imageId: '',
+            imageData: item?.imageData ? String(item.imageData) : '',
+            createdAt: String(item?.createdAt || item?.updatedAt || now),
+            updatedAt: String(item?.updatedAt || item?.createdAt || now)
+        };
+        const { imageData, ...stored } = await externalizeImage(note);
+        upgraded.push(stored);
+    }
+
+    return upgraded;
+}
+
+function upgradeNotesToV3(notes) {
     if (!Array.isArray(notes)) {
         return [];
     }
 
-    return notes
-        .map(item => ({
-            id: String(item.id || ''),
-            title: String(item.title || '未命名笔记'),
-            content: String(item.content || ''),
-            imageData: item.imageData ? String(item.imageData) : '',
-            createdAt: String(item.createdAt || new Date().toISOString()),
-            updatedAt: String(item.updatedAt || new Date().toISOString())
-        }))
-        .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+    return notes.map(item => ({
+        ...item,
+        rawContent: String(item?.content || ''),
+        formatProfile: DEFAULT_NOTE_FORMAT_PROFILE,
+        formatColumns: DEFAULT_WRAP_COLUMNS
+    }));
 }
 
-function persistNotes(notes) {
-    writeJSON(NOTES_KEY, notes);
+function upgradeNotesToV4(notes) {
+    if (!Array.isArray(notes)) {
+        return [];
+    }
+
+    return notes.map(item => ({
+        ...item,
+        pinned: false,
+        archived: false
+    }));
 }
 
-function wrapLine(text, maxChars = 28) {
-    const lines = [];
-    let buffer = '';
+async function describeLegacyImage(noteId, imageId) {
+    const blob = await readBlob(imageId);
+    let thumbId = '';
 
-    for (const char of text) {
-        buffer += char;
-        if (buffer.length >= maxChars) {
-            lines.push(buffer.trim());
-            buffer = '';
+    if (blob) {
+        try {
+            const thumbnail = await createImageThumbnail(blob);
+            thumbId = createImageId(noteId, 0, NOTE_THUMB_PREFIX);
+            await writeBlob(thumbId, thumbnail);
+        } catch (error) {
+            thumbId = '';
+            console.warn(`Failed to create thumbnail for note ${noteId}:`, error);
         }
     }
 
-    if (buffer.trim()) {
-        lines.push(buffer.trim());
+    return {
+        id: imageId,
+        thumbId,
+        width: 0,
+        height: 0,
+        mimeType: blob?.type || '',
+        bytes: blob?.size || 0
+    };
+}
+
+async function upgradeNotesToV5(notes) {
+    if (!Array.isArray(notes)) {
+        return [];
+    }
+
+    const upgraded = [];
+    for (const item of notes) {
+        const { imageId, ...rest } = item || {};
+        upgraded.push({
+            ...rest,
+            attachments: imageId ? [await describeLegacyImage(String(item.id), String(imageId))] : []
+        });
     }
 
-    return lines;
+    return upgraded;
 }
 
-export function autoFormatNoteContent(rawText) {
-    const normalized = String(rawText || '')
-        .replace(/\r/g, '\n')
-        .replace(/\t/g, ' ')
-        .split('\n')
-        .map(line => line.trim())
-        .filter(Boolean)
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+function upgradeRevisionsToV2(revisions) {
+    if (!Array.isArray(revisions)) {
+        return [];
+    }
 
-    if (!normalized) {
-        return '';
+    return revisions.map(item => {
+        const { imageId, ...rest } = item || {};
+        return {
+            ...rest,
+            attachments: imageId ? [{ id: String(imageId), thumbId: '', width: 0, height: 0, mimeType: '', bytes: 0 }] : []
+        };
+    });
+}
+
+function buildNoteContent({ content, formatProfile, formatColumns }) {
+    const rawContent = String(content || '').replace(/\r\n?/g, '\n');
+    const profile = normalizeFormatProfile(formatProfile);
+    const columns = normalizeWrapColumns(formatColumns);
+
+    return {
+        content: formatNoteContent(rawContent, { profile, columns }),
+        rawContent,
+        formatProfile: profile,
+        formatColumns: columns
+    };
+}
+
+async function loadNotes() {
+    const stored = await readCollection(NOTES_COLLECTION);
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+
+    const resolved = await Promise.all(stored.map(normalizeNote).map(async note => ({
+        ...note,
+        attachments: await resolveAttachmentUrls(note.attachments)
+    })));
+
+    return resolved.sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+}
+
+async function persistNotes(notes) {
+    await writeCollection(NOTES_COLLECTION, notes.map(toStoredNote));
+}
+
+function normalizeRevision(item) {
+    const content = String(item.content || '');
+    return {
+        id: String(item.id || ''),
+        noteId: String(item.noteId || ''),
+        title: String(item.title || '未命名笔记'),
+        content,
+        rawContent: typeof item.rawContent === 'string' ? item.rawContent : content,
+        formatProfile: normalizeFormatProfile(item.formatProfile),
+        formatColumns: normalizeWrapColumns(item.formatColumns),
+        markdown: item.markdown === true,
+        tags: normalizeTags(item.tags),
+        folder: normalizeFolderName(item.folder),
+        attachments: normalizeAttachments(item.attachments),
+        savedAt: String(item.savedAt || new Date().toISOString()),
+        replacedAt: String(item.replacedAt || item.savedAt || new Date().toISOString())
+    };
+}
+
+async function loadRevisions() {
+    const stored = await readCollection(REVISIONS_COLLECTION);
+    return Array.isArray(stored) ? stored.map(normalizeRevision) : [];
+}
+
+function createRevision(note, replacedAt) {
+    return {
+        id: `${note.id}-rev-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        noteId: note.id,
+        title: note.title,
+        content: note.content,
+        rawContent: note.rawContent,
+        formatProfile: note.formatProfile,
+        formatColumns: note.formatColumns,
+        markdown: note.markdown,
+        tags: note.tags,
+        folder: note.folder,
+        attachments: note.attachments.map(normalizeAttachment),
+        savedAt: note.updatedAt,
+        replacedAt
+    };
+}
+
+function capRevisions(revisions, noteId) {
+    const dropped = revisions
+        .filter(revision => revision.noteId === noteId)
+        .sort((a, b) => new Date(b.replacedAt).getTime() - new Date(a.replacedAt).getTime())
+        .slice(MAX_REVISIONS_PER_NOTE);
+
+    return {
+        kept: revisions.filter(revision => !dropped.includes(revision)),
+        dropped
+    };
+}
+
+async function removeUnreferencedImages(imageIds, notes, revisions) {
+    const referenced = new Set([
+        ...notes.flatMap(note => getAttachmentBlobIds(note.attachments)),
+        ...revisions.flatMap(revision => getAttachmentBlobIds(revision.attachments))
+    ]);
+
+    for (const imageId of new Set(imageIds)) {
+        if (!imageId || referenced.has(imageId)) {
+            continue;
+        }
+
+        releaseImageUrl(imageId);
+        await removeBlob(imageId);
     }
+}
 
-    const sentenceReady = normalized.replace(/([。！？!?\.])\s*/g, '$1\n');
-    const chunks = sentenceReady
-        .split('\n')
-        .map(chunk => chunk.trim())
-        .filter(Boolean);
+function hasNoteChanged(current, next) {
+    return current.title !== next.title
+        || current.content !== next.content
+        || current.rawContent !== next.rawContent
+        || current.formatProfile !== next.formatProfile
+        || current.formatColumns !== next.formatColumns
+        || current.markdown !== next.markdown
+        || current.tags.join('\n') !== next.tags.join('\n')
+        || current.folder !== next.folder
+        || getAttachmentKey(current.attachments) !== getAttachmentKey(next.attachments);
+}
 
-    const lines = [];
-    for (const chunk of chunks) {
-        lines.push(...wrapLine(chunk, 28));
+async function saveNoteVersion(noteId, buildChanges) {
+    const notes = await loadNotes();
+    const index = notes.findIndex(note => note.id === String(noteId));
+    if (index < 0) {
+        throw new Error('笔记不存在或已被删除');
     }
 
-    return lines.join('\n');
+    const current = notes[index];
+    const now = new Date().toISOString();
+    const updated = {
+        ...current,
+        ...(await buildChanges(current)),
+        updatedAt: now
+    };
+
+    if (!hasNoteChanged(current, updated)) {
+        return current;
+    }
+
+    const { kept, dropped } = capRevisions([...(await loadRevisions()), createRevision(current, now)], current.id);
+    notes[index] = updated;
+
+    await writeCollection(REVISIONS_COLLECTION, kept);
+    await persistNotes(notes);
+    await removeUnreferencedImages(
+        [...getAttachmentBlobIds(current.attachments), ...dropped.flatMap(revision => getAttachmentBlobIds(revision.attachments))],
+        notes,
+        kept
+    );
+
+    return updated;
+}
+
+async function discardNoteHistory(removedNotes, keptNotes) {
+    const removedIds = new Set(removedNotes.map(note => note.id));
+    const revisions = await loadRevisions();
+    const keptRevisions = revisions.filter(revision => !removedIds.has(revision.noteId));
+    const removedImageIds = [
+        ...removedNotes.flatMap(note => getAttachmentBlobIds(note.attachments)),
+        ...revisions.filter(revision => removedIds.has(revision.noteId)).flatMap(revision => getAttachmentBlobIds(revision.attachments))
+    ];
+
+    if (keptRevisions.length !== revisions.length) {
+        await writeCollection(REVISIONS_COLLECTION, keptRevisions);
+    }
+    await removeUnreferencedImages(removedImageIds, keptNotes, keptRevisions);
 }
 
-export function getAllNotes() {
+export async function getAllNotes() {
     return loadNotes();
 }
 
-export function addNote({ title, content, imageData }) {
-    const notes = loadNotes();
+async function storeNoteAttachments(noteId, items, knownAttachments) {
+    const known = new Map(knownAttachments.map(attachment => [attachment.id, attachment]));
+    const attachments = [];
+    const writtenIds = [];
+
+    try {
+        const list = (Array.isArray(items) ? items : []).slice(0, MAX_NOTE_ATTACHMENTS);
+        for (const [index, item] of list.entries()) {
+            if (!(item?.blob instanceof Blob)) {
+                const existing = known.get(String(item?.id || ''));
+                if (existing) {
+                    attachments.push(existing);
+                }
+                continue;
+            }
+
+            const id = createImageId(noteId, index);
+            await writeBlob(id, item.blob);
+            writtenIds.push(id);
+
+            let thumbId = '';
+            if (item.thumbBlob instanceof Blob) {
+                thumbId = createImageId(noteId, index, NOTE_THUMB_PREFIX);
+                await writeBlob(thumbId, item.thumbBlob);
+                writtenIds.push(thumbId);
+            }
+
+            attachments.push(normalizeAttachment({
+                id,
+                thumbId,
+                width: item.width,
+                height: item.height,
+                mimeType: item.blob.type,
+                bytes: item.blob.size
+            }));
+        }
+    } catch (error) {
+        await discardBlobs(writtenIds);
+        throw error;
+    }
+
+    return {
+        attachments: await resolveAttachmentUrls(attachments),
+        writtenIds
+    };
+}
+
+async function discardBlobs(blobIds) {
+    for (const blobId of blobIds) {
+        releaseImageUrl(blobId);
+        await removeBlob(blobId).catch(error => console.warn(`Failed to remove image ${blobId}:`, error));
+    }
+}
+
+export async function addNote({ title, content, attachments, formatProfile, formatColumns, markdown, tags, folder }) {
+    const notes = await loadNotes();
     const now = new Date().toISOString();
+    const noteId = createNoteId();
+    const stored = await storeNoteAttachments(noteId, attachments, []);
 
-    const formatted = autoFormatNoteContent(content);
     const note = {
-        id: `${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        id: noteId,
         title: String(title || '').trim() || '未命名笔记',
-        content: formatted,
-        imageData: String(imageData || ''),
+        ...buildNoteContent({ content, formatProfile, formatColumns }),
+        markdown: markdown === true,
+        tags: normalizeTags(tags),
+        folder: normalizeFolderName(folder),
+        pinned: false,
+        archived: false,
+        attachments: stored.attachments,
         createdAt: now,
         updatedAt: now
     };
 
     notes.unshift(note);
-    persistNotes(notes);
+    try {
+        await persistNotes(notes);
+    } catch (error) {
+        await discardBlobs(stored.writtenIds);
+        throw error;
+    }
     return note;
 }
 
-export function deleteNote(noteId) {
-    const notes = loadNotes();
-    const filtered = notes.filter(note => note.id !== String(noteId));
-    persistNotes(filtered);
-    return filtered;
+export async function importNotes(candidates, { formatProfile, formatColumns } = {}) {
+    const notes = await loadNotes();
+    const byHash = new Map(notes.map(note => [getNoteContentHash({ title: note.title, content: note.rawContent }), note]));
+    const usedIds = new Set(notes.map(note => note.id));
+    const writtenIds = [];
+    const result = { imported: 0, merged: 0, skipped: 0 };
+    const now = new Date().toISOString();
+
+    try {
+        for (const candidate of candidates) {
+            const hash = getNoteContentHash(candidate);
+            const existing = byHash.get(hash);
+            if (existing) {
+                const tags = normalizeTags([...existing.tags, ...(candidate.tags || [])]);
+                const folder = existing.folder || normalizeFolderName(candidate.folder);
+                if (tags.length === existing.tags.length && folder === existing.folder) {
+                    result.skipped += 1;
+                    continue;
+                }
+
+                Object.assign(existing, { tags, folder, updatedAt: now });
+                result.merged += 1;
+                continue;
+            }
+
+            let noteId = createNoteId();
+            while (usedIds.has(noteId)) {
+                noteId = createNoteId();
+            }
+            usedIds.add(noteId);
+
+            const stored = await storeNoteAttachments(noteId, candidate.attachments, []);
+            writtenIds.push(...stored.writtenIds);
+            const createdAt = candidate.createdAt || candidate.updatedAt || now;
+            const note = {
+                id: noteId,
+                title: String(candidate.title || '').trim() || '未命名笔记',
+                ...buildNoteContent({
+                    content: candidate.content,
+                    formatProfile: candidate.formatProfile ?? formatProfile,
+                    formatColumns: candidate.formatColumns ?? formatColumns
+                }),
+                markdown: candidate.markdown === true,
+                tags: normalizeTags(candidate.tags),
+                folder: normalizeFolderName(candidate.folder),
+                pinned: false,
+                archived: false,
+                attachments: stored.attachments,
+                createdAt,
+                updatedAt: candidate.updatedAt || createdAt
+            };
+
+            notes.push(note);
+            byHash.set(hash, note);
+            result.imported += 1;
+        }
+
+        if (result.imported > 0 || result.merged > 0) {
+            await persistNotes(notes);
+        }
+    } catch (error) {
+        await discardBlobs(writtenIds);
+        throw error;
+    }
+
+    return {
+        ...result,
+        notes: notes.sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime())
+    };
+}
+
+export async function updateNote(noteId, { title, content, attachments, formatProfile, formatColumns, markdown, tags, folder }) {
+    let writtenIds = [];
+
+    try {
+        return await saveNoteVersion(noteId, async current => {
+            const changes = {
+                title: String(title || '').trim() || '未命名笔记',
+                ...buildNoteContent({ content, formatProfile, formatColumns }),
+                markdown: markdown === true,
+                tags: normalizeTags(tags),
+                folder: normalizeFolderName(folder)
+            };
+
+            if (Array.isArray(attachments)) {
+                const stored = await storeNoteAttachments(current.id, attachments, current.attachments);
+                writtenIds = stored.writtenIds;
+                changes.attachments = stored.attachments;
+            }
+
+            return changes;
+        });
+    } catch (error) {
+        await discardBlobs(writtenIds);
+        throw error;
+    }
+}
+
+export async function getNoteRevisions(noteId) {
+    const revisions = await loadRevisions();
+    return revisions
+        .filter(revision => revision.noteId === String(noteId))
+        .sort((a, b) => new Date(b.replacedAt).getTime() - new Date(a.replacedAt).getTime());
+}
+
+export async function restoreNoteRevision(noteId, revisionId) {
+    const revisions = await loadRevisions();
+    const revision = revisions.find(item => item.id === String(revisionId) && item.noteId === String(noteId));
+    if (!revision) {
+        throw new Error('历史版本不存在');
+    }
+
+    return saveNoteVersion(noteId, async () => ({
+        title: revision.title,
+        content: revision.content,
+        rawContent: revision.rawContent,
+        formatProfile: revision.formatProfile,
+        formatColumns: revision.formatColumns,
+        markdown: revision.markdown,
+        tags: revision.tags,
+        folder: revision.folder,
+        attachments: await resolveAttachmentUrls(revision.attachments)
+    }));
+}
+
+export async function renameNoteTag(fromTag, toTag) {
+    const target = normalizeTags([toTag])[0];
+    if (!target) {
+        throw new Error('标签名不能为空');
+    }
+
+    const notes = await loadNotes();
+    let affectedCount = 0;
+    const renamed = notes.map(note => {
+        if (!note.tags.some(tag => isSameTag(tag, fromTag))) {
+            return note;
+        }
+
+        affectedCount += 1;
+        return {
+            ...note,
+            tags: normalizeTags(note.tags.map(tag => (isSameTag(tag, fromTag) ? target : tag)))
+        };
+    });
+
+    if (affectedCount > 0) {
+        await persistNotes(renamed);
+    }
+
+    return {
+        affectedCount,
+        tag: target,
+        notes: renamed
+    };
+}
+
+async function updateNoteFlags(noteId, flags) {
+    const notes = await loadNotes();
+    const index = notes.findIndex(note => note.id === String(noteId));
+    if (index < 0) {
+        throw new Error('笔记不存在或已被删除');
+    }
+
+    notes[index] = normalizeNote({
+        ...notes[index],
+        ...(typeof flags === 'function' ? flags(notes[index]) : flags)
+    });
+    notes[index].attachments = await resolveAttachmentUrls(notes[index].attachments);
+    await persistNotes(notes);
+
+    return {
+        note: notes[index],
+        notes
+    };
+}
+
+export async function setNotePinned(noteId, pinned) {
+    return updateNoteFlags(noteId, { pinned: Boolean(pinned) });
+}
+
+export async function setNoteArchived(noteId, archived) {
+    return updateNoteFlags(noteId, archived ? { archived: true, pinned: false } : { archived: false });
+}
+
+export async function toggleNoteChecklistItem(noteId, itemIndex) {
+    return updateNoteFlags(noteId, note => {
+        const rawContent = toggleChecklistItem(note.rawContent, itemIndex);
+        if (rawContent === null) {
+            throw new Error('清单项不存在，请刷新后重试');
+        }
+
+        return {
+            ...buildNoteContent({
+                content: rawContent,
+                formatProfile: note.formatProfile,
+                formatColumns: note.formatColumns
+            }),
+            updatedAt: new Date().toISOString()
+        };
+    });
+}
+
+export async function detachNote(noteId) {
+    const notes = await loadNotes();
+    const target = notes.find(note => note.id === String(noteId));
+    if (!target) {
+        return null;
+    }
+
+    const kept = notes.filter(note => note.id !== target.id);
+    await persistNotes(kept);
+
+    return {
+        note: toStoredNote(target),
+        notes: kept
+    };
+}
+
+export async function attachNote(storedNote) {
+    const note = normalizeNote(storedNote || {});
+    const notes = await loadNotes();
+    if (!note.id || notes.some(item => item.id === note.id)) {
+        throw new Error('同名笔记已存在，无法还原');
+    }
+
+    await persistNotes([note, ...notes]);
+    return loadNotes();
+}
+
+export async function purgeDetachedNotes(storedNotes) {
+    const removed = (Array.isArray(storedNotes) ? storedNotes : []).map(normalizeNote);
+    if (removed.length > 0) {
+        await discardNoteHistory(removed, await loadNotes());
+    }
+}
+
+async function compressAttachment(noteId, attachment, index, options, writtenIds) {
+    const original = await readBlob(attachment.id);
+    if (!original) {
+        return null;
+    }
+
+    const next = { ...attachment };
+    if (!next.thumbId) {
+        const thumbId = createImageId(noteId, index, NOTE_THUMB_PREFIX);
+        await writeBlob(thumbId, await createImageThumbnail(original));
+        writtenIds.push(thumbId);
+        next.thumbId = thumbId;
+    }
+
+    const compressed = await compressImageBlob(original, options);
+    if (compressed.size >= original.size * 0.95) {
+        return next.thumbId === attachment.thumbId ? null : { attachment: next, savedBytes: 0 };
+    }
+
+    const imageId = createImageId(noteId, index);
+    await writeBlob(imageId, compressed);
+    writtenIds.push(imageId);
+    return {
+        attachment: { ...next, id: imageId, mimeType: compressed.type, bytes: compressed.size },
+        savedBytes: original.size - compressed.size
+    };
+}
+
+export async function compressNoteImages(options = {}) {
+    const notes = await loadNotes();
+    const revisions = await loadRevisions();
+    let compressedCount = 0;
+    let savedBytes = 0;
+    let error = null;
+
+    for (const note of notes) {
+        const previousAttachments = note.attachments;
+        const attachments = [...previousAttachments];
+        const writtenIds = [];
+        let noteCompressed = 0;
+        let noteSaved = 0;
+
+        for (let index = 0; index < attachments.length && !error; index += 1) {
+            try {
+                const result = await compressAttachment(note.id, attachments[index], index, options, writtenIds);
+                if (!result) {
+                    continue;
+                }
+
+                attachments[index] = result.attachment;
+                if (result.attachment.id !== previousAttachments[index].id) {
+                    noteCompressed += 1;
+                    noteSaved += result.savedBytes;
+                }
+            } catch (itemError) {
+                if (itemError instanceof StorageQuotaError) {
+                    error = itemError;
+                    break;
+                }
+                console.warn(`Failed to compress image of note ${note.id}:`, itemError);
+            }
+        }
+
+        const keptIds = new Set(getAttachmentBlobIds(attachments));
+        await discardBlobs(writtenIds.filter(blobId => !keptIds.has(blobId)));
+        if (attachments.every((attachment, index) => attachment === previousAttachments[index])) {
+            if (error) {
+                break;
+            }
+            continue;
+        }
+
+        note.attachments = attachments;
+        try {
+            await persistNotes(notes);
+        } catch (persistError) {
+            note.attachments = previousAttachments;
+            await discardBlobs(writtenIds);
+            error = persistError;
+            break;
+        }
+
+        compressedCount += noteCompressed;
+        savedBytes += noteSaved;
+        await removeUnreferencedImages(getAttachmentBlobIds(previousAttachments), notes, revisions);
+        if (error) {
+            break;
+        }
+    }
+
+    return {
+        compressedCount,
+        savedBytes,
+        notes: await loadNotes(),
+        error
+    };
+}
+
+export async function detachNotesOlderThan(days) {
+    const cutoff = Date.now() - Math.max(1, Number(days) || 0) * 24 * 60 * 60 * 1000;
+    const notes = await loadNotes();
+    const expired = notes.filter(note => !note.pinned && new Date(note.updatedAt).getTime() < cutoff);
+    const kept = notes.filter(note => !expired.includes(note));
+    if (expired.length > 0) {
+        await persistNotes(kept);
+    }
+
+    return {
+        detachedNotes: expired.map(toStoredNote),
+        notes: kept
+    };
 }
@@ -0,0 +1,352 @@
+﻿const NUMBER = '[0-9\u96f6\u3007\u4e00\u4e8c\u4e24\u4e09\u56db\u4e94\u516d\u4e03\u516b\u4e5d\u5341]+';
+const WEEKDAY_CHARS = '\u4e00\u4e8c\u4e09\u56db\u4e94\u516d\u65e5\u5929\u4e03';
+const PERIOD = '\u51cc\u6668|\u6e05\u6668|\u65e9\u4e0a|\u65e9\u6668|\u4e0a\u5348|\u4e2d\u5348|\u5348\u540e|\u4e0b\u5348|\u508d\u665a|\u665a\u4e0a|\u591c\u91cc|\u534a\u591c|\u4eca\u665a|\u660e\u665a';
+const DIGIT_VALUES = {
+    '\u96f6': 0, '\u3007': 0, '\u4e00': 1, '\u4e8c': 2, '\u4e24': 2, '\u4e09': 3, '\u56db': 4,
+    '\u4e94': 5, '\u516d': 6, '\u4e03': 7, '\u516b': 8, '\u4e5d': 9
+};
+const WEEKDAY_VALUES = {
+    '\u65e5': 0, '\u5929': 0, '\u4e03': 0, '\u4e00': 1, '\u4e8c': 2, '\u4e09': 3, '\u56db': 4, '\u4e94': 5, '\u516d': 6
+};
+const PERIOD_DEFAULT_HOURS = {
+    '\u51cc\u6668': 5, '\u6e05\u6668': 7, '\u65e9\u4e0a': 8, '\u65e9\u6668': 8, '\u4e0a\u5348': 9, '\u4e2d\u5348': 12, '\u5348\u540e': 14,
+    '\u4e0b\u5348': 15, '\u508d\u665a': 18, '\u665a\u4e0a': 20, '\u591c\u91cc': 22, '\u534a\u591c': 0, '\u4eca\u665a': 20, '\u660e\u665a': 20
+};
+const AFTERNOON_PERIODS = ['\u5348\u540e', '\u4e0b\u5348', '\u508d\u665a', '\u665a\u4e0a', '\u591c\u91cc', '\u4eca\u665a', '\u660e\u665a'];
+const NIGHT_PERIODS = ['\u665a\u4e0a', '\u591c\u91cc', '\u4eca\u665a', '\u660e\u665a'];
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+const WEEKDAY_LABELS = ['\u5468\u65e5', '\u5468\u4e00', '\u5468\u4e8c', '\u5468\u4e09', '\u5468\u56db', '\u5468\u4e94', '\u5468\u516d'];
+const REPEAT_LABELS = {
+    once: '\u4ec5\u4e00\u6b21',
+    daily: '\u6bcf\u5929',
+    weekdays: '\u5de5\u4f5c\u65e5',
+    monthly: '\u6bcf\u6708',
+    yearly: '\u6bcf\u5e74'
+};
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+function parseNumber(value) {
+    const text = String(value || '');
+    if (/^\d+$/.test(text)) {
+        return Number(text);
+    }
+
+    const tenIndex = text.indexOf('\u5341');
+    if (tenIndex === -1) {
+        return text.split('').reduce((sum, char) => sum * 10 + DIGIT_VALUES[char], 0);
+    }
+
+    if (text.indexOf('\u5341', tenIndex + 1) !== -1 || text.length - tenIndex > 2 || tenIndex > 1) {
+        return NaN;
+    }
+
+    const tens = tenIndex === 0 ? 1 : DIGIT_VALUES[text[0]];
+    const ones = tenIndex + 1 < text.length ? DIGIT_VALUES[text[tenIndex + 1]] : 0;
+    return tens * 10 + ones;
+}
+
+function createScanner(text) {
+    let rest = String(text || '').replace(/\s+/g, ' ').trim();
+    return {
+        take(pattern) {
+            const match = rest.match(pattern);
+            if (match) {
+                rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+            }
+            return match;
+        },
+        rest() {
+            return rest;
+        }
+    };
+}
+
+function parseWeekdayList(value) {
+    const tokens = value.replace(/\u5468|\u661f\u671f|\u793c\u62dc/g, '').replace(/[\u5230\u81f3~-]/g, '>').replace(/[\u3001,\uff0c\u548c\u53ca]/g, '');
+    const days = new Set();
+
+    for (let index = 0; index < tokens.length; index += 1) {
+        const day = WEEKDAY_VALUES[tokens[index]];
+        if (tokens[index + 1] === '>' && tokens[index + 2] in WEEKDAY_VALUES) {
+            const end = WEEKDAY_VALUES[tokens[index + 2]] || 7;
+            for (let current = day; current <= end; current += 1) {
+                days.add(current % 7);
+            }
+            index += 2;
+        } else if (day !== undefined) {
+            days.add(day);
+        }
+    }
+
+    return Array.from(days).sort((a, b) => a - b);
+}
+
+function takeRepeat(scanner) {
+    if (scanner.take(/(?:\u6bcf\u4e2a?)?\u5de5\u4f5c\u65e5/)) {
+        return { repeatType: 'weekdays', repeatWeekdays: [1, 2, 3, 4, 5] };
+    }
+
+    if (scanner.take(/\u6bcf\u5929|\u6bcf\u65e5|\u5929\u5929/)) {
+        return { repeatType: 'daily', repeatWeekdays: [] };
+    }
+
+    const weekly = scanner.take(new RegExp(`\u6bcf\u4e2a?(?:\u5468|\u661f\u671f|\u793c\u62dc)((?:[${WEEKDAY_CHARS}\u3001,\uff0c\u548c\u53ca\u5230\u81f3~-]|\u5468|\u661f\u671f|\u793c\u62dc)+)`));
+    if (weekly) {
+        const repeatWeekdays = parseWeekdayList(weekly[1]);
+        if (repeatWeekdays.join(',') === '1,2,3,4,5') {
+            return { repeatType: 'weekdays', repeatWeekdays };
+        }
+        return repeatWeekdays.length > 0 ? { repeatType: 'weekly', repeatWeekdays } : null;
+    }
+
+    const monthly = scanner.take(new RegExp(`\u6bcf\u4e2a?\u6708(${NUMBER})[\u53f7\u65e5]`));
+    if (monthly) {
+        return { repeatType: 'monthly', repeatWeekdays: [], day: parseNumber(monthly[1]) };
+    }
+
+    const yearly = scanner.take(new RegExp(`\u6bcf\u5e74(${NUMBER})\u6708(${NUMBER})[\u53f7\u65e5]`));
+    if (yearly) {
+        return { repeatType: 'yearly', repeatWeekdays: [], month: parseNumber(yearly[1]), day: parseNumber(yearly[2]) };
+    }
+
+    return null;
+}
+
+function addDays(date, days) {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+}
+
+function createDay(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+function takeDate(scanner, now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    const relative = scanner.take(new RegExp(`(${NUMBER}|\u534a)\u4e2a?(\u5929|\u5c0f\u65f6|\u5206\u949f)[\u4ee5\u4e4b]?\u540e`));
+    if (relative) {
+        const amount = relative[1] === '\u534a' ? 0.5 : parseNumber(relative[1]);
+        if (relative[2] === '\u5929') {
+            return { date: addDays(today, amount) };
+        }
+        const minutes = relative[2] === '\u5c0f\u65f6' ? amount * 60 : amount;
+        const at = new Date(now.getTime() + minutes * 60 * 1000);
+        at.setSeconds(0, 0);
+        return { at };
+    }
+
+    const named = scanner.take(/\u5927\u540e\u5929|\u540e\u5929|\u660e\u5929|\u660e\u65e5|\u660e\u665a|\u4eca\u5929|\u4eca\u65e5|\u4eca\u665a/);
+    if (named) {
+        const offsets = { '\u4eca\u5929': 0, '\u4eca\u65e5': 0, '\u4eca\u665a': 0, '\u660e\u5929': 1, '\u660e\u65e5': 1, '\u660e\u665a': 1, '\u540e\u5929': 2, '\u5927\u540e\u5929': 3 };
+        return {
+            date: addDays(today, offsets[named[0]]),
+            period: named[0].endsWith('\u665a') ? named[0] : ''
+        };
+    }
+
+    const weekday = scanner.take(new RegExp(`(\u4e0b\u4e0b|\u4e0b\u4e2a?|\u672c|\u8fd9\u4e2a?)?(?:\u5468|\u661f\u671f|\u793c\u62dc)([${WEEKDAY_CHARS}])`));
+    if (weekday) {
+        const target = WEEKDAY_VALUES[weekday[2]];
+        if (!weekday[1]) {
+            return { date: addDays(today, (target - today.getDay() + 7) % 7), rollWeek: true };
+        }
+
+        const monday = addDays(today, -((today.getDay() + 6) % 7));
+        const weeks = weekday[1] === '\u4e0b\u4e0b' ? 2 : (weekday[1].startsWith('\u4e0b') ? 1 : 0);
+        return { date: addDays(monday, weeks * 7 + (target + 6) % 7) };
+    }
+
+    const fullDate = scanner.take(new RegExp(`(?:(\\d{4})\u5e74)?(${NUMBER})\u6708(${NUMBER})[\u53f7\u65e5]`));
+    if (fullDate) {
+        const year = fullDate[1] ? Number(fullDate[1]) : today.getFullYear();
+        const date = createDay(year, parseNumber(fullDate[2]), parseNumber(fullDate[3]));
+        return date ? { date, rollYear: !fullDate[1] } : { invalid: true };
+    }
+
+    const dayOfMonth = scanner.take(new RegExp(`(\u4e0b\u4e2a?\u6708|\u672c\u6708|\u8fd9\u4e2a?\u6708)?(${NUMBER})[\u53f7\u65e5]`));
+    if (dayOfMonth) {
+        const monthOffset = dayOfMonth[1]?.startsWith('\u4e0b') ? 1 : 0;
+        const month = new Date(today.getFullYear(), today.getMonth() + monthOffset, 1);
+        const date = createDay(month.getFullYear(), month.getMonth() + 1, parseNumber(dayOfMonth[2]));
+        return date ? { date, rollMonth: !dayOfMonth[1] } : { invalid: true };
+    }
+
+    return null;
+}
+
+function toHour(value, period) {
+    let hour = parseNumber(value);
+    if (AFTERNOON_PERIODS.includes(period) && hour < 12) {
+        hour += 12;
+    } else if (period === '\u4e2d\u5348' && hour < 11) {
+        hour += 12;
+    } else if ((period === '\u51cc\u6668' || period === '\u534a\u591c') && hour === 12) {
+        hour = 0;
+    } else if (NIGHT_PERIODS.includes(period) && hour === 12) {
+        hour = 24;
+    }
+    return hour;
+}
+
+function toMinute(value, half, quarter) {
+    if (half) {
+        return 30;
+    }
+    if (quarter) {
+        return quarter === '\u4e00\u523b' ? 15 : 45;
+    }
+    return value ? parseNumber(value) : 0;
+}
+
+function isValidTime({ hour, minute }) {
+    return Number.isInteger(hour) && hour >= 0 && hour <= 24 && Number.isInteger(minute) && minute >= 0 && minute <= 59;
+}
+
+function takeTimes(scanner, datePeriod) {
+    const clock = `(${PERIOD})?(${NUMBER})(?:[\u70b9\u65f6](?:(${NUMBER})\u5206?|(\u534a)|(\u4e00\u523b|\u4e09\u523b))?|[:\uff1a](\\d{1,2}))`;
+    const range = scanner.take(new RegExp(`\u4ece?${clock}(?:\u5230|\u81f3|~|-)${clock}[\uff0c,]?\u6bcf\u9694?(${NUMBER}|\u534a)?\u4e2a?(\u5c0f\u65f6|\u5206\u949f)`));
+    if (range) {
+        const startPeriod = range[1] || datePeriod;
+        const start = { hour: toHour(range[2], startPeriod), minute: toMinute(range[3] || range[6], range[4], range[5]) };
+        const end = { hour: toHour(range[8], range[7] || startPeriod), minute: toMinute(range[9] || range[12], range[10], range[11]) };
+        const amount = range[13] === '\u534a' ? 0.5 : (range[13] ? parseNumber(range[13]) : 1);
+        const step = range[14] === '\u5c0f\u65f6' ? amount * 60 : amount;
+        if (!isValidTime(start) || !isValidTime(end) || !(step >= 1)) {
+            return { invalid: true };
+        }
+
+        const times = [];
+        for (let minutes = start.hour * 60 + start.minute; minutes <= end.hour * 60 + end.minute; minutes += step) {
+            times.push({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+        }
+        return times.length > 0 ? { times } : { invalid: true };
+    }
+
+    const single = scanner.take(new RegExp(clock));
+    if (single) {
+        const period = single[1] || datePeriod;
+        const time = { hour: toHour(single[2], period), minute: toMinute(single[3] || single[6], single[4], single[5]) };
+        return isValidTime(time) ? { times: [time] } : { invalid: true };
+    }
+
+    const periodOnly = scanner.take(new RegExp(PERIOD));
+    const period = periodOnly ? periodOnly[0] : datePeriod;
+    return period ? { times: [{ hour: PERIOD_DEFAULT_HOURS[period], minute: 0 }] } : null;
+}
+
+function cleanTitle(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\uff0c,\u3002\u3001:\uff1a]*(?:\u63d0\u9192\u6211|\u63d0\u9192|\u53eb\u6211|\u8bb0\u5f97|\u522b\u5fd8\u4e86)?[\s\uff0c,\u3002\u3001:\uff1a]*/, '')
+        .replace(/(?:\u7684\u63d0\u9192|\u63d0\u9192)?[\s\uff0c,\u3002\u3001\uff01!]*$/, '')
+        .trim();
+}
+
+function atTime(date, { hour, minute }) {
+    const next = new Date(date);
+    next.setHours(hour, minute, 0, 0);
+    return next;
+}
+
+function resolveOnceDates(dateInfo, times, now) {
+    if (dateInfo?.at) {
+        return [dateInfo.at];
+    }
+
+    let day = dateInfo?.date || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const firstTime = times[0];
+    if (atTime(day, firstTime).getTime() <= now.getTime()) {
+        if (!dateInfo || dateInfo.rollWeek) {
+            day = addDays(day, dateInfo ? 7 : 1);
+        } else if (dateInfo.rollMonth) {
+            const month = new Date(day.getFullYear(), day.getMonth() + 1, 1);
+            day = createDay(month.getFullYear(), month.getMonth() + 1, day.getDate());
+        } else if (dateInfo.rollYear) {
+            day = createDay(day.getFullYear() + 1, day.getMonth() + 1, day.getDate());
+        }
+    }
+
+    return day ? times.map(time => atTime(day, time)) : [];
+}
+
+function resolveRepeatDates(repeat, times, now) {
+    if (repeat.repeatType === 'monthly') {
+        if (!(repeat.day >= 1 && repeat.day <= 31)) {
+            return [];
+        }
+        for (let offset = 0; offset < 12; offset += 1) {
+            const month = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+            const day = createDay(month.getFullYear(), month.getMonth() + 1, repeat.day);
+            if (day) {
+                return times.map(time => atTime(day, time));
+            }
+        }
+        return [];
+    }
+
+    if (repeat.repeatType === 'yearly') {
+        const day = createDay(now.getFullYear(), repeat.month, repeat.day) || createDay(2024, repeat.month, repeat.day);
+        return day ? times.map(time => atTime(day, time)) : [];
+    }
+
+    return times.map(time => atTime(now, time));
+}
+
+export function parseReminderText(text, now = new Date()) {
+    const scanner = createScanner(text);
+    const repeat = takeRepeat(scanner);
+    const dateInfo = repeat ? null : takeDate(scanner, now);
+    if (dateInfo?.invalid) {
+        return null;
+    }
+
+    const timeInfo = dateInfo?.at ? null : takeTimes(scanner, dateInfo?.period || '');
+    if (timeInfo?.invalid || (!repeat && !dateInfo && !timeInfo)) {
+        return null;
+    }
+
+    const times = timeInfo?.times || [DEFAULT_TIME];
+    const dates = repeat ? resolveRepeatDates(repeat, times, now) : resolveOnceDates(dateInfo, times, now);
+    if (dates.length === 0) {
+        return null;
+    }
+
+    return {
+        title: cleanTitle(scanner.rest()),
+        repeatType: repeat ? repeat.repeatType : 'once',
+        repeatWeekdays: repeat ? repeat.repeatWeekdays : [],
+        dates
+    };
+}
+
+function formatTime(date) {
+    return `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+export function describeParsedReminder(parsed) {
+    const first = parsed.dates[0];
+    const times = parsed.dates.map(formatTime).join('\u3001');
+    let schedule = '';
+
+    if (parsed.repeatType === 'once') {
+        const day = `${first.getFullYear()}-${pad2(first.getMonth() + 1)}-${pad2(first.getDate())}`;
+        schedule = `${day} ${times}`;
+    } else if (parsed.repeatType === 'weekly') {
+        schedule = `\u6bcf\u5468 ${parsed.repeatWeekdays.map(day => WEEKDAY_LABELS[day]).join('\u3001')} ${times}`;
+    } else if (parsed.repeatType === 'monthly') {
+        schedule = `\u6bcf\u6708 ${first.getDate()}\u65e5 ${times}`;
+    } else if (parsed.repeatType === 'yearly') {
+        schedule = `\u6bcf\u5e74 ${first.getMonth() + 1}\u6708${first.getDate()}\u65e5 ${times}`;
+    } else {
+        schedule = `${REPEAT_LABELS[parsed.repeatType]} ${times}`;
+    }
+
+    const count = parsed.dates.length > 1 ? `\uff0c\u5171 ${parsed.dates.length} \u4e2a\u63d0\u9192` : '';
+    return `\u8bc6\u522b\u4e3a\uff1a${parsed.title ? `\u300c${parsed.title}\u300d` : ''}${schedule}${count}`;
+}
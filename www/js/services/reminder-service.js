@@ -1,8 +1,30 @@
-﻿import { readJSON, writeJSON } from '../core/storage.js';
+﻿import { defineCollection, readCollection, writeCollection } from '../core/storage.js';
 
-const REMINDERS_KEY = 'jeff_toolbox_reminders_v1';
-const VALID_REPEAT_TYPES = new Set(['once', 'daily', 'weekdays', 'weekly', 'monthly', 'yearly']);
+const REMINDERS_COLLECTION = 'reminders';
+const REMINDER_LOG_COLLECTION = 'reminderLog';
+const MAX_REMINDER_LOG_ENTRIES = 2000;
+const MAX_SNOOZE_MINUTES = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUS_LOOKBACK_DAYS = { daily: 2, weekdays: 8, weekly: 8, monthly: 32, yearly: 367 };
+const STREAK_LOOKBACK_DAYS = { daily: 400, weekdays: 400, weekly: 400, monthly: 3700, yearly: 36600 };
+const VALID_REPEAT_TYPES = new Set(['once', 'daily', 'weekdays', 'weekly', 'monthly', 'yearly', 'custom']);
 const WORKDAY_WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKDAY_LABELS = ['\u5468\u65e5', '\u5468\u4e00', '\u5468\u4e8c', '\u5468\u4e09', '\u5468\u56db', '\u5468\u4e94', '\u5468\u516d'];
+const RULE_UNIT_LABELS = { DAILY: '\u5929', WEEKLY: '\u5468', MONTHLY: '\u6708', YEARLY: '\u5e74' };
+const RULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RULE_PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+const MAX_RULE_PERIODS = 5000;
+const MAX_EXPLICIT_OCCURRENCES = 8;
+const PRESET_FREQUENCIES = {
+    daily: 'DAILY',
+    weekdays: 'WEEKLY',
+    weekly: 'WEEKLY',
+    monthly: 'MONTHLY',
+    yearly: 'YEARLY'
+};
+
+export const PENDING_NOTIFICATION_BUDGET = 64;
 
 function normalizeRepeatType(value) {
     const parsed = String(value || 'once').trim().toLowerCase();
@@ -21,14 +43,55 @@ function normalizeWeekdays(value) {
     return Array.from(new Set(weekdays)).sort((a, b) => a - b);
 }
 
+defineCollection(REMINDERS_COLLECTION, {
+    key: 'jeff_toolbox_reminders',
+    label: '\u63d0\u9192',
+    version: 2,
+    legacyKeys: ['jeff_toolbox_reminders_v1'],
+    migrations: [
+        { version: 2, migrate: upgradeRemindersToV2 }
+    ]
+});
+
+defineCollection(REMINDER_LOG_COLLECTION, {
+    key: 'jeff_toolbox_reminder_log',
+    label: '\u63d0\u9192\u8bb0\u5f55',
+    version: 1
+});
+
+export const SNOOZE_MINUTE_OPTIONS = [5, 10, 30];
+export const DEFAULT_SNOOZE_MINUTES = 10;
+
 function normalizeNotificationIds(item) {
-    const fromArray = Array.isArray(item?.notificationIds) ? item.notificationIds : [];
-    const fromSingle = item?.notificationId ? [item.notificationId] : [];
-    const merged = [...fromArray, ...fromSingle]
+    const ids = Array.isArray(item?.notificationIds) ? item.notificationIds : [];
+    const parsed = ids
         .map(id => Number(id))
         .filter(id => Number.isInteger(id) && id > 0);
 
-    return Array.from(new Set(merged));
+    return Array.from(new Set(parsed));
+}
+
+function upgradeRemindersToV2(reminders) {
+    if (!Array.isArray(reminders)) {
+        return [];
+    }
+
+    return reminders.map(item => {
+        const { notificationId, ...rest } = item || {};
+        const createdAt = String(rest.createdAt || new Date().toISOString());
+
+        return {
+            ...rest,
+            createdAt,
+            startAt: String(rest.startAt || rest.dueAt || createdAt),
+            notificationIds: normalizeNotificationIds({
+                notificationIds: [
+                    ...(Array.isArray(rest.notificationIds) ? rest.notificationIds : []),
+                    ...(notificationId ? [notificationId] : [])
+                ]
+            })
+        };
+    });
 }
 
 function parseDate(value, fallback = new Date()) {
@@ -50,96 +113,320 @@ function getTimeParts(date) {
     };
 }
 
-function getNextDateByWeekdays(weekdays, timeParts, nowDate) {
-    if (!Array.isArray(weekdays) || weekdays.length === 0) {
-        return null;
+function parseRuleInteger(value, { min, max, allowNegative = false }) {
+    const number = Number(value);
+    const valid = /^[+-]?\d+$/.test(String(value))
+        && ((number >= min && number <= max) || (allowNegative && number <= -min && number >= -max));
+    if (!valid) {
+        throw new Error(`\u91cd\u590d\u89c4\u5219\u4e2d\u7684\u6570\u503c\u65e0\u6548\uff1a${value}`);
     }
+    return number;
+}
 
-    let nextDate = null;
-    weekdays.forEach(weekday => {
-        const candidate = new Date(nowDate);
-        const offset = (weekday - candidate.getDay() + 7) % 7;
-        candidate.setDate(candidate.getDate() + offset);
-        candidate.setHours(timeParts.hour, timeParts.minute, 0, 0);
-        if (candidate.getTime() <= nowDate.getTime()) {
-            candidate.setDate(candidate.getDate() + 7);
-        }
+function parseRuleUntil(value) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        throw new Error(`\u91cd\u590d\u89c4\u5219\u7684\u7ed3\u675f\u65e5\u671f\u65e0\u6548\uff1a${value}`);
+    }
+
+    const [year, month, day, hour = 23, minute = 59, second = 59] = match.slice(1, 7).map(part => (part === undefined ? undefined : Number(part)));
+    const date = match[7]
+        ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+        : new Date(year, month - 1, day, hour, minute, second);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`\u91cd\u590d\u89c4\u5219\u7684\u7ed3\u675f\u65e5\u671f\u65e0\u6548\uff1a${value}`);
+    }
+    return date;
+}
+
+export function parseRecurrenceRule(text) {
+    const rule = {
+        freq: '',
+        interval: 1,
+        byDay: [],
+        byMonthDay: [],
+        byMonth: [],
+        bySetPos: [],
+        until: null,
+        count: 0
+    };
 
-        if (!nextDate || candidate.getTime() < nextDate.getTime()) {
-            nextDate = candidate;
+    String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [rawKey, value = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const values = value.trim().toUpperCase().split(',').filter(Boolean);
+
+        if (key === 'FREQ') {
+            if (!RULE_FREQUENCIES.includes(values[0])) {
+                throw new Error(`\u4e0d\u652f\u6301\u7684\u91cd\u590d\u9891\u7387\uff1a${value}`);
+            }
+            rule.freq = values[0];
+        } else if (key === 'INTERVAL') {
+            rule.interval = parseRuleInteger(values[0], { min: 1, max: 999 });
+        } else if (key === 'BYDAY') {
+            rule.byDay = values.map(token => {
+                const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                if (!match) {
+                    throw new Error(`\u91cd\u590d\u89c4\u5219\u4e2d\u7684\u661f\u671f\u65e0\u6548\uff1a${token}`);
+                }
+                return {
+                    weekday: RULE_WEEKDAYS.indexOf(match[2]),
+                    ordinal: match[1] ? parseRuleInteger(match[1], { min: 1, max: 5, allowNegative: true }) : 0
+                };
+            });
+        } else if (key === 'BYMONTHDAY') {
+            rule.byMonthDay = values.map(item => parseRuleInteger(item, { min: 1, max: 31, allowNegative: true }));
+        } else if (key === 'BYMONTH') {
+            rule.byMonth = values.map(item => parseRuleInteger(item, { min: 1, max: 12 }));
+        } else if (key === 'BYSETPOS') {
+            rule.bySetPos = values.map(item => parseRuleInteger(item, { min: 1, max: 366, allowNegative: true }));
+        } else if (key === 'UNTIL') {
+            rule.until = parseRuleUntil(values[0]);
+        } else if (key === 'COUNT') {
+            rule.count = parseRuleInteger(values[0], { min: 1, max: 9999 });
+        } else if (key !== 'WKST') {
+            throw new Error(`\u4e0d\u652f\u6301\u7684\u91cd\u590d\u89c4\u5219\uff1a${key}`);
         }
     });
 
-    return nextDate;
-}
-
-function getNextMonthlyDate(startDate, nowDate) {
-    const day = Math.min(startDate.getDate(), 28);
-    const timeParts = getTimeParts(startDate);
-    let year = nowDate.getFullYear();
-    let month = nowDate.getMonth();
-
-    let candidate = new Date(
-        year,
-        month,
-        day,
-        timeParts.hour,
-        timeParts.minute,
-        0,
-        0
-    );
-
-    if (candidate.getTime() <= nowDate.getTime()) {
-        month += 1;
-        if (month > 11) {
-            month = 0;
-            year += 1;
-        }
+    if (!rule.freq) {
+        throw new Error('\u91cd\u590d\u89c4\u5219\u7f3a\u5c11\u9891\u7387');
+    }
+    if (rule.until && rule.count) {
+        throw new Error('\u91cd\u590d\u89c4\u5219\u4e0d\u80fd\u540c\u65f6\u8bbe\u7f6e\u7ed3\u675f\u65e5\u671f\u548c\u6b21\u6570');
+    }
+    if (rule.byDay.some(item => item.ordinal) && (rule.freq === 'DAILY' || rule.freq === 'WEEKLY')) {
+        throw new Error('\u6309\u5929\u6216\u6309\u5468\u91cd\u590d\u65f6\u4e0d\u80fd\u6307\u5b9a\u7b2c\u51e0\u4e2a\u661f\u671f');
+    }
+    if (rule.freq === 'YEARLY' && rule.byDay.length > 0 && rule.byMonth.length === 0) {
+        throw new Error('\u6309\u5e74\u91cd\u590d\u5e76\u6307\u5b9a\u661f\u671f\u65f6\u9700\u8981\u540c\u65f6\u6307\u5b9a\u6708\u4efd');
+    }
+    return rule;
+}
+
+function formatRuleUntil(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
 
-        candidate = new Date(
-            year,
-            month,
-            day,
-            timeParts.hour,
-            timeParts.minute,
-            0,
-            0
-        );
+export function formatRecurrenceRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay.length > 0) {
+        parts.push(`BYDAY=${rule.byDay.map(item => `${item.ordinal || ''}${RULE_WEEKDAYS[item.weekday]}`).join(',')}`);
+    }
+    if (rule.byMonthDay.length > 0) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
     }
+    if (rule.byMonth.length > 0) {
+        parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    }
+    if (rule.bySetPos.length > 0) {
+        parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${formatRuleUntil(rule.until)}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+    return parts.join(';');
+}
 
-    return candidate;
+function getClampedMonthDays(day) {
+    return day > 28 ? Array.from({ length: day - 27 }, (_item, index) => 28 + index) : [day];
 }
 
-function getNextYearlyDate(startDate, nowDate) {
-    const month = startDate.getMonth();
+function getReminderRule({ repeatType, repeatWeekdays, rrule }, startDate) {
+    if (repeatType === 'custom') {
+        return parseRecurrenceRule(rrule);
+    }
+
+    const rule = parseRecurrenceRule(`FREQ=${PRESET_FREQUENCIES[repeatType] || 'DAILY'}`);
     const day = startDate.getDate();
-    const timeParts = getTimeParts(startDate);
-    let year = nowDate.getFullYear();
-
-    let candidate = new Date(
-        year,
-        month,
-        Math.min(day, daysInMonth(year, month)),
-        timeParts.hour,
-        timeParts.minute,
-        0,
-        0
-    );
-
-    if (candidate.getTime() <= nowDate.getTime()) {
-        year += 1;
-        candidate = new Date(
-            year,
-            month,
-            Math.min(day, daysInMonth(year, month)),
-            timeParts.hour,
-            timeParts.minute,
-            0,
-            0
-        );
-    }
-
-    return candidate;
+    if (repeatType === 'weekdays' || repeatType === 'weekly') {
+        rule.byDay = repeatWeekdays.map(weekday => ({ weekday, ordinal: 0 }));
+    } else if (repeatType === 'monthly' || repeatType === 'yearly') {
+        rule.byMonthDay = getClampedMonthDays(day);
+        rule.bySetPos = day > 28 ? [-1] : [];
+        rule.byMonth = repeatType === 'yearly' ? [startDate.getMonth() + 1] : [];
+    }
+    return rule;
+}
+
+function pickPositions(items, positions) {
+    if (positions.length === 0) {
+        return items;
+    }
+
+    return positions
+        .map(position => items[position > 0 ? position - 1 : items.length + position])
+        .filter(Boolean);
+}
+
+function getMatchingMonthDays(rule, year, month, startDate) {
+    const lastDay = daysInMonth(year, month);
+    let days = rule.byMonthDay.length > 0
+        ? rule.byMonthDay.map(day => (day > 0 ? day : lastDay + day + 1)).filter(day => day >= 1 && day <= lastDay)
+        : null;
+
+    if (rule.byDay.length > 0) {
+        const weekdayDays = [];
+        rule.byDay.forEach(({ weekday, ordinal }) => {
+            const firstOffset = (weekday - new Date(year, month, 1).getDay() + 7) % 7;
+            const matches = [];
+            for (let day = 1 + firstOffset; day <= lastDay; day += 7) {
+                matches.push(day);
+            }
+            weekdayDays.push(...(ordinal ? pickPositions(matches, [ordinal]) : matches));
+        });
+        days = days ? days.filter(day => weekdayDays.includes(day)) : weekdayDays;
+    }
+
+    if (!days) {
+        days = startDate.getDate() <= lastDay ? [startDate.getDate()] : [];
+    }
+    return days.map(day => new Date(year, month, day));
+}
+
+function matchesRuleDay(rule, date) {
+    const lastDay = daysInMonth(date.getFullYear(), date.getMonth());
+    return (rule.byMonth.length === 0 || rule.byMonth.includes(date.getMonth() + 1))
+        && (rule.byMonthDay.length === 0 || rule.byMonthDay.some(day => (day > 0 ? day : lastDay + day + 1) === date.getDate()))
+        && (rule.byDay.length === 0 || rule.byDay.some(item => item.weekday === date.getDay()));
+}
+
+function getRulePeriodDays(rule, periodIndex, startDate) {
+    const step = periodIndex * rule.interval;
+    let periodStart;
+    let days;
+
+    if (rule.freq === 'DAILY') {
+        periodStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + step);
+        days = matchesRuleDay(rule, periodStart) ? [periodStart] : [];
+    } else if (rule.freq === 'WEEKLY') {
+        const mondayOffset = (startDate.getDay() + 6) % 7;
+        periodStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - mondayOffset + step * 7);
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(item => item.weekday) : [startDate.getDay()];
+        days = Array.from(new Set(weekdays))
+            .map(weekday => new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() + (weekday + 6) % 7))
+            .filter(day => rule.byMonth.length === 0 || rule.byMonth.includes(day.getMonth() + 1));
+    } else if (rule.freq === 'MONTHLY') {
+        periodStart = new Date(startDate.getFullYear(), startDate.getMonth() + step, 1);
+        days = rule.byMonth.length === 0 || rule.byMonth.includes(periodStart.getMonth() + 1)
+            ? getMatchingMonthDays(rule, periodStart.getFullYear(), periodStart.getMonth(), startDate)
+            : [];
+    } else {
+        periodStart = new Date(startDate.getFullYear() + step, 0, 1);
+        const months = rule.byMonth.length > 0 ? rule.byMonth : [startDate.getMonth() + 1];
+        days = months.flatMap(month => getMatchingMonthDays(rule, periodStart.getFullYear(), month - 1, startDate));
+    }
+
+    const sorted = Array.from(new Map(days.map(day => [day.getTime(), day])).values())
+        .sort((a, b) => a.getTime() - b.getTime());
+    return { periodStart, days: pickPositions(sorted, rule.bySetPos) };
+}
+
+export function getFirstRulePeriod(rule, startDate, afterDate) {
+    if (rule.count || !afterDate || afterDate.getTime() <= startDate.getTime()) {
+        return 0;
+    }
+
+    const months = (afterDate.getFullYear() - startDate.getFullYear()) * 12 + afterDate.getMonth() - startDate.getMonth();
+    const elapsed = {
+        DAILY: Math.floor((afterDate.getTime() - startDate.getTime()) / DAY_MS),
+        WEEKLY: Math.floor((afterDate.getTime() - startDate.getTime()) / (7 * DAY_MS)),
+        MONTHLY: months,
+        YEARLY: Math.floor(months / 12)
+    }[rule.freq];
+    return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+}
+
+export function getRuleOccurrences(rule, startDate, { after = null, before = null, limit = 1 } = {}) {
+    const occurrences = [];
+    const { hour, minute } = getTimeParts(startDate);
+    let counted = 0;
+
+    for (let index = getFirstRulePeriod(rule, startDate, after); index < MAX_RULE_PERIODS; index += 1) {
+        const { periodStart, days } = getRulePeriodDays(rule, index, startDate);
+        if ((before && periodStart.getTime() > before.getTime()) || (rule.until && periodStart.getTime() > rule.until.getTime())) {
+            break;
+        }
+
+        for (const day of days) {
+            const date = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, 0, 0);
+            if (date.getTime() < startDate.getTime()) {
+                continue;
+            }
+
+            counted += 1;
+            if ((rule.count && counted > rule.count) || (rule.until && date.getTime() > rule.until.getTime())) {
+                return occurrences;
+            }
+            if (before && date.getTime() > before.getTime()) {
+                return occurrences;
+            }
+            if (!after || date.getTime() > after.getTime()) {
+                occurrences.push(date);
+                if (occurrences.length >= limit) {
+                    return occurrences;
+                }
+            }
+        }
+    }
+
+    return occurrences;
+}
+
+function describeRuleDays(rule) {
+    const isClamped = rule.bySetPos.join(',') === '-1'
+        && rule.byMonthDay.length > 1
+        && rule.byMonthDay.every((day, index) => day === 28 + index);
+    if (isClamped) {
+        return `${rule.byMonthDay[rule.byMonthDay.length - 1]}\u65e5\uff08\u5f53\u6708\u6ca1\u6709\u5219\u53d6\u6700\u540e\u4e00\u5929\uff09`;
+    }
+
+    const weekdays = rule.byDay.map(({ weekday, ordinal }) => {
+        if (!ordinal) {
+            return WEEKDAY_LABELS[weekday];
+        }
+        if (ordinal === -1) {
+            return `\u6700\u540e\u4e00\u4e2a${WEEKDAY_LABELS[weekday]}`;
+        }
+        return ordinal > 0 ? `\u7b2c${ordinal}\u4e2a${WEEKDAY_LABELS[weekday]}` : `\u5012\u6570\u7b2c${-ordinal}\u4e2a${WEEKDAY_LABELS[weekday]}`;
+    });
+    const monthDays = rule.byMonthDay.map(day => {
+        if (day === -1) {
+            return '\u6700\u540e\u4e00\u5929';
+        }
+        return day > 0 ? `${day}\u65e5` : `\u5012\u6570\u7b2c${-day}\u5929`;
+    });
+
+    const days = [...monthDays, ...weekdays].join('\u3001');
+    if (rule.bySetPos.length === 0 || !days) {
+        return days;
+    }
+    return `${days}\u4e2d\u7684${rule.bySetPos.map(position => (position > 0 ? `\u7b2c${position}\u4e2a` : `\u5012\u6570\u7b2c${-position}\u4e2a`)).join('\u3001')}`;
+}
+
+export function describeRecurrenceRule(rule) {
+    const unit = RULE_UNIT_LABELS[rule.freq];
+    const every = rule.interval > 1
+        ? `\u6bcf${rule.interval}${rule.freq === 'MONTHLY' ? '\u4e2a' : ''}${unit}`
+        : ({ DAILY: '\u6bcf\u5929', WEEKLY: '\u6bcf\u5468', MONTHLY: '\u6bcf\u6708', YEARLY: '\u6bcf\u5e74' })[rule.freq];
+    const months = rule.byMonth.length > 0 ? ` ${rule.byMonth.map(month => `${month}\u6708`).join('\u3001')}` : '';
+    const days = describeRuleDays(rule);
+    const dayText = days ? ` ${days}` : '';
+
+    let end = '';
+    if (rule.until) {
+        const until = rule.until;
+        end = `\uff0c\u81f3 ${until.getFullYear()}-${String(until.getMonth() + 1).padStart(2, '0')}-${String(until.getDate()).padStart(2, '0')}`;
+    } else if (rule.count) {
+        end = `\uff0c\u5171 ${rule.count} \u6b21`;
+    }
+    return `${every}${months}${dayText}${end}`;
 }
 
 function resolveRepeatWeekdays(repeatType, weekdays, startDate) {
@@ -158,47 +445,40 @@ function resolveRepeatWeekdays(repeatType, weekdays, startDate) {
     return [];
 }
 
-function getNextDueDate(startDate, repeatType, repeatWeekdays, nowDate = new Date()) {
-    if (repeatType === 'once') {
+function getNextDueDate(startDate, rule, nowDate = new Date()) {
+    if (!rule) {
         return startDate.getTime() > nowDate.getTime() ? new Date(startDate) : null;
     }
 
-    const timeParts = getTimeParts(startDate);
-
-    if (repeatType === 'daily') {
-        const candidate = new Date(nowDate);
-        candidate.setHours(timeParts.hour, timeParts.minute, 0, 0);
-        if (candidate.getTime() <= nowDate.getTime()) {
-            candidate.setDate(candidate.getDate() + 1);
-        }
-        return candidate;
-    }
-
-    if (repeatType === 'weekdays' || repeatType === 'weekly') {
-        return getNextDateByWeekdays(repeatWeekdays, timeParts, nowDate);
-    }
+    return getRuleOccurrences(rule, startDate, { after: nowDate })[0] || null;
+}
 
-    if (repeatType === 'monthly') {
-        return getNextMonthlyDate(startDate, nowDate);
+function normalizeRuleText(value) {
+    try {
+        return formatRecurrenceRule(parseRecurrenceRule(value));
+    } catch (_error) {
+        return '';
     }
+}
 
-    if (repeatType === 'yearly') {
-        return getNextYearlyDate(startDate, nowDate);
+export function getReminderRecurrenceRule(reminder) {
+    if (!reminder || reminder.repeatType === 'once') {
+        return null;
     }
-
-    return null;
+    return getReminderRule(reminder, parseDate(reminder.startAt));
 }
 
 function normalizeReminder(item, nowDate = new Date()) {
     const createdAt = String(item?.createdAt || new Date().toISOString());
-    const startAtDate = parseDate(item?.startAt || item?.dueAt || createdAt, nowDate);
-    const repeatType = normalizeRepeatType(item?.repeatType);
+    const startAtDate = parseDate(item?.startAt, createdAt);
+    const storedRepeatType = normalizeRepeatType(item?.repeatType);
+    const rrule = storedRepeatType === 'custom' ? normalizeRuleText(item?.rrule) : '';
+    const repeatType = storedRepeatType === 'custom' && !rrule ? 'once' : storedRepeatType;
     const repeatWeekdays = resolveRepeatWeekdays(repeatType, item?.repeatWeekdays, startAtDate);
-    const rawDueAt = parseDate(item?.dueAt || item?.startAt || createdAt, startAtDate);
     const nextDueDate = repeatType === 'once'
-        ? rawDueAt
-        : (getNextDueDate(startAtDate, repeatType, repeatWeekdays, nowDate) || startAtDate);
-    const notificationIds = normalizeNotificationIds(item);
+        ? startAtDate
+        : (getNextDueDate(startAtDate, getReminderRule({ repeatType, repeatWeekdays, rrule }, startAtDate), nowDate)
+            || parseDate(item?.dueAt, startAtDate));
 
     return {
         id: String(item?.id || ''),
@@ -207,15 +487,157 @@ function normalizeReminder(item, nowDate = new Date()) {
         dueAt: nextDueDate.toISOString(),
         repeatType,
         repeatWeekdays,
+        rrule,
         createdAt,
-        notificationIds,
-        notificationId: notificationIds[0] || 0,
-        scheduled: Boolean(item?.scheduled)
+        notificationIds: normalizeNotificationIds(item),
+        scheduled: Boolean(item?.scheduled),
+        scheduledOccurrences: Array.isArray(item?.scheduledOccurrences) ? item.scheduledOccurrences.map(String) : [],
+        queued: item?.queued === true,
+        noteId: item?.noteId ? String(item.noteId) : '',
+        completedAt: item?.completedAt ? String(item.completedAt) : '',
+        archived: item?.archived === true,
+        snoozedUntil: item?.snoozedUntil ? String(item.snoozedUntil) : '',
+        snoozeNotificationId: Number(item?.snoozeNotificationId) > 0 ? Number(item.snoozeNotificationId) : 0
+    };
+}
+
+function getReminderNotificationIds(reminder) {
+    return [...reminder.notificationIds, reminder.snoozeNotificationId].filter(id => id > 0);
+}
+
+function normalizeLogEntry(item) {
+    return {
+        id: String(item?.id || ''),
+        reminderId: String(item?.reminderId || ''),
+        occurrenceAt: String(item?.occurrenceAt || ''),
+        action: item?.action === 'snoozed' ? 'snoozed' : 'completed',
+        at: String(item?.at || new Date().toISOString()),
+        snoozeMinutes: Number(item?.snoozeMinutes) || 0
     };
 }
 
-function loadReminders() {
-    const reminders = readJSON(REMINDERS_KEY, []);
+async function loadReminderLog() {
+    const stored = await readCollection(REMINDER_LOG_COLLECTION);
+    return Array.isArray(stored)
+        ? stored.map(normalizeLogEntry).filter(entry => entry.id && entry.reminderId)
+        : [];
+}
+
+async function persistReminderLog(entries) {
+    await writeCollection(REMINDER_LOG_COLLECTION, entries.slice(-MAX_REMINDER_LOG_ENTRIES));
+}
+
+function createLogEntry(reminderId, occurrenceAt, action, nowDate, extra = {}) {
+    return normalizeLogEntry({
+        id: `log-${nowDate.getTime()}-${Math.floor(Math.random() * 10000)}`,
+        reminderId,
+        occurrenceAt,
+        action,
+        at: nowDate.toISOString(),
+        ...extra
+    });
+}
+
+export async function getReminderLog() {
+    return loadReminderLog();
+}
+
+function getLookbackDays(reminder, presetDays, periods) {
+    if (presetDays[reminder.repeatType]) {
+        return presetDays[reminder.repeatType];
+    }
+
+    const rule = getReminderRecurrenceRule(reminder);
+    return RULE_PERIOD_DAYS[rule.freq] * rule.interval * periods + 1;
+}
+
+function listPastOccurrences(reminder, nowDate, lookbackDays) {
+    const startDate = parseDate(reminder.startAt);
+    const trackingStart = Math.max(startDate.getTime(), parseDate(reminder.createdAt, startDate).getTime());
+    const cursor = new Date(Math.max(trackingStart - 1, nowDate.getTime() - lookbackDays * DAY_MS));
+
+    return getRuleOccurrences(getReminderRecurrenceRule(reminder), startDate, {
+        after: cursor,
+        before: nowDate,
+        limit: Infinity
+    }).map(date => date.toISOString());
+}
+
+function getCompletedOccurrences(reminder, entries) {
+    return new Set(entries
+        .filter(entry => entry.reminderId === reminder.id && entry.action === 'completed')
+        .map(entry => entry.occurrenceAt));
+}
+
+export function getReminderStatus(reminder, entries = [], nowDate = new Date()) {
+    const isSnoozed = Boolean(reminder.snoozedUntil) && new Date(reminder.snoozedUntil).getTime() > nowDate.getTime();
+
+    if (reminder.repeatType === 'once') {
+        if (reminder.completedAt) {
+            return { state: 'completed', occurrenceAt: reminder.dueAt };
+        }
+        if (isSnoozed) {
+            return { state: 'snoozed', occurrenceAt: reminder.dueAt };
+        }
+        return {
+            state: new Date(reminder.dueAt).getTime() <= nowDate.getTime() ? 'overdue' : 'upcoming',
+            occurrenceAt: reminder.dueAt
+        };
+    }
+
+    const completed = getCompletedOccurrences(reminder, entries);
+    const latest = listPastOccurrences(reminder, nowDate, getLookbackDays(reminder, STATUS_LOOKBACK_DAYS, 2)).pop();
+    if (latest && !completed.has(latest)) {
+        return { state: isSnoozed ? 'snoozed' : 'overdue', occurrenceAt: latest };
+    }
+    if (latest || completed.has(reminder.dueAt)) {
+        return { state: 'completed', occurrenceAt: latest || reminder.dueAt };
+    }
+    return { state: isSnoozed ? 'snoozed' : 'upcoming', occurrenceAt: reminder.dueAt };
+}
+
+export function getReminderStreak(reminder, entries = [], nowDate = new Date()) {
+    const ownEntries = entries.filter(entry => entry.reminderId === reminder.id && entry.action === 'completed');
+    const completed = getCompletedOccurrences(reminder, ownEntries);
+    const occurrences = reminder.repeatType === 'once'
+        ? []
+        : listPastOccurrences(reminder, nowDate, getLookbackDays(reminder, STREAK_LOOKBACK_DAYS, 100));
+
+    let index = occurrences.length - 1;
+    if (index >= 0 && !completed.has(occurrences[index])) {
+        index -= 1;
+    }
+
+    let streak = 0;
+    while (index >= 0 && completed.has(occurrences[index])) {
+        streak += 1;
+        index -= 1;
+    }
+
+    return {
+        streak,
+        total: completed.size,
+        lastCompletedAt: ownEntries.reduce((latest, entry) => (entry.at > latest ? entry.at : latest), '')
+    };
+}
+
+export function buildReminderHistory(reminders, entries = [], nowDate = new Date()) {
+    return {
+        recurring: reminders
+            .filter(reminder => reminder.repeatType !== 'once' && !reminder.archived)
+            .map(reminder => ({
+                reminder,
+                ...getReminderStreak(reminder, entries, nowDate),
+                snoozeCount: entries.filter(entry => entry.reminderId === reminder.id && entry.action === 'snoozed').length
+            })),
+        finished: reminders
+            .filter(reminder => reminder.archived)
+            .sort((a, b) => b.completedAt.localeCompare(a.completedAt))
+    };
+}
+
+async function loadReminders() {
+    const reminders = await readCollection(REMINDERS_COLLECTION);
     if (!Array.isArray(reminders)) {
         return [];
     }
@@ -225,19 +647,127 @@ function loadReminders() {
         .sort((a, b) => new Date(a.dueAt).getTime() - new Date(b.dueAt).getTime());
 }
 
-function persistReminders(reminders) {
-    writeJSON(REMINDERS_KEY, reminders);
+async function persistReminders(reminders) {
+    await writeCollection(REMINDERS_COLLECTION, reminders);
+}
+
+function needsExplicitOccurrences(reminder) {
+    return reminder.repeatType === 'custom'
+        || (reminder.repeatType === 'monthly' && parseDate(reminder.startAt).getDate() > 28);
+}
+
+function usesOneShotNotifications(reminder) {
+    return reminder.repeatType === 'once' || needsExplicitOccurrences(reminder);
+}
+
+function getUpcomingOccurrences(reminder, nowDate = new Date(), limit = MAX_EXPLICIT_OCCURRENCES) {
+    if (reminder.repeatType === 'once') {
+        return reminder.dueAt && parseDate(reminder.dueAt).getTime() > nowDate.getTime()
+            ? [parseDate(reminder.dueAt).toISOString()]
+            : [];
+    }
+
+    return getRuleOccurrences(getReminderRecurrenceRule(reminder), parseDate(reminder.startAt), {
+        after: nowDate,
+        limit
+    }).map(date => date.toISOString());
+}
+
+function buildNotificationRequest(reminder, occurrences = null) {
+    return {
+        notificationIds: reminder.notificationIds,
+        title: 'Jeff\u7684\u5de5\u5177\u7bb1\u63d0\u9192',
+        body: reminder.title,
+        dueAt: reminder.dueAt,
+        startAt: reminder.startAt,
+        repeatType: reminder.repeatType,
+        repeatWeekdays: reminder.repeatWeekdays,
+        occurrences: occurrences || (needsExplicitOccurrences(reminder) ? getUpcomingOccurrences(reminder) : null),
+        extra: {
+            reminderId: reminder.id,
+            noteId: reminder.noteId
+        }
+    };
+}
+
+function buildSnoozeRequest(reminder) {
+    return {
+        ...buildNotificationRequest(reminder),
+        notificationIds: [reminder.snoozeNotificationId || createNotificationId()],
+        dueAt: reminder.snoozedUntil,
+        startAt: reminder.snoozedUntil,
+        repeatType: 'once',
+        repeatWeekdays: [],
+        occurrences: null
+    };
+}
+
+async function scheduleSnooze(reminder, notifier) {
+    reminder.snoozeNotificationId = 0;
+    if (!reminder.snoozedUntil || new Date(reminder.snoozedUntil).getTime() <= Date.now() || typeof notifier.schedule !== 'function') {
+        return;
+    }
+
+    const request = buildSnoozeRequest(reminder);
+    const result = await notifier.schedule(request);
+    const scheduled = typeof result === 'boolean' ? result : Boolean(result?.scheduled);
+    reminder.snoozeNotificationId = scheduled
+        ? (normalizeNotificationIds(result)[0] || request.notificationIds[0])
+        : 0;
+}
+
+async function clearSnooze(reminder, notifier) {
+    if (reminder.snoozeNotificationId > 0 && typeof notifier.cancel === 'function') {
+        await notifier.cancel([reminder.snoozeNotificationId]);
+    }
+    reminder.snoozeNotificationId = 0;
+    reminder.snoozedUntil = '';
+}
+
+function applyScheduleResult(reminder, scheduleResult) {
+    if (typeof scheduleResult === 'boolean') {
+        reminder.scheduled = scheduleResult;
+        return;
+    }
+
+    if (scheduleResult && typeof scheduleResult === 'object') {
+        reminder.scheduled = Boolean(scheduleResult.scheduled);
+        const scheduledIds = normalizeNotificationIds(scheduleResult);
+        if (reminder.scheduled && scheduledIds.length > 0) {
+            reminder.notificationIds = scheduledIds;
+        }
+    }
+}
+
+async function scheduleReminder(reminder, notifier, occurrences = null) {
+    const request = buildNotificationRequest(reminder, occurrences);
+    applyScheduleResult(reminder, await notifier.schedule(request));
+    reminder.scheduledOccurrences = reminder.scheduled && usesOneShotNotifications(reminder)
+        ? (request.occurrences || getUpcomingOccurrences(reminder))
+        : [];
 }
 
 function createNotificationId() {
     return Math.floor((Date.now() + Math.floor(Math.random() * 1000)) % 2000000000);
 }
 
-export function getAllReminders() {
+function createNotificationIds(count, usedIds) {
+    const ids = [];
+    while (ids.length < count) {
+        const id = createNotificationId();
+        if (id > 0 && !usedIds.has(id)) {
+            usedIds.add(id);
+            ids.push(id);
+        }
+    }
+    return ids;
+}
+
+export async function getAllReminders() {
     return loadReminders();
 }
 
-export async function addReminder({ title, dueAtLocal, repeatType, repeatWeekdays }, notifier = {}) {
+function resolveReminderTiming({ dueAtLocal, repeatType, repeatWeekdays, rrule }, nowDate = new Date(), usedIds = new Set()) {
     const dueAtDate = new Date(dueAtLocal);
     if (Number.isNaN(dueAtDate.getTime())) {
         throw new Error('\u63d0\u9192\u65f6\u95f4\u683c\u5f0f\u4e0d\u6b63\u786e');
@@ -245,76 +775,401 @@ export async function addReminder({ title, dueAtLocal, repeatType, repeatWeekday
 
     const normalizedRepeatType = normalizeRepeatType(repeatType);
     const normalizedRepeatWeekdays = resolveRepeatWeekdays(normalizedRepeatType, repeatWeekdays, dueAtDate);
-    const nowDate = new Date();
-    const nextDueDate = getNextDueDate(dueAtDate, normalizedRepeatType, normalizedRepeatWeekdays, nowDate);
+    const schedule = {
+        startAt: dueAtDate.toISOString(),
+        repeatType: normalizedRepeatType,
+        repeatWeekdays: normalizedRepeatWeekdays,
+        rrule: normalizedRepeatType === 'custom' ? formatRecurrenceRule(parseRecurrenceRule(rrule)) : ''
+    };
+    const nextDueDate = getNextDueDate(dueAtDate, getReminderRecurrenceRule(schedule), nowDate);
 
     if (!nextDueDate) {
-        throw new Error('\u63d0\u9192\u65f6\u95f4\u5fc5\u987b\u665a\u4e8e\u5f53\u524d\u65f6\u95f4');
+        throw new Error(normalizedRepeatType === 'custom' ? '\u8be5\u91cd\u590d\u89c4\u5219\u5728\u5f53\u524d\u65f6\u95f4\u4e4b\u540e\u6ca1\u6709\u63d0\u9192' : '\u63d0\u9192\u65f6\u95f4\u5fc5\u987b\u665a\u4e8e\u5f53\u524d\u65f6\u95f4');
     }
 
-    const reminders = loadReminders();
+    let notificationCount = 1;
+    if (needsExplicitOccurrences(schedule)) {
+        notificationCount = getUpcomingOccurrences(schedule, nowDate).length;
+    } else if (normalizedRepeatType === 'weekly' || normalizedRepeatType === 'weekdays') {
+        notificationCount = normalizedRepeatWeekdays.length;
+    }
+
+    return {
+        ...schedule,
+        dueAt: nextDueDate.toISOString(),
+        notificationIds: createNotificationIds(Math.max(1, notificationCount), usedIds)
+    };
+}
+
+function countFixedNotifications(reminder, nowIso) {
+    const snoozeCount = reminder.snoozeNotificationId > 0 && reminder.snoozedUntil > nowIso ? 1 : 0;
+    const repeatCount = reminder.scheduled && !usesOneShotNotifications(reminder) ? reminder.notificationIds.length : 0;
+    return snoozeCount + repeatCount;
+}
+
+export function planNotificationWindow(reminders, nowDate, budget) {
+    const nowIso = nowDate.toISOString();
+    const active = reminders.filter(reminder => !reminder.archived);
+    const fixedCount = active.reduce((sum, reminder) => sum + countFixedNotifications(reminder, nowIso), 0);
+    const windowSize = Math.max(0, budget - fixedCount);
+    const pools = active.filter(usesOneShotNotifications);
+    const planned = new Map(pools.map(reminder => [reminder.id, []]));
+
+    pools
+        .flatMap(reminder => getUpcomingOccurrences(reminder, nowDate, windowSize).map(at => ({ reminder, at })))
+        .sort((a, b) => a.at.localeCompare(b.at))
+        .slice(0, windowSize)
+        .forEach(({ reminder, at }) => planned.get(reminder.id).push(at));
+
+    return { fixedCount, pools, planned };
+}
+
+async function scheduleReminderWithinBudget(reminder, reminders, notifier, nowDate) {
+    if (!usesOneShotNotifications(reminder)) {
+        await scheduleReminder(reminder, notifier);
+        return true;
+    }
+
+    const occurrences = planNotificationWindow(reminders, nowDate, PENDING_NOTIFICATION_BUDGET).planned.get(reminder.id) || [];
+    if (occurrences.length > 0) {
+        const usedIds = new Set(reminders.filter(item => item !== reminder).flatMap(getReminderNotificationIds));
+        reminder.notificationIds = createNotificationIds(occurrences.length, usedIds);
+        await scheduleReminder(reminder, notifier, occurrences);
+    }
+    return occurrences.length > 0;
+}
+
+async function applyNotificationPlan(reminders, notifier, nowDate = new Date(), budget = PENDING_NOTIFICATION_BUDGET) {
     const nowIso = nowDate.toISOString();
-    const notificationCount = normalizedRepeatType === 'weekly'
-        ? normalizedRepeatWeekdays.length
-        : (normalizedRepeatType === 'weekdays' ? WORKDAY_WEEKDAYS.length : 1);
-    const notificationIds = Array.from({ length: Math.max(1, notificationCount) }, () => createNotificationId());
+    const { fixedCount, pools, planned } = planNotificationWindow(reminders, nowDate, budget);
+    if (typeof notifier.schedule !== 'function') {
+        return { changed: false, planned: fixedCount };
+    }
+
+    const usedIds = new Set(reminders.flatMap(getReminderNotificationIds));
+    let changed = false;
+    for (const reminder of pools) {
+        const occurrences = planned.get(reminder.id);
+        const queued = occurrences.length === 0 && getUpcomingOccurrences(reminder, nowDate, 1).length > 0;
+        if (reminder.queued !== queued) {
+            reminder.queued = queued;
+            changed = true;
+        }
+
+        const pending = reminder.scheduled
+            ? reminder.scheduledOccurrences.filter(occurrence => occurrence > nowIso)
+            : [];
+        if (pending.join() === occurrences.join() && (reminder.scheduled || occurrences.length === 0)) {
+            continue;
+        }
+
+        if (reminder.scheduled && typeof notifier.cancel === 'function' && reminder.notificationIds.length > 0) {
+            await notifier.cancel(reminder.notificationIds);
+        }
+        reminder.scheduled = false;
+        reminder.scheduledOccurrences = [];
+        changed = true;
+        if (occurrences.length === 0) {
+            continue;
+        }
+
+        reminder.notificationIds = createNotificationIds(occurrences.length, usedIds);
+        await scheduleReminder(reminder, notifier, occurrences);
+    }
+
+    const scheduledCount = pools.reduce((sum, reminder) => sum + (reminder.scheduled ? reminder.scheduledOccurrences.length : 0), 0);
+    return { changed, planned: fixedCount + scheduledCount };
+}
+
+async function restoreNotificationPlan(reminders, notifier, nowDate) {
+    try {
+        await applyNotificationPlan(reminders, notifier, nowDate);
+        await persistReminders(reminders);
+    } catch (error) {
+        console.warn('Failed to restore reminder notifications:', error);
+    }
+}
+
+function createReminderId(takenIds) {
+    let id = '';
+    do {
+        id = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+    } while (takenIds.has(id));
+    takenIds.add(id);
+    return id;
+}
+
+export async function addReminders(fieldsList, notifier = {}) {
+    const nowDate = new Date();
+    const reminders = await loadReminders();
+    const usedIds = new Set(reminders.flatMap(getReminderNotificationIds));
+    const takenIds = new Set(reminders.map(reminder => reminder.id));
+    const created = fieldsList.map(({ title, dueAtLocal, repeatType, repeatWeekdays, rrule, noteId }) => ({
+        id: createReminderId(takenIds),
+        title: String(title || '').trim() || '\u63d0\u9192\u4e8b\u9879',
+        ...resolveReminderTiming({ dueAtLocal, repeatType, repeatWeekdays, rrule }, nowDate, usedIds),
+        createdAt: nowDate.toISOString(),
+        scheduled: false,
+        noteId: noteId ? String(noteId) : ''
+    }));
+
+    const updated = [...reminders, ...created].sort((a, b) => new Date(a.dueAt).getTime() - new Date(b.dueAt).getTime());
+    try {
+        if (typeof notifier.schedule === 'function') {
+            for (const reminder of created.filter(item => !usesOneShotNotifications(item))) {
+                await scheduleReminder(reminder, notifier);
+            }
+        }
+
+        await applyNotificationPlan(updated, notifier, nowDate);
+        await persistReminders(updated);
+    } catch (error) {
+        if (typeof notifier.cancel === 'function') {
+            for (const reminder of created.filter(item => item.scheduled)) {
+                await notifier.cancel(reminder.notificationIds).catch(cancelError => console.warn('Failed to cancel reminder notification:', cancelError));
+            }
+        }
+        await restoreNotificationPlan(reminders, notifier, nowDate);
+        throw error;
+    }
+
+    return created;
+}
+
+export async function addReminder(fields, notifier = {}) {
+    const [reminder] = await addReminders([fields], notifier);
+    return reminder;
+}
+
+async function restoreReminderSchedule(reminder, notifier) {
+    if (typeof notifier.schedule !== 'function') {
+        return;
+    }
+
+    try {
+        const nowIso = new Date().toISOString();
+        const occurrences = reminder.scheduledOccurrences.length > 0
+            ? reminder.scheduledOccurrences.filter(occurrence => occurrence > nowIso)
+            : null;
+        if (reminder.scheduled && (!occurrences || occurrences.length > 0)) {
+            await notifier.schedule(buildNotificationRequest(reminder, occurrences));
+        }
+        if (reminder.snoozeNotificationId > 0) {
+            await notifier.schedule(buildSnoozeRequest(reminder));
+        }
+    } catch (error) {
+        console.warn('Failed to restore reminder schedule:', error);
+    }
+}
+
+export async function updateReminder(reminderId, { title, dueAtLocal, repeatType, repeatWeekdays, rrule, noteId }, notifier = {}) {
+    const nowDate = new Date();
+    const reminders = await loadReminders();
+    const previous = reminders.find(item => item.id === String(reminderId));
+    if (!previous) {
+        throw new Error('\u63d0\u9192\u4e0d\u5b58\u5728\u6216\u5df2\u88ab\u5220\u9664');
+    }
 
     const reminder = {
-        id: `${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        ...previous,
         title: String(title || '').trim() || '\u63d0\u9192\u4e8b\u9879',
-        startAt: dueAtDate.toISOString(),
-        dueAt: nextDueDate.toISOString(),
-        repeatType: normalizedRepeatType,
-        repeatWeekdays: normalizedRepeatWeekdays,
-        createdAt: nowIso,
-        notificationIds,
-        notificationId: notificationIds[0] || 0,
-        scheduled: false
+        ...resolveReminderTiming({ dueAtLocal, repeatType, repeatWeekdays, rrule }, nowDate, new Set(reminders.flatMap(getReminderNotificationIds))),
+        scheduled: false,
+        scheduledOccurrences: [],
+        queued: false,
+        noteId: noteId === undefined ? previous.noteId : String(noteId || ''),
+        snoozedUntil: '',
+        snoozeNotificationId: 0
     };
 
-    if (typeof notifier.schedule === 'function') {
-        const scheduleResult = await notifier.schedule({
-            notificationId: reminder.notificationId,
-            notificationIds: reminder.notificationIds,
-            title: 'Jeff\u7684\u5de5\u5177\u7bb1\u63d0\u9192',
-            body: reminder.title,
-            dueAt: reminder.dueAt,
-            startAt: reminder.startAt,
-            repeatType: reminder.repeatType,
-            repeatWeekdays: reminder.repeatWeekdays
-        });
+    const previousIds = getReminderNotificationIds(previous);
+    if (typeof notifier.cancel === 'function' && previousIds.length > 0) {
+        await notifier.cancel(previousIds);
+    }
 
-        if (typeof scheduleResult === 'boolean') {
-            reminder.scheduled = scheduleResult;
-        } else if (scheduleResult && typeof scheduleResult === 'object') {
-            reminder.scheduled = Boolean(scheduleResult.scheduled);
-            const scheduledIds = normalizeNotificationIds(scheduleResult);
-            if (reminder.scheduled && scheduledIds.length > 0) {
-                reminder.notificationIds = scheduledIds;
-                reminder.notificationId = scheduledIds[0];
+    const updated = reminders
+        .map(item => (item.id === reminder.id ? reminder : item))
+        .sort((a, b) => new Date(a.dueAt).getTime() - new Date(b.dueAt).getTime());
+    let planTouched = false;
+    try {
+        if (typeof notifier.schedule === 'function') {
+            const withinBudget = await scheduleReminderWithinBudget(reminder, updated, notifier, nowDate);
+            if (previous.scheduled && withinBudget && !reminder.scheduled) {
+                throw new Error('\u7cfb\u7edf\u901a\u77e5\u5b89\u6392\u5931\u8d25\uff0c\u5df2\u6062\u590d\u539f\u63d0\u9192');
             }
         }
+
+        planTouched = true;
+        await applyNotificationPlan(updated, notifier, nowDate);
+        await persistReminders(updated);
+        return { reminder, reminders: updated };
+    } catch (error) {
+        if (reminder.scheduled && typeof notifier.cancel === 'function') {
+            await notifier.cancel(reminder.notificationIds);
+        }
+        await restoreReminderSchedule(previous, notifier);
+        if (planTouched) {
+            await restoreNotificationPlan(reminders, notifier, nowDate);
+        }
+        throw error;
+    }
+}
+
+export async function detachReminder(reminderId, notifier = {}) {
+    const reminders = await loadReminders();
+    const target = reminders.find(item => item.id === String(reminderId));
+    if (!target) {
+        return null;
+    }
+
+    const notificationIds = getReminderNotificationIds(target);
+    if (typeof notifier.cancel === 'function' && notificationIds.length > 0) {
+        await notifier.cancel(notificationIds);
+    }
+
+    const remaining = reminders.filter(item => item.id !== target.id);
+    await persistReminders(remaining);
+
+    return {
+        reminder: {
+            ...target,
+            scheduled: false,
+            scheduledOccurrences: [],
+            queued: false,
+            snoozeNotificationId: 0
+        },
+        reminders: remaining
+    };
+}
+
+export async function attachReminder(storedReminder, notifier = {}) {
+    const reminder = normalizeReminder(storedReminder || {}, new Date());
+    const reminders = await loadReminders();
+    if (!reminder.id || reminders.some(item => item.id === reminder.id)) {
+        throw new Error('\u63d0\u9192\u5df2\u5b58\u5728\uff0c\u65e0\u6cd5\u8fd8\u539f');
+    }
+
+    reminder.scheduled = false;
+    reminder.scheduledOccurrences = [];
+    reminder.queued = false;
+    if (!reminder.archived && !usesOneShotNotifications(reminder) && typeof notifier.schedule === 'function') {
+        await scheduleReminder(reminder, notifier);
+    }
+    if (!reminder.archived) {
+        await scheduleSnooze(reminder, notifier);
     }
 
     reminders.push(reminder);
     reminders.sort((a, b) => new Date(a.dueAt).getTime() - new Date(b.dueAt).getTime());
-    persistReminders(reminders);
+    await applyNotificationPlan(reminders, notifier);
+    await persistReminders(reminders);
 
     return reminder;
 }
 
-export async function removeReminder(reminderId, notifier = {}) {
-    const reminders = loadReminders();
-    const target = reminders.find(item => item.id === String(reminderId));
-    const cancelIds = Array.isArray(target?.notificationIds) && target.notificationIds.length > 0
-        ? target.notificationIds
-        : (target?.notificationId ? [target.notificationId] : []);
+export async function rescheduleAllReminders(notifier = {}) {
+    const reminders = await loadReminders();
+
+    for (const reminder of reminders) {
+        const notificationIds = getReminderNotificationIds(reminder);
+        if (typeof notifier.cancel === 'function' && notificationIds.length > 0) {
+            await notifier.cancel(notificationIds);
+        }
+
+        reminder.scheduled = false;
+        reminder.scheduledOccurrences = [];
+        reminder.queued = false;
+        reminder.snoozeNotificationId = 0;
+        if (reminder.archived) {
+            continue;
+        }
+
+        await scheduleSnooze(reminder, notifier);
+        if (!usesOneShotNotifications(reminder) && typeof notifier.schedule === 'function') {
+            await scheduleReminder(reminder, notifier);
+        }
+    }
+
+    await applyNotificationPlan(reminders, notifier);
+    await persistReminders(reminders);
+    return reminders;
+}
+
+export async function topUpReminderNotifications(notifier = {}, nowDate = new Date(), budget = PENDING_NOTIFICATION_BUDGET) {
+    const reminders = await loadReminders();
+    const { changed, planned } = await applyNotificationPlan(reminders, notifier, nowDate, budget);
+    if (changed) {
+        await persistReminders(reminders);
+    }
+
+    return { reminders, planned, budget };
+}
+
+export async function findReminderByNotificationId(notificationId, fallbackReminderId = '') {
+    const reminders = await loadReminders();
+    const id = Number(notificationId);
+    return reminders.find(reminder => id > 0 && getReminderNotificationIds(reminder).includes(id))
+        || reminders.find(reminder => reminder.id === String(fallbackReminderId || ''))
+        || null;
+}
 
-    if (target && typeof notifier.cancel === 'function' && cancelIds.length > 0) {
-        await notifier.cancel(cancelIds);
+async function changeReminderOccurrence(reminderId, nowDate, change) {
+    const [reminders, entries] = await Promise.all([loadReminders(), loadReminderLog()]);
+    const reminder = reminders.find(item => item.id === String(reminderId));
+    if (!reminder) {
+        throw new Error('\u63d0\u9192\u4e0d\u5b58\u5728\u6216\u5df2\u88ab\u5220\u9664');
     }
 
-    const filtered = reminders.filter(item => item.id !== String(reminderId));
-    persistReminders(filtered);
-    return filtered;
+    const status = getReminderStatus(reminder, entries, nowDate);
+    if (status.state === 'completed' || getCompletedOccurrences(reminder, entries).has(status.occurrenceAt)) {
+        throw new Error('\u672c\u6b21\u63d0\u9192\u5df2\u5b8c\u6210');
+    }
+
+    const entry = await change(reminder, status);
+    await persistReminderLog([...entries, entry]);
+    try {
+        await persistReminders(reminders);
+    } catch (error) {
+        await persistReminderLog(entries).catch(rollbackError => console.warn('Failed to roll back reminder log:', rollbackError));
+        throw error;
+    }
+
+    return { reminder, reminders, entry };
+}
+
+export async function completeReminderOccurrence(reminderId, notifier = {}, nowDate = new Date()) {
+    return changeReminderOccurrence(reminderId, nowDate, async (reminder, { occurrenceAt }) => {
+        await clearSnooze(reminder, notifier);
+
+        if (reminder.repeatType === 'once') {
+            if (typeof notifier.cancel === 'function' && reminder.notificationIds.length > 0) {
+                await notifier.cancel(reminder.notificationIds);
+            }
+            reminder.scheduled = false;
+            reminder.scheduledOccurrences = [];
+            reminder.completedAt = nowDate.toISOString();
+            reminder.archived = true;
+        }
+
+        return createLogEntry(reminder.id, occurrenceAt, 'completed', nowDate);
+    });
+}
+
+export async function snoozeReminder(reminderId, minutes, notifier = {}, nowDate = new Date()) {
+    const delay = Math.round(Number(minutes));
+    if (!Number.isFinite(delay) || delay < 1 || delay > MAX_SNOOZE_MINUTES) {
+        throw new Error(`\u63a8\u8fdf\u65f6\u95f4\u9700\u5728 1-${MAX_SNOOZE_MINUTES} \u5206\u949f\u4e4b\u95f4`);
+    }
+
+    return changeReminderOccurrence(reminderId, nowDate, async (reminder, { state, occurrenceAt }) => {
+        if (state === 'upcoming') {
+            throw new Error('\u63d0\u9192\u5c1a\u672a\u5230\u671f\uff0c\u65e0\u6cd5\u63a8\u8fdf');
+        }
+
+        await clearSnooze(reminder, notifier);
+        reminder.snoozedUntil = new Date(nowDate.getTime() + delay * 60 * 1000).toISOString();
+        await scheduleSnooze(reminder, notifier);
+
+        return createLogEntry(reminder.id, occurrenceAt, 'snoozed', nowDate, { snoozeMinutes: delay });
+    });
 }
@@ -0,0 +1,70 @@
+﻿import { defineCollection, readCollection, writeCollection } from '../core/storage.js';
+import {
+    DEFAULT_NOTE_FORMAT_PROFILE,
+    DEFAULT_WRAP_COLUMNS,
+    normalizeFormatProfile,
+    normalizeWrapColumns
+} from './note-format.js';
+import { DEFAULT_TRASH_RETENTION_DAYS, normalizeTrashRetentionDays } from './trash-service.js';
+import {
+    DEFAULT_IMAGE_MAX_DIMENSION,
+    DEFAULT_IMAGE_QUALITY,
+    DEFAULT_IMAGE_FORMAT,
+    normalizeImageMaxDimension,
+    normalizeImageQuality,
+    normalizeImageFormat
+} from './media-service.js';
+
+const SETTINGS_COLLECTION = 'settings';
+
+const DEFAULT_SETTINGS = {
+    noteFormatProfile: DEFAULT_NOTE_FORMAT_PROFILE,
+    noteWrapColumns: DEFAULT_WRAP_COLUMNS,
+    noteMarkdown: false,
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    imageMaxDimension: DEFAULT_IMAGE_MAX_DIMENSION,
+    imageQuality: DEFAULT_IMAGE_QUALITY,
+    imageFormat: DEFAULT_IMAGE_FORMAT,
+    checklistSinkCompleted: false
+};
+
+defineCollection(SETTINGS_COLLECTION, {
+    key: 'jeff_toolbox_settings',
+    label: '设置',
+    version: 1,
+    fallbackValue: {}
+});
+
+function normalizeSettings(value) {
+    const stored = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        ...stored
+    };
+
+    return {
+        ...settings,
+        noteFormatProfile: normalizeFormatProfile(settings.noteFormatProfile),
+        noteWrapColumns: normalizeWrapColumns(settings.noteWrapColumns),
+        noteMarkdown: settings.noteMarkdown === true,
+        trashRetentionDays: normalizeTrashRetentionDays(settings.trashRetentionDays),
+        imageMaxDimension: normalizeImageMaxDimension(settings.imageMaxDimension),
+        imageQuality: normalizeImageQuality(settings.imageQuality),
+        imageFormat: normalizeImageFormat(settings.imageFormat),
+        checklistSinkCompleted: settings.checklistSinkCompleted === true
+    };
+}
+
+export async function getSettings() {
+    return normalizeSettings(await readCollection(SETTINGS_COLLECTION));
+}
+
+export async function updateSettings(patch = {}) {
+    const next = normalizeSettings({
+        ...(await getSettings()),
+        ...patch
+    });
+
+    await writeCollection(SETTINGS_COLLECTION, next);
+    return next;
+}
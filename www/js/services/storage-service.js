@@ -0,0 +1,30 @@
+﻿import { getStorageUsage } from '../core/storage.js';
+import { getAllNotes } from './notes-service.js';
+
+export async function getStorageReport(largestLimit = 5) {
+    const usage = await getStorageUsage();
+    const notes = await getAllNotes();
+
+    const largestNotes = notes
+        .filter(note => note.attachments.length > 0)
+        .map(note => ({
+            id: note.id,
+            title: note.title,
+            updatedAt: note.updatedAt,
+            bytes: note.attachments.reduce((total, attachment) => total
+                + (usage.blobSizes.get(attachment.id) || 0)
+                + (usage.blobSizes.get(attachment.thumbId) || 0), 0)
+        }))
+        .filter(item => item.bytes > 0)
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, largestLimit);
+
+    return {
+        collections: usage.collections,
+        blobCount: usage.blobCount,
+        blobBytes: usage.blobBytes,
+        totalBytes: usage.totalBytes,
+        device: usage.device,
+        largestNotes
+    };
+}
@@ -0,0 +1,117 @@
+﻿import { defineCollection, readCollection, writeCollection } from '../core/storage.js';
+
+const TEMPLATES_COLLECTION = 'noteTemplates';
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z]+(?:\.[a-zA-Z]+)*)\}/g;
+const WEEKDAY_LABELS = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
+export const BUILTIN_NOTE_TEMPLATES = [
+    {
+        id: 'builtin-meeting',
+        name: '会议纪要',
+        titlePattern: '会议纪要 {date}',
+        body: '时间：{date} {time}\n参会人：\n\n议题：\n- \n\n结论：\n- \n\n待办：\n- [ ] ',
+        builtin: true
+    },
+    {
+        id: 'builtin-device-test',
+        name: '设备测试记录',
+        titlePattern: '{device.model} 测试 {date}',
+        body: '设备：{device.model}（{device.operatingSystem} {device.osVersion}）\n网络：{device.network.typeText}\n测试时间：{date} {time}\n\n测试项：\n- [ ] \n\n问题记录：\n',
+        builtin: true
+    },
+    {
+        id: 'builtin-daily',
+        name: '每日日志',
+        titlePattern: '{date} {weekday} 日志',
+        body: '今日完成：\n- \n\n遇到的问题：\n- \n\n明日计划：\n- [ ] ',
+        builtin: true
+    }
+];
+
+defineCollection(TEMPLATES_COLLECTION, {
+    key: 'jeff_toolbox_note_templates',
+    label: '笔记模板',
+    version: 1
+});
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+function normalizeTemplate(item) {
+    return {
+        id: String(item?.id || ''),
+        name: String(item?.name || '').trim() || '未命名模板',
+        titlePattern: String(item?.titlePattern || ''),
+        body: String(item?.body || '').replace(/\r\n?/g, '\n'),
+        createdAt: String(item?.createdAt || new Date().toISOString()),
+        updatedAt: String(item?.updatedAt || item?.createdAt || new Date().toISOString())
+    };
+}
+
+async function loadUserTemplates() {
+    const stored = await readCollection(TEMPLATES_COLLECTION);
+    return Array.isArray(stored)
+        ? stored.map(normalizeTemplate).filter(template => template.id)
+        : [];
+}
+
+export async function getNoteTemplates() {
+    return [...BUILTIN_NOTE_TEMPLATES, ...(await loadUserTemplates())];
+}
+
+export async function saveNoteTemplate({ name, titlePattern, body }) {
+    const templates = await loadUserTemplates();
+    const now = new Date().toISOString();
+    const template = normalizeTemplate({
+        id: `template-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+        name,
+        titlePattern,
+        body,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    await writeCollection(TEMPLATES_COLLECTION, [...templates, template]);
+    return template;
+}
+
+export async function deleteNoteTemplate(templateId) {
+    const templates = await loadUserTemplates();
+    const kept = templates.filter(template => template.id !== String(templateId));
+    if (kept.length === templates.length) {
+        throw new Error('模板不存在或已被删除');
+    }
+
+    await writeCollection(TEMPLATES_COLLECTION, kept);
+    return kept;
+}
+
+function resolvePath(source, path) {
+    return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+export function fillTemplatePlaceholders(text, { now = new Date(), snapshot = null } = {}) {
+    const values = {
+        date: `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`,
+        time: `${pad2(now.getHours())}:${pad2(now.getMinutes())}`,
+        weekday: WEEKDAY_LABELS[now.getDay()]
+    };
+
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const [root, ...path] = name.split('.');
+        if (root === 'device') {
+            const value = resolvePath(snapshot, path);
+            return value === undefined || value === null || typeof value === 'object' ? '未知' : String(value);
+        }
+
+        return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match;
+    });
+}
+
+export function applyNoteTemplate(template, context = {}) {
+    return {
+        title: fillTemplatePlaceholders(template.titlePattern, context).trim(),
+        content: fillTemplatePlaceholders(template.body, context)
+    };
+}
@@ -0,0 +1,196 @@
+﻿import { defineCollection, readCollection, writeCollection } from '../core/storage.js';
+import { detachNote, detachNotesOlderThan, attachNote, purgeDetachedNotes } from './notes-service.js';
+import { detachReminder, attachReminder } from './reminder-service.js';
+
+const TRASH_COLLECTION = 'trash';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+defineCollection(TRASH_COLLECTION, {
+    key: 'jeff_toolbox_trash',
+    label: '回收站',
+    version: 2,
+    migrations: [
+        { version: 2, migrate: upgradeTrashToV2 }
+    ]
+});
+
+function upgradeTrashToV2(entries) {
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+
+    return entries.map(entry => {
+        if (entry?.type !== 'note' || !entry.item || !('imageId' in entry.item)) {
+            return entry;
+        }
+
+        const { imageId, ...item } = entry.item;
+        return {
+            ...entry,
+            item: {
+                ...item,
+                attachments: imageId ? [{ id: String(imageId), thumbId: '', width: 0, height: 0, mimeType: '', bytes: 0 }] : []
+            }
+        };
+    });
+}
+
+export function normalizeTrashRetentionDays(value) {
+    const days = Number(value);
+    return TRASH_RETENTION_OPTIONS.includes(days) ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function normalizeTrashEntry(item) {
+    return {
+        id: String(item?.id || ''),
+        type: item?.type === 'reminder' ? 'reminder' : 'note',
+        deletedAt: String(item?.deletedAt || new Date().toISOString()),
+        item: item?.item && typeof item.item === 'object' ? item.item : {}
+    };
+}
+
+async function loadTrash() {
+    const stored = await readCollection(TRASH_COLLECTION);
+    return Array.isArray(stored)
+        ? stored.map(normalizeTrashEntry).filter(entry => entry.id)
+        : [];
+}
+
+async function persistTrash(entries) {
+    await writeCollection(TRASH_COLLECTION, entries);
+}
+
+async function pushTrashEntries(type, items) {
+    const deletedAt = new Date().toISOString();
+    const entries = items.map((item, index) => ({
+        id: `trash-${Date.now()}-${index}-${Math.floor(Math.random() * 10000)}`,
+        type,
+        deletedAt,
+        item
+    }));
+
+    await persistTrash([...entries, ...(await loadTrash())]);
+    return entries;
+}
+
+async function pushTrashEntry(type, item) {
+    const [entry] = await pushTrashEntries(type, [item]);
+    return entry;
+}
+
+async function dropTrashEntries(entryIds) {
+    const ids = new Set(entryIds);
+    const entries = await loadTrash();
+    const kept = entries.filter(entry => !ids.has(entry.id));
+    if (kept.length !== entries.length) {
+        await persistTrash(kept);
+    }
+
+    return entries.filter(entry => ids.has(entry.id));
+}
+
+export function getTrashEntryTitle(entry) {
+    return String(entry?.item?.title || (entry?.type === 'reminder' ? '提醒' : '未命名笔记'));
+}
+
+export function getTrashExpiresAt(entry, retentionDays) {
+    const days = normalizeTrashRetentionDays(retentionDays);
+    if (days === 0) {
+        return null;
+    }
+
+    return new Date(new Date(entry.deletedAt).getTime() + days * DAY_MS);
+}
+
+export async function getTrashEntries() {
+    const entries = await loadTrash();
+    return entries.sort((a, b) => new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime());
+}
+
+export async function trashNote(noteId) {
+    const detached = await detachNote(noteId);
+    if (!detached) {
+        throw new Error('笔记不存在或已被删除');
+    }
+
+    try {
+        const entry = await pushTrashEntry('note', detached.note);
+        return { entry, notes: detached.notes };
+    } catch (error) {
+        await attachNote(detached.note);
+        throw error;
+    }
+}
+
+export async function trashNotesOlderThan(days) {
+    const { detachedNotes, notes } = await detachNotesOlderThan(days);
+    if (detachedNotes.length === 0) {
+        return { entries: [], notes };
+    }
+
+    try {
+        const entries = await pushTrashEntries('note', detachedNotes);
+        return { entries, notes };
+    } catch (error) {
+        for (const note of detachedNotes) {
+            await attachNote(note);
+        }
+        throw error;
+    }
+}
+
+export async function trashReminder(reminderId, notifier = {}) {
+    const detached = await detachReminder(reminderId, notifier);
+    if (!detached) {
+        throw new Error('提醒不存在或已被删除');
+    }
+
+    try {
+        const entry = await pushTrashEntry('reminder', detached.reminder);
+        return { entry, reminders: detached.reminders };
+    } catch (error) {
+        await attachReminder(detached.reminder, notifier);
+        throw error;
+    }
+}
+
+export async function restoreTrashEntry(entryId, notifier = {}) {
+    const entry = (await loadTrash()).find(item => item.id === String(entryId));
+    if (!entry) {
+        throw new Error('回收站中没有这一项');
+    }
+
+    if (entry.type === 'reminder') {
+        await attachReminder(entry.item, notifier);
+    } else {
+        await attachNote(entry.item);
+    }
+
+    await dropTrashEntries([entry.id]);
+    return entry;
+}
+
+export async function purgeTrashEntries(entryIds = null) {
+    const ids = entryIds === null
+        ? (await loadTrash()).map(entry => entry.id)
+        : entryIds.map(String);
+    const removed = await dropTrashEntries(ids);
+
+    await purgeDetachedNotes(removed.filter(entry => entry.type === 'note').map(entry => entry.item));
+    return removed.length;
+}
+
+export async function purgeExpiredTrash(retentionDays, now = Date.now()) {
+    const entries = await loadTrash();
+    const expiredIds = entries
+        .filter(entry => {
+            const expiresAt = getTrashExpiresAt(entry, retentionDays);
+            return expiresAt && expiresAt.getTime() <= now;
+        })
+        .map(entry => entry.id);
+
+    return expiredIds.length > 0 ? purgeTrashEntries(expiredIds) : 0;
+}
@@ -1,42 +1,120 @@
-﻿import { $, formatChinaDateTime } from './core/dom.js';
+﻿import { $, $all, escapeHtml, formatBytes, formatChinaDateTime } from './core/dom.js';
+import { initStorage, runMigrations, StorageQuotaError, StorageMigrationError } from './core/storage.js';
 import { getToolboxShell, APP_VIEWS } from './ui/layout.js';
 import {
     renderDevicePanel,
+    renderStoragePanel,
+    renderBackupPanel,
+    renderTrashPanel,
     renderQrPanel,
-    renderNoteDraftImage,
+    renderNoteDraftGallery,
+    renderNoteDraftBanner,
+    renderNoteTemplateOptions,
     renderNotesPanel,
+    renderNoteFilterBar,
+    renderNoteTagSuggestions,
     renderNoteDetailPanel,
-    renderRemindersPanel
+    renderReminderNoteLink,
+    renderRemindersPanel,
+    renderReminderHistoryPanel
 } from './ui/panels.js';
+import { ImageViewer } from './ui/image-viewer.js';
 import {
     initDeviceService,
     getDeviceSnapshot,
     addNetworkStatusListener,
     removeNetworkStatusListener,
+    addReminderNotificationTapListener,
+    removeReminderNotificationTapListener,
     refreshUptime,
     triggerHaptics,
     copyText,
     sendTestNotification,
     scheduleReminderNotification,
-    cancelReminderNotification
+    cancelReminderNotification,
+    getPendingNotificationCount,
+    REMINDER_NOTIFICATION_ACTIONS
 } from './services/device-service.js';
 import {
     capturePhotoFromCamera,
     pickPhotoForNote,
     scanQrCodeLive,
     scanQrCodeFromPhotoLibrary,
-    readFileAsDataUrl,
+    prepareImageAttachment,
+    getImageProcessingOptions,
     explainQrPayload
 } from './services/media-service.js';
 import {
     getAllNotes,
     addNote,
-    deleteNote
+    importNotes,
+    updateNote,
+    getNoteRevisions,
+    restoreNoteRevision,
+    compressNoteImages,
+    renameNoteTag,
+    setNotePinned,
+    setNoteArchived,
+    toggleNoteChecklistItem,
+    MAX_NOTE_ATTACHMENTS
 } from './services/notes-service.js';
+import {
+    parseTagInput,
+    formatTagInput,
+    extractHashtags,
+    collectTagCounts,
+    collectFolders,
+    isSameTag
+} from './services/note-tags.js';
+import { renderMarkdown } from './core/markdown.js';
+import { prefixChecklistLines } from './services/note-checklist.js';
+import { formatNoteContent, normalizeFormatProfile, normalizeWrapColumns } from './services/note-format.js';
+import { getSettings, updateSettings } from './services/settings-service.js';
+import { syncNoteIndex, indexNote, removeNoteFromIndex, searchNotes, getSearchHighlightTerms } from './services/note-search.js';
+import { getStorageReport } from './services/storage-service.js';
+import { getNoteDraftInfo, loadNoteDraft, saveNoteDraft, clearNoteDraft, promoteNoteDraft } from './services/draft-service.js';
+import {
+    getNoteTemplates,
+    saveNoteTemplate,
+    deleteNoteTemplate,
+    applyNoteTemplate
+} from './services/template-service.js';
+import {
+    getTrashEntries,
+    getTrashEntryTitle,
+    getTrashExpiresAt,
+    trashNote,
+    trashNotesOlderThan,
+    trashReminder,
+    restoreTrashEntry,
+    purgeTrashEntries,
+    purgeExpiredTrash
+} from './services/trash-service.js';
+import {
+    exportBackupText,
+    parseBackupArchive,
+    previewBackupArchive,
+    restoreBackupArchive
+} from './services/backup-service.js';
+import { saveFile, saveFiles, readFileAsText, createTimestampedFileName } from './services/file-service.js';
+import { buildNoteExportFiles } from './services/export-service.js';
+import { parseNoteImportFile } from './services/note-import.js';
+import { parseReminderText, describeParsedReminder } from './services/reminder-parser.js';
 import {
     getAllReminders,
-    addReminder,
-    removeReminder
+    addReminders,
+    updateReminder,
+    getReminderLog,
+    getReminderStatus,
+    buildReminderHistory,
+    completeReminderOccurrence,
+    snoozeReminder,
+    findReminderByNotificationId,
+    topUpReminderNotifications,
+    DEFAULT_SNOOZE_MINUTES,
+    parseRecurrenceRule,
+    describeRecurrenceRule,
+    getRuleOccurrences
 } from './services/reminder-service.js';
 
 const WEEKDAY_LABELS = [
@@ -49,6 +127,7 @@ const WEEKDAY_LABELS = [
     '\u5468\u516d'
 ];
 const WORKDAY_WEEKDAYS = [1, 2, 3, 4, 5];
+const RULE_WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
 const REMINDER_TIME_FIELD_IDS = new Set([
     'reminderAtOncePicker',
     'reminderAtTimePicker',
@@ -85,17 +164,42 @@ export class ToolboxApp {
         this.state = {
             activeView: 'home',
             snapshot: null,
+            settings: null,
+            storageReport: null,
+            pendingBackup: null,
+            backupPreview: null,
             qrResult: null,
             qrExplanation: null,
-            noteDraftImage: '',
+            noteDraftAttachments: [],
+            pendingNoteDraft: null,
+            noteTemplates: [],
+            noteExportIds: [],
+            reminderNoteId: '',
+            editingReminderId: '',
+            reminderQuickParse: null,
+            showReminderHistory: false,
             notes: [],
+            noteSearchQuery: '',
+            noteTagFilter: '',
+            noteFolderFilter: '',
+            showArchivedNotes: false,
             activeNoteId: '',
+            editingNoteId: '',
+            noteRevisions: [],
+            activeRevisionId: '',
             notesMode: 'list',
-            reminders: []
+            reminders: [],
+            reminderLog: [],
+            notificationUsage: null,
+            trashEntries: []
         };
 
         this.toastTimer = null;
         this.uptimeTimer = null;
+        this.imageViewer = null;
+        this.noteDraftTimer = null;
+        this.noteDraftQueue = Promise.resolve();
+        this.reminderSyncQueue = Promise.resolve();
         this.reminderPickers = {
             once: null,
             time: null,
@@ -106,6 +210,8 @@ export class ToolboxApp {
         this.handleClick = this.handleClick.bind(this);
         this.handleSubmit = this.handleSubmit.bind(this);
         this.handleChange = this.handleChange.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
     }
 
     async init() {
@@ -115,12 +221,25 @@ export class ToolboxApp {
         }
 
         this.root.innerHTML = getToolboxShell();
+        this.imageViewer = new ImageViewer($('#imageViewer', this.root));
         this.bindEvents();
 
+        await initStorage();
+        const { failures } = await runMigrations();
+        if (failures.length > 0) {
+            this.showAppAlert(failures);
+        }
+
         await initDeviceService();
 
-        this.state.notes = getAllNotes();
-        this.state.reminders = getAllReminders();
+        this.state.settings = await this.loadUnlessUnmigrated(getSettings, this.state.settings);
+        await this.purgeExpiredTrash();
+        this.setNotes(await this.loadUnlessUnmigrated(getAllNotes, []));
+        this.state.reminders = await this.loadUnlessUnmigrated(getAllReminders, []);
+        this.state.reminderLog = await this.loadUnlessUnmigrated(getReminderLog, []);
+        await promoteNoteDraft();
+        this.state.pendingNoteDraft = await getNoteDraftInfo();
+        this.state.noteTemplates = await this.loadUnlessUnmigrated(getNoteTemplates, []);
 
         await this.refreshDeviceInfo(false);
         await addNetworkStatusListener(network => {
@@ -134,22 +253,56 @@ export class ToolboxApp {
             };
             this.renderDevice();
         });
+        await addReminderNotificationTapListener(tap => this.handleReminderNotificationTap(tap));
+        await this.syncReminderNotifications();
 
         this.renderNotes();
         this.renderReminders();
+        this.renderBackup();
+        this.renderTrash();
         this.renderQr();
         this.renderNoteDraft();
+        this.resetNoteEditor();
         this.prepareReminderForm();
         this.setNotesMode('list');
         this.setActiveView(this.state.activeView);
 
         this.startUptimeTicker();
+
+        if (this.state.pendingNoteDraft) {
+            this.showToast('有一份未保存的笔记草稿', 6000, {
+                action: 'restore-note-draft',
+                label: '恢复草稿'
+            });
+        }
+    }
+
+    async loadUnlessUnmigrated(load, fallbackValue) {
+        try {
+            return await load();
+        } catch (error) {
+            if (!(error instanceof StorageMigrationError)) {
+                throw error;
+            }
+            console.warn('Skipped loading data that failed to migrate:', error);
+            return fallbackValue;
+        }
     }
 
     bindEvents() {
         this.root.addEventListener('click', this.handleClick);
         this.root.addEventListener('submit', this.handleSubmit);
         this.root.addEventListener('change', this.handleChange);
+        this.root.addEventListener('input', this.handleInput);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flushNoteDraft();
+        } else if (this.root) {
+            this.syncReminderNotifications();
+        }
     }
 
     setActiveView(viewId) {
@@ -157,6 +310,8 @@ export class ToolboxApp {
             return;
         }
 
+        this.flushNoteDraft();
+
         this.state.activeView = viewId;
 
         this.root.querySelectorAll('[data-view-panel]').forEach(panel => {
@@ -171,10 +326,16 @@ export class ToolboxApp {
             this.setNotesMode('list');
         }
 
+        if (viewId === 'device') {
+            this.refreshStorageReport();
+            this.refreshTrash()
+                .catch(error => this.showToast(this.getStorageErrorMessage(error, '回收站加载失败')));
+        }
+
         if (viewId === 'reminders') {
-            this.state.reminders = getAllReminders();
-            this.renderReminders();
             this.prepareReminderForm();
+            this.reloadReminders()
+                .catch(error => this.showToast(this.getStorageErrorMessage(error, '提醒加载失败')));
         }
 
         const appMain = $('#appMain', this.root);
@@ -184,6 +345,13 @@ export class ToolboxApp {
     }
 
     setNotesMode(mode = 'list', noteId = '') {
+        if (this.state.notesMode === 'editor' && mode !== 'editor') {
+            this.flushNoteDraft().then(async () => {
+                await promoteNoteDraft();
+                this.state.pendingNoteDraft = await getNoteDraftInfo();
+            });
+        }
+
         this.state.notesMode = mode;
         if (noteId) {
             this.state.activeNoteId = String(noteId);
@@ -216,16 +384,286 @@ export class ToolboxApp {
         }
 
         this.renderNoteDetail();
+        if (mode === 'detail') {
+            this.refreshNoteRevisions();
+        }
+        if (mode === 'editor') {
+            renderNoteDraftBanner($('#noteDraftBanner', this.root), this.state.pendingNoteDraft);
+        }
+    }
+
+    scheduleNoteDraftSave() {
+        if (this.state.notesMode !== 'editor') {
+            return;
+        }
+
+        if (this.noteDraftTimer) {
+            clearTimeout(this.noteDraftTimer);
+        }
+        this.noteDraftTimer = setTimeout(() => {
+            this.flushNoteDraft();
+        }, 800);
+    }
+
+    flushNoteDraft() {
+        if (!this.noteDraftTimer) {
+            return this.noteDraftQueue;
+        }
+
+        clearTimeout(this.noteDraftTimer);
+        this.noteDraftTimer = null;
+
+        const form = $('#noteForm', this.root);
+        if (!form) {
+            return this.noteDraftQueue;
+        }
+
+        const formatOptions = this.getNoteFormatOptions(form);
+        const draft = {
+            editingNoteId: this.state.editingNoteId,
+            title: form.elements.noteTitle.value,
+            content: form.elements.noteContent.value,
+            tags: form.elements.noteTags.value,
+            folder: form.elements.noteFolder.value,
+            formatProfile: formatOptions.profile,
+            formatColumns: formatOptions.columns,
+            markdown: formatOptions.markdown,
+            attachments: this.state.noteDraftAttachments
+        };
+
+        const shadow = Boolean(this.state.pendingNoteDraft);
+        this.noteDraftQueue = this.noteDraftQueue
+            .then(() => saveNoteDraft(draft, { shadow }))
+            .catch(error => console.warn('Failed to autosave note draft:', error));
+        return this.noteDraftQueue;
+    }
+
+    async discardNoteDraft({ shadow = false } = {}) {
+        if (this.noteDraftTimer) {
+            clearTimeout(this.noteDraftTimer);
+            this.noteDraftTimer = null;
+        }
+
+        if (shadow) {
+            this.noteDraftQueue = this.noteDraftQueue
+                .then(() => clearNoteDraft({ shadow: true }))
+                .catch(error => console.warn('Failed to clear note draft:', error));
+            await this.noteDraftQueue;
+            return;
+        }
+
+        this.state.pendingNoteDraft = null;
+        this.noteDraftQueue = this.noteDraftQueue
+            .then(async () => {
+                await clearNoteDraft();
+                await promoteNoteDraft();
+            })
+            .catch(error => console.warn('Failed to clear note draft:', error));
+        await this.noteDraftQueue;
+        renderNoteDraftBanner($('#noteDraftBanner', this.root), null);
+    }
+
+    async restoreNoteDraft() {
+        await this.flushNoteDraft();
+        const draft = await loadNoteDraft();
+        if (!draft) {
+            this.state.pendingNoteDraft = null;
+            renderNoteDraftBanner($('#noteDraftBanner', this.root), null);
+            this.showToast('草稿已不存在');
+            return;
+        }
+
+        const note = draft.editingNoteId ? this.getNoteById(draft.editingNoteId) : null;
+        this.state.pendingNoteDraft = null;
+        this.noteDraftQueue = this.noteDraftQueue
+            .then(() => clearNoteDraft({ shadow: true }))
+            .catch(error => console.warn('Failed to clear note draft:', error));
+        if (this.state.activeView !== 'notes') {
+            this.setActiveView('notes');
+        }
+        if (note) {
+            this.openNoteEditorFor(note);
+        } else {
+            this.state.activeNoteId = '';
+            this.resetNoteEditor();
+            this.setNotesMode('editor');
+        }
+
+        const form = $('#noteForm', this.root);
+        form.elements.noteTitle.value = draft.title;
+        form.elements.noteContent.value = draft.content;
+        form.elements.noteTags.value = draft.tags;
+        form.elements.noteFolder.value = draft.folder;
+        this.applyNoteFormatFields(form, {
+            profile: draft.formatProfile,
+            columns: draft.formatColumns,
+            markdown: draft.markdown
+        });
+
+        const existing = new Map((note?.attachments || []).map(attachment => [attachment.id, attachment]));
+        this.setNoteDraftAttachments(draft.attachments
+            .map(item => (item.blob
+                ? { ...item, url: URL.createObjectURL(item.blob), thumbUrl: URL.createObjectURL(item.thumbBlob) }
+                : existing.get(item.id)))
+            .filter(Boolean));
+        this.updateNoteTagSuggestions();
+        this.showToast('已恢复草稿');
+    }
+
+    async refreshNoteRevisions() {
+        const noteId = this.state.activeNoteId;
+        const revisions = noteId ? await getNoteRevisions(noteId) : [];
+        if (noteId !== this.state.activeNoteId) {
+            return;
+        }
+
+        this.state.noteRevisions = revisions;
+        if (!revisions.some(revision => revision.id === this.state.activeRevisionId)) {
+            this.state.activeRevisionId = '';
+        }
+        this.renderNoteDetail();
     }
 
     resetNoteEditor() {
         const form = $('#noteForm', this.root);
         if (form) {
             form.reset();
+            this.applyNoteFormatFields(form, {
+                profile: this.state.settings?.noteFormatProfile,
+                columns: this.state.settings?.noteWrapColumns,
+                markdown: this.state.settings?.noteMarkdown
+            });
+            form.elements.noteTags.value = formatTagInput([this.state.noteTagFilter]);
+            form.elements.noteFolder.value = this.state.noteFolderFilter;
         }
 
-        this.state.noteDraftImage = '';
-        this.renderNoteDraft();
+        this.state.editingNoteId = '';
+        this.setNoteDraftAttachments([]);
+        this.renderNoteTemplates();
+        this.renderNoteFolderOptions();
+        this.updateNoteTagSuggestions();
+        this.updateNoteEditorHeading();
+    }
+
+    openNoteEditorFor(note) {
+        const form = $('#noteForm', this.root);
+        if (!form || !note) {
+            return;
+        }
+
+        form.reset();
+        form.elements.noteTitle.value = note.title;
+        form.elements.noteContent.value = note.rawContent;
+        this.applyNoteFormatFields(form, {
+            profile: note.formatProfile,
+            columns: note.formatColumns,
+            markdown: note.markdown
+        });
+        form.elements.noteTags.value = formatTagInput(note.tags);
+        form.elements.noteFolder.value = note.folder;
+
+        this.state.editingNoteId = note.id;
+        this.setNoteDraftAttachments(note.attachments);
+        this.renderNoteTemplates();
+        this.renderNoteFolderOptions();
+        this.updateNoteTagSuggestions();
+        this.updateNoteEditorHeading();
+        this.setNotesMode('editor', note.id);
+    }
+
+    renderNoteFolderOptions() {
+        const datalist = $('#noteFolderOptions', this.root);
+        if (!datalist) {
+            return;
+        }
+
+        datalist.innerHTML = collectFolders(this.state.notes)
+            .map(folder => `<option value="${escapeHtml(folder.name)}"></option>`)
+            .join('');
+    }
+
+    updateNoteTagSuggestions() {
+        const form = $('#noteForm', this.root);
+        if (!form) {
+            return;
+        }
+
+        const currentTags = parseTagInput(form.elements.noteTags.value);
+        const suggestions = extractHashtags(form.elements.noteContent.value)
+            .filter(tag => !currentTags.some(item => isSameTag(item, tag)));
+        renderNoteTagSuggestions($('#noteTagSuggestions', this.root), suggestions);
+    }
+
+    addNoteTagToEditor(tag) {
+        const form = $('#noteForm', this.root);
+        if (!form || !tag) {
+            return;
+        }
+
+        form.elements.noteTags.value = formatTagInput([...parseTagInput(form.elements.noteTags.value), tag]);
+        this.updateNoteTagSuggestions();
+        this.scheduleNoteDraftSave();
+    }
+
+    applyNoteFormatFields(form, { profile, columns, markdown }) {
+        form.elements.noteFormatProfile.value = normalizeFormatProfile(profile);
+        form.elements.noteWrapColumns.value = String(normalizeWrapColumns(columns));
+        form.elements.noteMarkdown.checked = markdown === true;
+        this.updateNoteFormatPreview();
+    }
+
+    getNoteFormatOptions(form) {
+        return {
+            profile: normalizeFormatProfile(form.elements.noteFormatProfile.value),
+            columns: normalizeWrapColumns(form.elements.noteWrapColumns.value),
+            markdown: form.elements.noteMarkdown.checked
+        };
+    }
+
+    updateNoteFormatPreview() {
+        const form = $('#noteForm', this.root);
+        const preview = $('#noteFormatPreview', this.root);
+        const columnsField = $('#noteWrapColumnsField', this.root);
+        if (!form || !preview) {
+            return;
+        }
+
+        const options = this.getNoteFormatOptions(form);
+        if (columnsField) {
+            columnsField.classList.toggle('hidden', options.profile !== 'wrap');
+        }
+
+        const formatted = options.profile === 'raw' && !options.markdown
+            ? ''
+            : formatNoteContent(form.elements.noteContent.value, options);
+        preview.classList.toggle('hidden', !formatted);
+        preview.classList.toggle('markdown-body', Boolean(formatted) && options.markdown);
+        preview.innerHTML = formatted
+            ? `<span class="note-format-preview-label">${options.markdown ? 'Markdown 预览' : '排版预览'}</span>${options.markdown ? renderMarkdown(formatted) : escapeHtml(formatted)}`
+            : '';
+    }
+
+    updateNoteEditorHeading() {
+        const editing = Boolean(this.state.editingNoteId);
+        const heading = $('#noteEditorTitle', this.root);
+        const saveButton = $('#noteSaveButton', this.root);
+
+        if (heading) {
+            heading.textContent = editing ? '编辑笔记' : '新增笔记';
+        }
+
+        if (saveButton) {
+            saveButton.textContent = editing ? '保存修改' : '保存笔记';
+        }
+    }
+
+    openExternalUrl(url) {
+        const target = String(url || '');
+        if (!target) {
+            return;
+        }
+
+        window.open(target, '_blank');
     }
 
     getNoteById(noteId) {
@@ -295,7 +733,7 @@ export class ToolboxApp {
                     ...commonOptions,
                     enableTime: true,
                     dateFormat: 'Y-m-d H:i',
-                    onChange: () => this.updateReminderRepeatControls()
+                    onChange: () => this.handleReminderFieldChange()
                 });
             }
         }
@@ -308,7 +746,7 @@ export class ToolboxApp {
                     noCalendar: true,
                     enableTime: true,
                     dateFormat: 'H:i',
-                    onChange: () => this.updateReminderRepeatControls()
+                    onChange: () => this.handleReminderFieldChange()
                 });
             }
         }
@@ -320,7 +758,7 @@ export class ToolboxApp {
                     ...commonOptions,
                     enableTime: true,
                     dateFormat: 'm-d H:i',
-                    onChange: () => this.updateReminderRepeatControls()
+                    onChange: () => this.handleReminderFieldChange()
                 });
             }
         }
@@ -332,7 +770,7 @@ export class ToolboxApp {
                     ...commonOptions,
                     enableTime: true,
                     dateFormat: 'm-d H:i',
-                    onChange: () => this.updateReminderRepeatControls()
+                    onChange: () => this.handleReminderFieldChange()
                 });
             }
         }
@@ -357,7 +795,7 @@ export class ToolboxApp {
             return 'yearly';
         }
 
-        if (repeatType === 'once') {
+        if (repeatType === 'once' || repeatType === 'custom') {
             return 'once';
         }
 
@@ -407,7 +845,7 @@ export class ToolboxApp {
     buildReminderDueAtLocal(_formData, repeatType) {
         const now = new Date();
 
-        if (repeatType === 'once') {
+        if (repeatType === 'once' || repeatType === 'custom') {
             const onceDate = this.getReminderPickerDate('once');
             if (!onceDate) {
                 throw new Error('\u8bf7\u9009\u62e9\u63d0\u9192\u65f6\u95f4');
@@ -490,6 +928,11 @@ export class ToolboxApp {
             return;
         }
 
+        if (this.state.reminderQuickParse) {
+            hint.textContent = describeParsedReminder(this.state.reminderQuickParse);
+            return;
+        }
+
         const repeatTypeSelect = $('#reminderRepeatType', reminderForm);
         const repeatType = String(repeatTypeSelect?.value || 'once').toLowerCase();
         const mode = this.getReminderTimeMode(repeatType);
@@ -579,13 +1022,14 @@ export class ToolboxApp {
         const onceInputDate = this.getReminderPickerDate('once');
         const fallbackWeekday = onceInputDate ? onceInputDate.getDay() : new Date().getDay();
 
-        if (repeatType === 'weekly') {
+        const isCustomWeekly = repeatType === 'custom' && $('#reminderRuleFreq', reminderForm)?.value === 'WEEKLY';
+        if (repeatType === 'weekly' || isCustomWeekly) {
             if (weekdayField) {
                 weekdayField.classList.remove('hidden');
             }
 
             const hasChecked = weekdayInputs.some(input => input.checked);
-            if (!hasChecked && weekdayInputs.length > 0) {
+            if (repeatType === 'weekly' && !hasChecked && weekdayInputs.length > 0) {
                 const fallbackInput = weekdayInputs.find(input => Number(input.value) === fallbackWeekday) || weekdayInputs[0];
                 if (fallbackInput) {
                     fallbackInput.checked = true;
@@ -613,14 +1057,151 @@ export class ToolboxApp {
             .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
             .sort((a, b) => a - b);
 
+        this.updateReminderRuleFields(reminderForm, repeatType);
         const repeatHint = $('#reminderRepeatHint', reminderForm);
         if (repeatHint) {
-            repeatHint.textContent = this.getReminderRepeatHintText(repeatType, selectedWeekdays);
+            repeatHint.textContent = repeatType === 'custom'
+                ? this.getReminderRuleHintText(reminderForm)
+                : this.getReminderRepeatHintText(repeatType, selectedWeekdays);
         }
 
         this.updateReminderTimeHint(reminderForm);
     }
 
+    readReminderRuleForm(reminderForm, startDate) {
+        const { elements } = reminderForm;
+        const freq = elements.ruleFreq.value;
+        const interval = Number(elements.ruleInterval.value);
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error('\u91cd\u590d\u95f4\u9694\u9700\u4e3a\u6b63\u6574\u6570');
+        }
+
+        const parts = [`FREQ=${freq}`, `INTERVAL=${interval}`];
+        if (freq === 'WEEKLY') {
+            const weekdays = Array.from(reminderForm.querySelectorAll('input[name="repeatWeekdays"]:checked'))
+                .map(input => RULE_WEEKDAY_CODES[Number(input.value)])
+                .filter(Boolean);
+            if (weekdays.length > 0) {
+                parts.push(`BYDAY=${weekdays.join(',')}`);
+            }
+        }
+
+        const dayMode = elements.ruleDayMode.value;
+        if ((freq === 'MONTHLY' || freq === 'YEARLY') && dayMode !== 'start') {
+            if (freq === 'YEARLY') {
+                parts.push(`BYMONTH=${(startDate || new Date()).getMonth() + 1}`);
+            }
+            parts.push(dayMode === 'monthday'
+                ? `BYMONTHDAY=${elements.ruleMonthDay.value}`
+                : `BYDAY=${elements.ruleOrdinal.value}${elements.ruleWeekday.value}`);
+        }
+
+        if (elements.ruleEnd.value === 'until') {
+            if (!elements.ruleUntil.value) {
+                throw new Error('\u8bf7\u9009\u62e9\u622a\u6b62\u65e5\u671f');
+            }
+            parts.push(`UNTIL=${elements.ruleUntil.value.replace(/-/g, '')}`);
+        } else if (elements.ruleEnd.value === 'count') {
+            parts.push(`COUNT=${elements.ruleCount.value}`);
+        }
+        return parts.join(';');
+    }
+
+    fillReminderRuleForm(reminderForm, rrule) {
+        const { elements } = reminderForm;
+        const rule = parseRecurrenceRule(rrule);
+        const ordinalDay = rule.byDay.find(item => item.ordinal);
+
+        elements.ruleFreq.value = rule.freq;
+        elements.ruleInterval.value = String(rule.interval);
+        elements.ruleDayMode.value = rule.byMonthDay.length > 0 ? 'monthday' : (ordinalDay ? 'weekday' : 'start');
+        if (rule.byMonthDay.length > 0) {
+            elements.ruleMonthDay.value = String(rule.byMonthDay[0]);
+        }
+        if (ordinalDay) {
+            elements.ruleOrdinal.value = String(ordinalDay.ordinal);
+            elements.ruleWeekday.value = RULE_WEEKDAY_CODES[ordinalDay.weekday];
+        }
+        if (rule.freq === 'WEEKLY') {
+            reminderForm.querySelectorAll('input[name="repeatWeekdays"]').forEach(input => {
+                input.checked = rule.byDay.some(item => item.weekday === Number(input.value));
+            });
+        }
+
+        elements.ruleEnd.value = rule.until ? 'until' : (rule.count ? 'count' : 'never');
+        elements.ruleUntil.value = rule.until
+            ? `${rule.until.getFullYear()}-${pad2(rule.until.getMonth() + 1)}-${pad2(rule.until.getDate())}`
+            : '';
+        if (rule.count) {
+            elements.ruleCount.value = String(rule.count);
+        }
+    }
+
+    updateReminderRuleFields(reminderForm, repeatType) {
+        const { elements } = reminderForm;
+        const freq = elements.ruleFreq?.value;
+        const dayMode = elements.ruleDayMode?.value;
+        const endMode = elements.ruleEnd?.value;
+
+        $('#reminderRuleField', reminderForm)?.classList.toggle('hidden', repeatType !== 'custom');
+        $('#reminderRuleDayRow', reminderForm)?.classList.toggle('hidden', freq !== 'MONTHLY' && freq !== 'YEARLY');
+        $('#reminderRuleMonthDay', reminderForm)?.classList.toggle('hidden', dayMode !== 'monthday');
+        $('#reminderRuleOrdinal', reminderForm)?.classList.toggle('hidden', dayMode !== 'weekday');
+        $('#reminderRuleWeekday', reminderForm)?.classList.toggle('hidden', dayMode !== 'weekday');
+        $('#reminderRuleUntil', reminderForm)?.classList.toggle('hidden', endMode !== 'until');
+        $('#reminderRuleCount', reminderForm)?.classList.toggle('hidden', endMode !== 'count');
+    }
+
+    getReminderRuleHintText(reminderForm) {
+        try {
+            const startDate = this.getReminderPickerDate('once');
+            const rule = parseRecurrenceRule(this.readReminderRuleForm(reminderForm, startDate));
+            const upcoming = startDate ? getRuleOccurrences(rule, startDate, { after: new Date(), limit: 3 }) : [];
+            const upcomingText = upcoming.length > 0
+                ? `\uff1b\u63a5\u4e0b\u6765\uff1a${upcoming.map(date => formatChinaDateTime(date)).join('\u3001')}`
+                : '';
+            return `\u5f53\u524d\uff1a${describeRecurrenceRule(rule)}${upcomingText}`;
+        } catch (error) {
+            return `\u5f53\u524d\uff1a${error.message}`;
+        }
+    }
+
+    handleReminderFieldChange() {
+        this.state.reminderQuickParse = null;
+        this.updateReminderRepeatControls();
+    }
+
+    applyReminderQuickText(text) {
+        const reminderForm = $('#reminderForm', this.root);
+        if (!reminderForm) {
+            return;
+        }
+
+        const value = String(text || '').trim();
+        this.state.reminderQuickParse = value ? parseReminderText(value) : null;
+        const parsed = this.state.reminderQuickParse;
+        if (!parsed) {
+            this.updateReminderRepeatControls();
+            const hint = $('#reminderTimeHint', reminderForm);
+            if (hint && value) {
+                hint.textContent = '\u65e0\u6cd5\u8bc6\u522b\u8fd9\u53e5\u8bdd\uff0c\u8bf7\u5728\u4e0b\u65b9\u624b\u52a8\u8bbe\u7f6e\u63d0\u9192\u65f6\u95f4';
+            }
+            return;
+        }
+
+        if (parsed.title) {
+            reminderForm.elements.reminderTitle.value = parsed.title.slice(0, 60);
+        }
+        $('#reminderRepeatType', reminderForm).value = parsed.repeatType;
+        reminderForm.querySelectorAll('input[name="repeatWeekdays"]').forEach(input => {
+            input.checked = parsed.repeatWeekdays.includes(Number(input.value));
+        });
+
+        this.initReminderPickers(reminderForm);
+        this.reminderPickers[this.getReminderTimeMode(parsed.repeatType)]?.setDate(parsed.dates[0], false);
+        this.updateReminderRepeatControls();
+    }
+
     startUptimeTicker() {
         if (this.uptimeTimer) {
             clearInterval(this.uptimeTimer);
@@ -646,85 +1227,1069 @@ export class ToolboxApp {
     }
 
     renderDevice() {
-        renderDevicePanel($('#devicePanel', this.root), this.state.snapshot);
+        renderDevicePanel($('#devicePanel', this.root), this.state.snapshot, this.state.notificationUsage);
     }
 
-    renderQr() {
-        renderQrPanel(
-            $('#qrPanel', this.root),
-            this.state.qrResult,
-            this.state.qrExplanation,
-        );
+    async refreshStorageReport() {
+        try {
+            this.state.storageReport = await getStorageReport();
+        } catch (error) {
+            console.warn('Failed to build storage report:', error);
+            this.state.storageReport = null;
+        }
+        this.renderStorage();
     }
 
-    renderNoteDraft() {
-        renderNoteDraftImage($('#noteDraftImage', this.root), this.state.noteDraftImage);
+    renderStorage() {
+        const imageOptions = getImageProcessingOptions(this.state.settings || {});
+        const selects = {
+            imageMaxDimensionSelect: imageOptions.maxDimension,
+            imageQualitySelect: imageOptions.quality,
+            imageFormatSelect: imageOptions.mimeType
+        };
+        Object.entries(selects).forEach(([id, value]) => {
+            const select = $(`#${id}`, this.root);
+            if (select) {
+                select.value = String(value);
+            }
+        });
+
+        renderStoragePanel($('#storagePanel', this.root), this.state.storageReport);
     }
 
-    renderNotes() {
-        renderNotesPanel($('#notesPanel', this.root), this.state.notes);
-        this.renderNoteDetail();
+    getReminderNotifier() {
+        return {
+            schedule: scheduleReminderNotification,
+            cancel: cancelReminderNotification
+        };
     }
 
-    renderNoteDetail() {
-        const note = this.getNoteById(this.state.activeNoteId);
-        renderNoteDetailPanel($('#noteDetailPanel', this.root), note);
+    async purgeExpiredTrash() {
+        try {
+            await purgeExpiredTrash(this.state.settings?.trashRetentionDays);
+        } catch (error) {
+            console.warn('Failed to purge expired trash:', error);
+        }
+    }
 
-        if (this.state.notesMode === 'detail' && !note) {
-            this.state.activeNoteId = '';
-            this.setNotesMode('list');
+    async refreshTrash() {
+        this.state.trashEntries = await getTrashEntries();
+        this.renderTrash();
+    }
+
+    renderTrash() {
+        const retentionSelect = $('#trashRetentionSelect', this.root);
+        if (retentionSelect && this.state.settings) {
+            retentionSelect.value = String(this.state.settings.trashRetentionDays);
         }
+
+        renderTrashPanel($('#trashPanel', this.root), this.state.trashEntries, {
+            getTitle: getTrashEntryTitle,
+            getExpiresAt: entry => getTrashExpiresAt(entry, this.state.settings?.trashRetentionDays)
+        });
     }
 
-    renderReminders() {
-        renderRemindersPanel($('#remindersPanel', this.root), this.state.reminders);
+    async restoreFromTrash(entryId) {
+        try {
+            const entry = await restoreTrashEntry(entryId, this.getReminderNotifier());
+            if (entry.type === 'reminder') {
+                await this.reloadReminders();
+                this.syncReminderNotifications();
+            } else {
+                this.setNotes(await getAllNotes(), { changedIds: [entry.item.id] });
+                this.renderNotes();
+            }
+            await this.refreshTrash();
+            this.showToast(`已还原「${getTrashEntryTitle(entry)}」`);
+        } catch (error) {
+            this.showToast(this.getStorageErrorMessage(error, '还原失败'), 4000);
+        }
     }
 
-    async handleClick(event) {
-        const actionElement = event.target.closest('[data-action]');
-        if (!actionElement) {
+    renderBackup() {
+        renderBackupPanel($('#backupPanel', this.root), this.state.backupPreview);
+    }
+
+    clearPendingBackup() {
+        this.state.pendingBackup = null;
+        this.state.backupPreview = null;
+        this.renderBackup();
+    }
+
+    async handleBackupFile(input) {
+        const file = input.files?.[0];
+        if (!file) {
             return;
         }
 
-        const { action } = actionElement.dataset;
+        try {
+            const archive = parseBackupArchive(await readFileAsText(file));
+            this.state.pendingBackup = archive;
+            this.state.backupPreview = await previewBackupArchive(archive);
+            this.renderBackup();
+            this.showToast('请确认导入方式');
+        } catch (error) {
+            this.clearPendingBackup();
+            this.showToast(`备份读取失败：${error.message || '未知错误'}`, 3500);
+        } finally {
+            input.value = '';
+        }
+    }
 
-        switch (action) {
-            case 'switch-view': {
-                const viewId = actionElement.dataset.view || 'home';
-                this.setActiveView(viewId);
-                break;
-            }
+    async handleNoteImportFiles(input) {
+        const files = Array.from(input.files || []);
+        if (files.length === 0) {
+            return;
+        }
 
-            case 'open-note-editor': {
-                this.state.activeNoteId = '';
-                this.resetNoteEditor();
-                this.setNotesMode('editor');
-                break;
+        const candidates = [];
+        let failedCount = 0;
+        try {
+            for (const file of files) {
+                try {
+                    candidates.push(...await parseNoteImportFile({
+                        name: file.name,
+                        text: await readFileAsText(file),
+                        lastModified: file.lastModified
+                    }));
+                } catch (error) {
+                    failedCount += 1;
+                    console.warn(`Failed to import ${file.name}:`, error);
+                }
             }
 
-            case 'back-note-list': {
-                this.state.activeNoteId = '';
-                this.setNotesMode('list');
-                break;
+            if (candidates.length === 0) {
+                this.showToast(failedCount > 0 ? `导入失败：${failedCount} 个文件无法识别` : '文件中没有可导入的笔记', 3500);
+                return;
             }
 
-            case 'view-note-detail': {
-                const noteId = actionElement.dataset.noteId;
-                if (!noteId) {
-                    return;
-                }
+            const { notes, imported, merged, skipped } = await importNotes(candidates, {
+                formatProfile: this.state.settings?.noteFormatProfile,
+                formatColumns: this.state.settings?.noteWrapColumns
+            });
+            this.setNotes(notes);
+            this.renderNotes();
 
-                this.state.activeNoteId = String(noteId);
-                this.setNotesMode('detail', noteId);
-                break;
+            const parts = [`导入 ${imported} 篇`];
+            if (merged > 0) {
+                parts.push(`合并 ${merged} 篇`);
             }
-
-            case 'refresh-device': {
-                await triggerHaptics('light');
-                await this.refreshDeviceInfo(true);
-                break;
+            if (skipped > 0) {
+                parts.push(`跳过 ${skipped} 篇重复`);
             }
-
+            if (failedCount > 0) {
+                parts.push(`${failedCount} 个文件无法识别`);
+            }
+            this.showToast(parts.join('，'), 3500);
+        } catch (error) {
+            this.showToast(this.getStorageErrorMessage(error, '导入失败'), 3500);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    getStorageErrorMessage(error, fallbackPrefix) {
+        if (error instanceof StorageQuotaError) {
+            return '存储空间已满，未能保存。可在「信息」页清理图片或旧笔记后重试';
+        }
+        return `${fallbackPrefix}：${error?.message || '未知错误'}`;
+    }
+
+    renderQr() {
+        renderQrPanel(
+            $('#qrPanel', this.root),
+            this.state.qrResult,
+            this.state.qrExplanation,
+        );
+    }
+
+    setNoteDraftAttachments(attachments) {
+        const next = Array.isArray(attachments) ? attachments : [];
+        this.state.noteDraftAttachments
+            .filter(item => item.blob && !next.includes(item))
+            .forEach(item => {
+                URL.revokeObjectURL(item.url);
+                URL.revokeObjectURL(item.thumbUrl);
+            });
+
+        this.state.noteDraftAttachments = next;
+        this.renderNoteDraft();
+    }
+
+    async addNoteDraftImages(sources) {
+        const room = MAX_NOTE_ATTACHMENTS - this.state.noteDraftAttachments.length;
+        if (room <= 0) {
+            this.showToast(`每条笔记最多 ${MAX_NOTE_ATTACHMENTS} 张图片`);
+            return 0;
+        }
+
+        const options = getImageProcessingOptions(this.state.settings || {});
+        const added = [];
+        try {
+            for (const source of sources.slice(0, room)) {
+                const prepared = await prepareImageAttachment(source, options);
+                added.push({
+                    ...prepared,
+                    url: URL.createObjectURL(prepared.blob),
+                    thumbUrl: URL.createObjectURL(prepared.thumbBlob)
+                });
+            }
+        } finally {
+            this.setNoteDraftAttachments([...this.state.noteDraftAttachments, ...added]);
+            this.scheduleNoteDraftSave();
+        }
+
+        if (sources.length > room) {
+            this.showToast(`每条笔记最多 ${MAX_NOTE_ATTACHMENTS} 张图片，已忽略多余的 ${sources.length - room} 张`);
+        }
+        return added.length;
+    }
+
+    renderNoteTemplates(selectedId = '') {
+        const row = $('#noteTemplateRow', this.root);
+        if (row) {
+            row.classList.toggle('hidden', Boolean(this.state.editingNoteId));
+        }
+
+        renderNoteTemplateOptions($('#noteTemplateSelect', this.root), this.state.noteTemplates, selectedId);
+        this.updateNoteTemplateControls();
+    }
+
+    updateNoteTemplateControls() {
+        const select = $('#noteTemplateSelect', this.root);
+        const deleteButton = $('#noteTemplateDelete', this.root);
+        if (!select || !deleteButton) {
+            return;
+        }
+
+        const template = this.state.noteTemplates.find(item => item.id === select.value);
+        deleteButton.disabled = !template || template.builtin === true;
+    }
+
+    applySelectedNoteTemplate(select) {
+        const form = $('#noteForm', this.root);
+        const template = this.state.noteTemplates.find(item => item.id === select.value);
+        this.updateNoteTemplateControls();
+        if (!form || !template) {
+            return;
+        }
+
+        const hasContent = form.elements.noteTitle.value.trim() || form.elements.noteContent.value.trim();
+        if (hasContent && !window.confirm(`用模板「${template.name}」替换当前标题和内容吗？`)) {
+            return;
+        }
+
+        const { title, content } = applyNoteTemplate(template, { snapshot: this.state.snapshot });
+        form.elements.noteTitle.value = title;
+        form.elements.noteContent.value = content;
+        this.updateNoteFormatPreview();
+        this.updateNoteTagSuggestions();
+        this.scheduleNoteDraftSave();
+    }
+
+    async saveEditorAsTemplate() {
+        const form = $('#noteForm', this.root);
+        if (!form) {
+            return;
+        }
+
+        const title = form.elements.noteTitle.value.trim();
+        const body = form.elements.noteContent.value;
+        if (!title && !body.trim()) {
+            this.showToast('请先填写标题或内容');
+            return;
+        }
+
+        const name = window.prompt('模板名称（标题和正文中可使用 {date}、{time}、{weekday}、{device.model} 等占位符）', title);
+        if (name === null) {
+            return;
+        }
+
+        try {
+            const template = await saveNoteTemplate({ name, titlePattern: title, body });
+            this.state.noteTemplates = await getNoteTemplates();
+            this.renderNoteTemplates(template.id);
+            this.showToast(`已保存模板「${template.name}」`);
+        } catch (error) {
+            this.showToast(this.getStorageErrorMessage(error, '模板保存失败'));
+        }
+    }
+
+    insertChecklistItem() {
+        const textarea = $('#noteForm', this.root)?.elements.noteContent;
+        if (!textarea) {
+            return;
+        }
+
+        const value = textarea.value;
+        const start = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+        const lineEnd = value.indexOf('\n', Math.max(textarea.selectionEnd, textarea.selectionStart));
+        const end = lineEnd < 0 ? value.length : lineEnd;
+        const replaced = prefixChecklistLines(value.slice(start, end));
+
+        textarea.value = `${value.slice(0, start)}${replaced}${value.slice(end)}`;
+        textarea.focus();
+        textarea.setSelectionRange(start + replaced.length, start + replaced.length);
+        this.updateNoteFormatPreview();
+        this.scheduleNoteDraftSave();
+    }
+
+    openNoteExport(noteIds) {
+        const notes = noteIds.map(noteId => this.getNoteById(noteId)).filter(Boolean);
+        const sheet = $('#noteExportSheet', this.root);
+        if (!sheet || notes.length === 0) {
+            this.showToast('没有可导出的笔记');
+            return;
+        }
+
+        this.state.noteExportIds = notes.map(note => note.id);
+        $('#noteExportTitle', this.root).textContent = notes.length === 1
+            ? `导出「${notes[0].title}」`
+            : `导出 ${notes.length} 篇笔记`;
+        sheet.classList.remove('hidden');
+    }
+
+    closeNoteExport() {
+        this.state.noteExportIds = [];
+        $('#noteExportSheet', this.root)?.classList.add('hidden');
+    }
+
+    async runNoteExport(formatId) {
+        const notes = this.state.noteExportIds.map(noteId => this.getNoteById(noteId)).filter(Boolean);
+        const buttons = $all('#noteExportSheet button', this.root);
+        buttons.forEach(button => {
+            button.disabled = true;
+        });
+
+        try {
+            const { title, files } = await buildNoteExportFiles(notes, formatId);
+            const result = await saveFiles(files, { title });
+            if (result !== 'cancelled') {
+                this.showToast(result === 'shared' ? '笔记已导出' : `已下载 ${files.length} 个文件`);
+            }
+            this.closeNoteExport();
+        } catch (error) {
+            this.showToast(`导出失败：${error.message || '未知错误'}`);
+        } finally {
+            buttons.forEach(button => {
+                button.disabled = false;
+            });
+        }
+    }
+
+    renderNoteDraft() {
+        renderNoteDraftGallery($('#noteDraftGallery', this.root), this.state.noteDraftAttachments);
+    }
+
+    setNotes(notes, { changedIds } = {}) {
+        this.state.notes = Array.isArray(notes) ? notes : [];
+
+        if (!Array.isArray(changedIds)) {
+            syncNoteIndex(this.state.notes);
+            return;
+        }
+
+        changedIds.map(String).forEach(noteId => {
+            const note = this.state.notes.find(item => item.id === noteId);
+            if (note) {
+                indexNote(note);
+            } else {
+                removeNoteFromIndex(noteId);
+            }
+        });
+    }
+
+    getScopedNotes() {
+        return this.state.notes.filter(note => note.archived === this.state.showArchivedNotes);
+    }
+
+    getFilteredNotes() {
+        const { noteTagFilter, noteFolderFilter } = this.state;
+        return this.getScopedNotes().filter(note => (!noteTagFilter || note.tags.some(tag => isSameTag(tag, noteTagFilter)))
+            && (!noteFolderFilter || note.folder === noteFolderFilter));
+    }
+
+    renderNoteFilters() {
+        const scopedNotes = this.getScopedNotes();
+        const tags = collectTagCounts(scopedNotes);
+        const folders = collectFolders(scopedNotes);
+
+        if (this.state.noteTagFilter && !tags.some(tag => isSameTag(tag.name, this.state.noteTagFilter))) {
+            this.state.noteTagFilter = '';
+        }
+
+        if (this.state.noteFolderFilter && !folders.some(folder => folder.name === this.state.noteFolderFilter)) {
+            this.state.noteFolderFilter = '';
+        }
+
+        renderNoteFilterBar($('#noteFilterBar', this.root), {
+            tags,
+            folders,
+            activeTag: this.state.noteTagFilter,
+            activeFolder: this.state.noteFolderFilter,
+            totalCount: scopedNotes.length
+        });
+    }
+
+    renderNoteArchiveToggle() {
+        const archivedCount = this.state.notes.filter(note => note.archived).length;
+        const title = $('#notesListTitle', this.root);
+        const toggle = $('#noteArchiveToggle', this.root);
+
+        if (title) {
+            title.textContent = this.state.showArchivedNotes ? '已归档笔记' : '笔记列表';
+        }
+
+        if (toggle) {
+            toggle.textContent = this.state.showArchivedNotes ? '返回笔记列表' : `查看归档（${archivedCount}）`;
+        }
+    }
+
+    getListedNotes() {
+        const filtered = this.getFilteredNotes();
+        const query = this.state.noteSearchQuery.trim();
+        if (!query) {
+            return filtered;
+        }
+
+        const visibleIds = new Set(filtered.map(note => note.id));
+        return searchNotes(query)
+            .filter(result => visibleIds.has(result.id))
+            .map(result => this.getNoteById(result.id))
+            .filter(Boolean);
+    }
+
+    renderNotes() {
+        this.renderNoteArchiveToggle();
+        this.renderNoteFilters();
+
+        const query = this.state.noteSearchQuery.trim();
+        const isFiltered = Boolean(this.state.noteTagFilter || this.state.noteFolderFilter);
+        if (!query) {
+            let emptyText = '';
+            if (this.state.showArchivedNotes) {
+                emptyText = '没有已归档的笔记';
+            } else if (isFiltered) {
+                emptyText = '该分类下还没有笔记';
+            }
+            renderNotesPanel($('#notesPanel', this.root), this.getListedNotes(), {
+                emptyText,
+                groupPinned: !this.state.showArchivedNotes
+            });
+            this.renderNoteDetail();
+            return;
+        }
+
+        renderNotesPanel($('#notesPanel', this.root), this.getListedNotes(), {
+            highlightTerms: getSearchHighlightTerms(query),
+            emptyText: `没有找到与「${query}」相关的笔记`
+        });
+        this.renderNoteDetail();
+    }
+
+    renderNoteDetail() {
+        const note = this.getNoteById(this.state.activeNoteId);
+        const revisions = note
+            ? this.state.noteRevisions.filter(revision => revision.noteId === note.id)
+            : [];
+        renderNoteDetailPanel($('#noteDetailPanel', this.root), note, {
+            revisions,
+            activeRevisionId: this.state.activeRevisionId,
+            sinkCompleted: this.state.settings?.checklistSinkCompleted === true,
+            reminders: note ? this.state.reminders.filter(reminder => reminder.noteId === note.id && !reminder.archived) : []
+        });
+
+        if (this.state.notesMode === 'detail' && !note) {
+            this.state.activeNoteId = '';
+            this.setNotesMode('list');
+        }
+    }
+
+    syncReminderNotifications() {
+        this.reminderSyncQueue = this.reminderSyncQueue
+            .then(async () => {
+                const { reminders, budget } = await topUpReminderNotifications(this.getReminderNotifier());
+                this.state.reminders = reminders;
+                this.state.notificationUsage = { pending: await getPendingNotificationCount(), budget };
+                this.renderReminders();
+                this.renderDevice();
+            })
+            .catch(error => console.warn('Failed to top up reminder notifications:', error));
+        return this.reminderSyncQueue;
+    }
+
+    async reloadReminders() {
+        this.state.reminders = await getAllReminders();
+        this.state.reminderLog = await getReminderLog();
+        this.renderReminders();
+    }
+
+    renderReminders() {
+        const now = new Date();
+        const activeReminders = this.state.reminders.filter(reminder => !reminder.archived);
+        const statuses = new Map(activeReminders.map(reminder => [
+            reminder.id,
+            getReminderStatus(reminder, this.state.reminderLog, now)
+        ]));
+
+        renderRemindersPanel($('#remindersPanel', this.root), activeReminders, {
+            notes: this.state.notes,
+            editingReminderId: this.state.editingReminderId,
+            statuses
+        });
+        renderReminderNoteLink($('#reminderNoteLink', this.root), this.getNoteById(this.state.reminderNoteId));
+
+        const historyPanel = $('#reminderHistoryPanel', this.root);
+        historyPanel?.classList.toggle('hidden', !this.state.showReminderHistory);
+        const historyToggle = $('#reminderHistoryToggle', this.root);
+        if (historyToggle) {
+            historyToggle.textContent = this.state.showReminderHistory ? '\u6536\u8d77' : '\u5c55\u5f00';
+        }
+        if (this.state.showReminderHistory) {
+            renderReminderHistoryPanel(historyPanel, buildReminderHistory(this.state.reminders, this.state.reminderLog, now));
+        }
+    }
+
+    async completeReminder(reminderId) {
+        try {
+            const { reminder, reminders } = await completeReminderOccurrence(reminderId, this.getReminderNotifier());
+            this.state.reminders = reminders;
+            this.state.reminderLog = await getReminderLog();
+            this.renderReminders();
+            this.renderNoteDetail();
+            this.syncReminderNotifications();
+            this.showToast(reminder.archived ? '\u63d0\u9192\u5df2\u5b8c\u6210\u5e76\u5f52\u6863' : '\u672c\u6b21\u63d0\u9192\u5df2\u5b8c\u6210');
+        } catch (error) {
+            this.showToast(this.getStorageErrorMessage(error, '\u64cd\u4f5c\u5931\u8d25'));
+        }
+    }
+
+    async snoozeReminderBy(reminderId, minutesValue) {
+        let minutes = minutesValue;
+        if (minutes === 'custom') {
+            minutes = window.prompt('\u63a8\u8fdf\u591a\u5c11\u5206\u949f\uff1f', '15');
+            if (minutes === null) {
+                return;
+            }
+        }
+
+        try {
+            const { reminder, reminders } = await snoozeReminder(reminderId, minutes, this.getReminderNotifier());
+            this.state.reminders = reminders;
+            this.state.reminderLog = await getReminderLog();
+            this.renderReminders();
+            this.syncReminderNotifications();
+            this.showToast(`\u5df2\u63a8\u8fdf\u81f3 ${formatChinaDateTime(reminder.snoozedUntil)}`);
+        } catch (error) {
+            this.showToast(this.getStorageErrorMessage(error, '\u63a8\u8fdf\u5931\u8d25'));
+        }
+    }
+
+    updateReminderFormMode() {
+        const isEditing = Boolean(this.state.editingReminderId);
+        const submitButton = $('#reminderSubmitButton', this.root);
+        if (submitButton) {
+            submitButton.textContent = isEditing ? '\u4fdd\u5b58\u4fee\u6539' : '\u521b\u5efa\u63d0\u9192';
+        }
+        $('#reminderCancelEdit', this.root)?.classList.toggle('hidden', !isEditing);
+    }
+
+    startReminderEdit(reminderId) {
+        const reminder = this.state.reminders.find(item => item.id === String(reminderId));
+        const reminderForm = $('#reminderForm', this.root);
+        if (!reminder || !reminderForm) {
+            this.showToast('\u63d0\u9192\u4e0d\u5b58\u5728\u6216\u5df2\u88ab\u5220\u9664');
+            return;
+        }
+
+        this.state.editingReminderId = reminder.id;
+        this.state.reminderNoteId = reminder.noteId;
+        this.state.reminderQuickParse = null;
+        reminderForm.reset();
+        this.initReminderPickers(reminderForm);
+
+        reminderForm.elements.reminderTitle.value = reminder.title;
+        $('#reminderRepeatType', reminderForm).value = reminder.repeatType;
+        reminderForm.querySelectorAll('input[name="repeatWeekdays"]').forEach(input => {
+            input.checked = reminder.repeatType === 'weekly' && reminder.repeatWeekdays.includes(Number(input.value));
+        });
+        if (reminder.repeatType === 'custom') {
+            this.fillReminderRuleForm(reminderForm, reminder.rrule);
+        }
+
+        const mode = this.getReminderTimeMode(reminder.repeatType);
+        const pickerDate = new Date(mode === 'once' ? reminder.dueAt : reminder.startAt);
+        this.reminderPickers[mode]?.setDate(pickerDate, false);
+
+        this.updateReminderRepeatControls();
+        this.updateReminderFormMode();
+        this.renderReminders();
+        reminderForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    cancelReminderEdit() {
+        this.state.editingReminderId = '';
+        this.state.reminderNoteId = '';
+        this.state.reminderQuickParse = null;
+        $('#reminderForm', this.root)?.reset();
+        this.prepareReminderForm();
+        this.updateReminderFormMode();
+        this.renderReminders();
+    }
+
+    openNoteReminderForm(noteId) {
+        const note = this.getNoteById(noteId);
+        if (!note) {
+            this.showToast('笔记不存在或已被删除');
+            return;
+        }
+
+        if (this.state.editingReminderId) {
+            this.cancelReminderEdit();
+        }
+        this.state.reminderNoteId = note.id;
+        this.setActiveView('reminders');
+
+        const titleInput = $('#reminderForm', this.root)?.elements.reminderTitle;
+        if (titleInput) {
+            titleInput.value = note.title.slice(0, 60);
+            titleInput.focus();
+        }
+        this.renderReminders();
+    }
+
+    openLinkedNote(noteId) {
+        if (!this.getNoteById(noteId)) {
+            this.setActiveView('reminders');
+            this.showToast('关联的笔记已删除');
+            return;
+        }
+
+        this.setActiveView('notes');
+        this.state.activeNoteId = String(noteId);
+        this.setNotesMode('detail', noteId);
+    }
+
+    async handleReminderNotificationAction({ notificationId, reminderId, actionId }) {
+        const reminder = await findReminderByNotificationId(notificationId, reminderId);
+        if (!reminder) {
+            this.showToast('\u63d0\u9192\u4e0d\u5b58\u5728\u6216\u5df2\u88ab\u5220\u9664');
+            return;
+        }
+
+        if (actionId === REMINDER_NOTIFICATION_ACTIONS.complete) {
+            await this.completeReminder(reminder.id);
+            return;
+        }
+        await this.snoozeReminderBy(reminder.id, DEFAULT_SNOOZE_MINUTES);
+    }
+
+    async handleReminderNotificationTap(tap) {
+        if (tap.actionId === REMINDER_NOTIFICATION_ACTIONS.complete || tap.actionId === REMINDER_NOTIFICATION_ACTIONS.snooze) {
+            await this.handleReminderNotificationAction(tap);
+            return;
+        }
+
+        const { reminderId, noteId } = tap;
+        if (noteId) {
+            this.openLinkedNote(noteId);
+            return;
+        }
+
+        if (reminderId) {
+            this.setActiveView('reminders');
+        }
+    }
+
+    async handleClick(event) {
+        const actionElement = event.target.closest('[data-action]');
+        if (!actionElement) {
+            return;
+        }
+
+        const { action } = actionElement.dataset;
+
+        switch (action) {
+            case 'switch-view': {
+                const viewId = actionElement.dataset.view || 'home';
+                this.setActiveView(viewId);
+                break;
+            }
+
+            case 'open-note-editor': {
+                this.state.activeNoteId = '';
+                this.resetNoteEditor();
+                this.setNotesMode('editor');
+                break;
+            }
+
+            case 'edit-note': {
+                const note = this.getNoteById(actionElement.dataset.noteId);
+                if (!note) {
+                    this.showToast('未找到笔记，可能已被删除');
+                    return;
+                }
+
+                this.openNoteEditorFor(note);
+                break;
+            }
+
+            case 'toggle-note-diff': {
+                const revisionId = actionElement.dataset.revisionId || '';
+                this.state.activeRevisionId = this.state.activeRevisionId === revisionId ? '' : revisionId;
+                this.renderNoteDetail();
+                break;
+            }
+
+            case 'restore-note-revision': {
+                const { noteId, revisionId } = actionElement.dataset;
+                if (!noteId || !revisionId) {
+                    return;
+                }
+
+                const confirmRestore = window.confirm('恢复到该版本？当前内容会保存为一条新的历史版本。');
+                if (!confirmRestore) {
+                    break;
+                }
+
+                try {
+                    await restoreNoteRevision(noteId, revisionId);
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '恢复失败'));
+                    break;
+                }
+
+                this.setNotes(await getAllNotes(), { changedIds: [noteId] });
+                this.state.activeRevisionId = '';
+                this.renderNotes();
+                await this.refreshNoteRevisions();
+                this.showToast('已恢复到所选版本');
+                break;
+            }
+
+            case 'back-note-list': {
+                this.state.activeNoteId = '';
+                this.setNotesMode('list');
+                break;
+            }
+
+            case 'open-note': {
+                const noteId = actionElement.dataset.noteId;
+                if (!noteId) {
+                    return;
+                }
+
+                this.openLinkedNote(noteId);
+                break;
+            }
+
+            case 'remind-note': {
+                this.openNoteReminderForm(actionElement.dataset.noteId);
+                break;
+            }
+
+            case 'edit-reminder': {
+                this.startReminderEdit(actionElement.dataset.reminderId);
+                break;
+            }
+
+            case 'complete-reminder': {
+                if (actionElement.dataset.reminderId) {
+                    await this.completeReminder(actionElement.dataset.reminderId);
+                }
+                break;
+            }
+
+            case 'snooze-reminder': {
+                if (actionElement.dataset.reminderId) {
+                    await this.snoozeReminderBy(actionElement.dataset.reminderId, actionElement.dataset.minutes);
+                }
+                break;
+            }
+
+            case 'toggle-reminder-history': {
+                this.state.showReminderHistory = !this.state.showReminderHistory;
+                this.renderReminders();
+                break;
+            }
+
+            case 'cancel-reminder-edit': {
+                this.cancelReminderEdit();
+                break;
+            }
+
+            case 'clear-reminder-note-link': {
+                this.state.reminderNoteId = '';
+                this.renderReminders();
+                break;
+            }
+
+            case 'filter-note-tag': {
+                const tag = actionElement.dataset.tag || '';
+                this.state.noteTagFilter = tag && !isSameTag(tag, this.state.noteTagFilter) ? tag : '';
+                this.renderNotes();
+                if (this.state.notesMode !== 'list') {
+                    this.state.activeNoteId = '';
+                    this.setNotesMode('list');
+                }
+                break;
+            }
+
+            case 'rename-note-tag': {
+                const fromTag = actionElement.dataset.tag || '';
+                const input = window.prompt(`将标签「${fromTag}」重命名为（输入已有标签即合并）：`, fromTag);
+                if (input === null || input.trim() === fromTag) {
+                    return;
+                }
+
+                try {
+                    const { affectedCount, tag, notes } = await renameNoteTag(fromTag, input);
+                    this.setNotes(notes);
+                    this.state.noteTagFilter = tag;
+                    this.renderNotes();
+                    this.showToast(`已更新 ${affectedCount} 条笔记的标签`);
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '标签修改失败'), 4000);
+                }
+                break;
+            }
+
+            case 'toggle-note-archive-view': {
+                this.state.showArchivedNotes = !this.state.showArchivedNotes;
+                this.state.noteTagFilter = '';
+                this.state.noteFolderFilter = '';
+                this.renderNotes();
+                break;
+            }
+
+            case 'toggle-note-pin': {
+                const note = this.getNoteById(actionElement.dataset.noteId);
+                if (!note) {
+                    return;
+                }
+
+                try {
+                    const { notes } = await setNotePinned(note.id, !note.pinned);
+                    this.setNotes(notes, { changedIds: [note.id] });
+                    this.renderNotes();
+                    this.showToast(note.pinned ? '已取消置顶' : '已置顶');
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '操作失败'));
+                }
+                break;
+            }
+
+            case 'toggle-note-archive': {
+                const note = this.getNoteById(actionElement.dataset.noteId);
+                if (!note) {
+                    return;
+                }
+
+                try {
+                    const { notes } = await setNoteArchived(note.id, !note.archived);
+                    this.setNotes(notes, { changedIds: [note.id] });
+                    this.state.activeNoteId = '';
+                    this.renderNotes();
+                    this.setNotesMode('list');
+                    this.showToast(note.archived ? '已移回笔记列表' : '已归档，可在「查看归档」中找到');
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '操作失败'));
+                }
+                break;
+            }
+
+            case 'add-suggested-tag': {
+                this.addNoteTagToEditor(actionElement.dataset.tag || '');
+                break;
+            }
+
+            case 'restore-note-draft': {
+                this.hideToast();
+                await this.restoreNoteDraft();
+                break;
+            }
+
+            case 'discard-note-draft': {
+                if (!window.confirm('确定丢弃这份草稿吗？')) {
+                    break;
+                }
+
+                await this.flushNoteDraft();
+                await this.discardNoteDraft();
+                this.showToast('已丢弃草稿');
+                break;
+            }
+
+            case 'save-note-template': {
+                await this.saveEditorAsTemplate();
+                break;
+            }
+
+            case 'delete-note-template': {
+                const select = $('#noteTemplateSelect', this.root);
+                const template = this.state.noteTemplates.find(item => item.id === select?.value);
+                if (!template || template.builtin) {
+                    return;
+                }
+
+                if (!window.confirm(`确定删除模板「${template.name}」吗？`)) {
+                    break;
+                }
+
+                try {
+                    await deleteNoteTemplate(template.id);
+                    this.state.noteTemplates = await getNoteTemplates();
+                    this.renderNoteTemplates();
+                    this.showToast('模板已删除');
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '模板删除失败'));
+                }
+                break;
+            }
+
+            case 'insert-checklist-item': {
+                this.insertChecklistItem();
+                break;
+            }
+
+            case 'toggle-checklist-item': {
+                const note = this.getNoteById(this.state.activeNoteId);
+                if (!note) {
+                    return;
+                }
+
+                try {
+                    const { notes } = await toggleNoteChecklistItem(note.id, Number(actionElement.dataset.index));
+                    this.setNotes(notes, { changedIds: [note.id] });
+                    this.renderNotes();
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '清单更新失败'));
+                }
+                break;
+            }
+
+            case 'toggle-checklist-sink': {
+                try {
+                    this.state.settings = await updateSettings({
+                        checklistSinkCompleted: !this.state.settings?.checklistSinkCompleted
+                    });
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '清单排序设置保存失败'));
+                    break;
+                }
+                this.renderNoteDetail();
+                break;
+            }
+
+            case 'view-note-detail': {
+                const noteId = actionElement.dataset.noteId;
+                if (!noteId) {
+                    return;
+                }
+
+                this.state.activeNoteId = String(noteId);
+                this.setNotesMode('detail', noteId);
+                break;
+            }
+
+            case 'refresh-storage': {
+                await this.refreshStorageReport();
+                this.showToast('存储占用已刷新');
+                break;
+            }
+
+            case 'compress-note-images': {
+                const imageOptions = getImageProcessingOptions(this.state.settings || {});
+                const confirmCompress = window.confirm(`将所有笔记图片压缩到最长边 ${imageOptions.maxDimension} 像素，原图不会保留，是否继续？`);
+                if (!confirmCompress) {
+                    break;
+                }
+
+                this.showToast('正在压缩图片...', 60000);
+                try {
+                    const { compressedCount, savedBytes, notes, error } = await compressNoteImages(imageOptions);
+                    this.setNotes(notes);
+                    this.renderNotes();
+                    await this.refreshStorageReport();
+                    if (error) {
+                        this.showToast(this.getStorageErrorMessage(error, `已压缩 ${compressedCount} 张图片，其余未完成`), 4000);
+                        break;
+                    }
+                    this.showToast(compressedCount > 0
+                        ? `已压缩 ${compressedCount} 张图片，节省 ${formatBytes(savedBytes)}`
+                        : '没有需要压缩的图片');
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '压缩失败'));
+                }
+                break;
+            }
+
+            case 'export-backup': {
+                try {
+                    const content = await exportBackupText();
+                    const result = await saveFile({
+                        fileName: createTimestampedFileName('jeff-toolbox-backup', 'json'),
+                        mimeType: 'application/json',
+                        content
+                    });
+                    if (result !== 'cancelled') {
+                        this.showToast(result === 'shared' ? '备份已导出' : '备份文件已下载');
+                    }
+                } catch (error) {
+                    this.showToast(`导出失败：${error.message || '未知错误'}`);
+                }
+                break;
+            }
+
+            case 'cancel-restore': {
+                this.clearPendingBackup();
+                break;
+            }
+
+            case 'restore-backup': {
+                const archive = this.state.pendingBackup;
+                if (!archive) {
+                    return;
+                }
+
+                const mode = actionElement.dataset.mode === 'replace' ? 'replace' : 'merge';
+                if (mode === 'replace') {
+                    const confirmReplace = window.confirm('覆盖导入会清空当前所有笔记和提醒，确定继续吗？');
+                    if (!confirmReplace) {
+                        break;
+                    }
+                }
+
+                try {
+                    const { restored } = await restoreBackupArchive(archive, { mode }, {
+                        schedule: scheduleReminderNotification,
+                        cancel: cancelReminderNotification
+                    });
+                    this.clearPendingBackup();
+                    this.setNotes(await getAllNotes());
+                    this.renderNotes();
+                    await this.reloadReminders();
+                    this.syncReminderNotifications();
+                    this.state.settings = await getSettings();
+                    this.state.noteTemplates = await getNoteTemplates();
+                    this.renderNoteTemplates();
+                    await this.refreshTrash();
+                    await this.refreshStorageReport();
+
+                    const summary = restored.map(item => `${item.label} ${item.count} 条`).join('，');
+                    this.showToast(`导入完成：${summary || '无数据'}`, 3500);
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '导入失败'), 3500);
+                }
+                break;
+            }
+
+            case 'refresh-device': {
+                await triggerHaptics('light');
+                await this.refreshDeviceInfo(true);
+                break;
+            }
+
             case 'test-haptics': {
                 await triggerHaptics('heavy');
                 this.showToast('震动测试完成');
@@ -799,13 +2364,9 @@ export class ToolboxApp {
                 break;
             }
 
-            case 'open-qr-url': {
-                const url = actionElement.dataset.url || '';
-                if (!url) {
-                    return;
-                }
-
-                window.open(url, '_blank');
+            case 'open-qr-url':
+            case 'open-note-link': {
+                this.openExternalUrl(actionElement.dataset.url);
                 break;
             }
 
@@ -816,9 +2377,13 @@ export class ToolboxApp {
                     return;
                 }
 
-                this.state.noteDraftImage = imageData;
-                this.renderNoteDraft();
-                this.showToast('已添加拍照图片');
+                try {
+                    if (await this.addNoteDraftImages([imageData])) {
+                        this.showToast('已添加拍照图片');
+                    }
+                } catch (error) {
+                    this.showToast(`图片处理失败：${error.message || '未知错误'}`);
+                }
                 break;
             }
 
@@ -829,36 +2394,102 @@ export class ToolboxApp {
                     return;
                 }
 
-                this.state.noteDraftImage = imageData;
-                this.renderNoteDraft();
-                this.showToast('已添加相册图片');
+                try {
+                    if (await this.addNoteDraftImages([imageData])) {
+                        this.showToast('已添加相册图片');
+                    }
+                } catch (error) {
+                    this.showToast(`图片处理失败：${error.message || '未知错误'}`);
+                }
                 break;
             }
 
-            case 'clear-note-image': {
-                this.state.noteDraftImage = '';
-                this.renderNoteDraft();
+            case 'clear-note-images': {
+                this.setNoteDraftAttachments([]);
+                this.scheduleNoteDraftSave();
                 this.showToast('已清除附图');
                 break;
             }
 
+            case 'move-note-attachment': {
+                const list = [...this.state.noteDraftAttachments];
+                const index = Number(actionElement.dataset.index);
+                const target = index + Number(actionElement.dataset.direction);
+                if (!list[index] || !list[target]) {
+                    return;
+                }
+
+                [list[index], list[target]] = [list[target], list[index]];
+                this.setNoteDraftAttachments(list);
+                this.scheduleNoteDraftSave();
+                break;
+            }
+
+            case 'remove-note-attachment': {
+                const index = Number(actionElement.dataset.index);
+                this.setNoteDraftAttachments(this.state.noteDraftAttachments.filter((_item, itemIndex) => itemIndex !== index));
+                this.scheduleNoteDraftSave();
+                break;
+            }
+
+            case 'open-image-viewer': {
+                const note = this.state.notes.find(item => item.id === actionElement.dataset.noteId);
+                if (!note || !this.imageViewer) {
+                    return;
+                }
+
+                this.imageViewer.open(note.attachments.map(attachment => attachment.url), Number(actionElement.dataset.index) || 0);
+                break;
+            }
+
+            case 'export-note': {
+                this.openNoteExport([actionElement.dataset.noteId]);
+                break;
+            }
+
+            case 'export-notes': {
+                this.openNoteExport(this.getListedNotes().map(note => note.id));
+                break;
+            }
+
+            case 'run-note-export': {
+                await this.runNoteExport(actionElement.dataset.format);
+                break;
+            }
+
+            case 'close-note-export': {
+                this.closeNoteExport();
+                break;
+            }
+
             case 'delete-note': {
                 const noteId = actionElement.dataset.noteId;
                 if (!noteId) {
                     return;
                 }
-                const confirmDeleteNote = window.confirm('确定删除这条笔记吗？此操作不可撤销。');
-                if (!confirmDeleteNote) {
+                let trashed = null;
+                try {
+                    trashed = await trashNote(noteId);
+                    this.setNotes(trashed.notes, { changedIds: [noteId] });
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '删除失败'));
                     break;
                 }
-                this.state.notes = deleteNote(noteId);
                 if (this.state.activeNoteId === String(noteId)) {
                     this.state.activeNoteId = '';
                     this.setNotesMode('list');
                 }
 
                 this.renderNotes();
-                this.showToast('笔记已删除');
+                if (this.state.activeView === 'device') {
+                    await this.refreshStorageReport();
+                }
+                await this.refreshTrash();
+                this.showToast('笔记已移到回收站', 5000, {
+                    label: '撤销',
+                    action: 'undo-trash',
+                    entryId: trashed.entry.id
+                });
                 break;
             }
 
@@ -867,15 +2498,71 @@ export class ToolboxApp {
                 if (!reminderId) {
                     return;
                 }
-                const confirmDeleteReminder = window.confirm('确定删除这条提醒吗？');
-                if (!confirmDeleteReminder) {
+                if (reminderId === this.state.editingReminderId) {
+                    this.cancelReminderEdit();
+                }
+                try {
+                    const { entry, reminders } = await trashReminder(reminderId, this.getReminderNotifier());
+                    this.state.reminders = reminders;
+                    this.renderReminders();
+                    this.syncReminderNotifications();
+                    await this.refreshTrash();
+                    this.showToast('提醒已移到回收站', 5000, {
+                        label: '撤销',
+                        action: 'undo-trash',
+                        entryId: entry.id
+                    });
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '删除失败'));
+                }
+                break;
+            }
+
+            case 'undo-trash':
+            case 'restore-trash-entry': {
+                const entryId = actionElement.dataset.entryId;
+                if (!entryId) {
+                    return;
+                }
+                this.hideToast();
+                await this.restoreFromTrash(entryId);
+                break;
+            }
+
+            case 'purge-trash-entry': {
+                const entryId = actionElement.dataset.entryId;
+                if (!entryId || !window.confirm('确定彻底删除这一项吗？此操作不可撤销。')) {
+                    break;
+                }
+                try {
+                    await purgeTrashEntries([entryId]);
+                    await this.refreshTrash();
+                    await this.refreshStorageReport();
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '删除失败'));
                     break;
                 }
-                this.state.reminders = await removeReminder(reminderId, {
-                    cancel: cancelReminderNotification
-                });
-                this.renderReminders();
-                this.showToast('提醒已删除');
+                this.showToast('已彻底删除');
+                break;
+            }
+
+            case 'empty-trash': {
+                if (this.state.trashEntries.length === 0) {
+                    this.showToast('回收站是空的');
+                    break;
+                }
+                if (!window.confirm(`确定清空回收站中的 ${this.state.trashEntries.length} 项吗？此操作不可撤销。`)) {
+                    break;
+                }
+                try {
+                    await purgeTrashEntries();
+                    await this.refreshTrash();
+                    await this.refreshStorageReport();
+                } catch (error) {
+                    this.showToast(this.getStorageErrorMessage(error, '清空回收站失败'));
+                    break;
+                }
+                this.showToast('回收站已清空');
                 break;
             }
 
@@ -892,25 +2579,93 @@ export class ToolboxApp {
 
             const formData = new FormData(form);
             const noteTitle = String(formData.get('noteTitle') || '').trim();
-            const noteContent = String(formData.get('noteContent') || '').trim();
+            const noteContent = String(formData.get('noteContent') || '');
+            const formatOptions = this.getNoteFormatOptions(form);
 
-            if (!noteContent && !this.state.noteDraftImage) {
+            if (!noteContent.trim() && this.state.noteDraftAttachments.length === 0) {
                 this.showToast('请输入笔记内容或添加图片');
                 return;
             }
 
-            addNote({
+            const editingNoteId = this.state.editingNoteId;
+            let savedNoteId = editingNoteId;
+            const payload = {
                 title: noteTitle,
                 content: noteContent,
-                imageData: this.state.noteDraftImage
-            });
+                attachments: this.state.noteDraftAttachments.map(item => (item.blob ? item : { id: item.id })),
+                formatProfile: formatOptions.profile,
+                formatColumns: formatOptions.columns,
+                markdown: formatOptions.markdown,
+                tags: parseTagInput(formData.get('noteTags')),
+                folder: String(formData.get('noteFolder') || '')
+            };
+
+            try {
+                if (editingNoteId) {
+                    await updateNote(editingNoteId, payload);
+                } else {
+                    savedNoteId = (await addNote(payload)).id;
+                }
+            } catch (error) {
+                this.showToast(this.getStorageErrorMessage(error, '笔记保存失败'), 4000);
+                return;
+            }
+
+            await this.discardNoteDraft({ shadow: Boolean(this.state.pendingNoteDraft) });
+
+            let settingsError = null;
+            if (formData.get('noteFormatDefault')) {
+                try {
+                    this.state.settings = await updateSettings({
+                        noteFormatProfile: formatOptions.profile,
+                        noteWrapColumns: formatOptions.columns,
+                        noteMarkdown: formatOptions.markdown
+                    });
+                } catch (error) {
+                    settingsError = error;
+                }
+            }
 
-            this.state.notes = getAllNotes();
-            this.state.activeNoteId = '';
             this.resetNoteEditor();
+            this.setNotes(await getAllNotes(), { changedIds: [savedNoteId] });
             this.renderNotes();
-            this.setNotesMode('list');
-            this.showToast('笔记已保存（已自动排版）');
+
+            if (editingNoteId) {
+                this.state.activeNoteId = editingNoteId;
+                this.setNotesMode('detail', editingNoteId);
+            } else {
+                this.state.activeNoteId = '';
+                this.setNotesMode('list');
+            }
+
+            if (settingsError) {
+                this.showToast(`笔记已保存，但默认格式未能更新：${settingsError?.message || '未知错误'}`, 4000);
+                return;
+            }
+
+            this.showToast(editingNoteId ? '笔记已更新' : '笔记已保存');
+            return;
+        }
+
+        if (form.id === 'notePurgeForm') {
+            event.preventDefault();
+
+            const days = Number(new FormData(form).get('purgeDays')) || 90;
+            const confirmPurge = window.confirm(`确定将超过 ${days} 天未更新的笔记移到回收站吗？置顶笔记不受影响。`);
+            if (!confirmPurge) {
+                return;
+            }
+
+            try {
+                const { entries, notes } = await trashNotesOlderThan(days);
+                this.setNotes(notes);
+                this.renderNotes();
+                await this.refreshTrash();
+                await this.refreshStorageReport();
+                this.showToast(entries.length > 0 ? `已将 ${entries.length} 条旧笔记移到回收站` : '没有符合条件的旧笔记');
+            } catch (error) {
+                this.showToast(this.getStorageErrorMessage(error, '清理失败'));
+            }
             return;
         }
 
@@ -937,41 +2692,163 @@ export class ToolboxApp {
 
             try {
                 const dueAtLocal = this.buildReminderDueAtLocal(formData, repeatType);
-                const reminder = await addReminder(
-                    {
-                        title: reminderTitle,
-                        dueAtLocal,
-                        repeatType,
-                        repeatWeekdays
-                    },
-                    {
-                        schedule: scheduleReminderNotification
-                    },
-                );
-
-                this.state.reminders = getAllReminders();
+                const fields = {
+                    title: reminderTitle,
+                    dueAtLocal,
+                    repeatType,
+                    repeatWeekdays,
+                    rrule: repeatType === 'custom' ? this.readReminderRuleForm(form, this.getReminderPickerDate('once')) : ''
+                };
+                const editingReminderId = this.state.editingReminderId;
+                const noteId = this.getNoteById(this.state.reminderNoteId)?.id || '';
+                const extraDates = !editingReminderId && this.state.reminderQuickParse
+                    ? this.state.reminderQuickParse.dates.slice(1)
+                    : [];
+                const reminder = editingReminderId
+                    ? (await updateReminder(
+                        editingReminderId,
+                        { ...fields, noteId: this.state.reminderNoteId },
+                        this.getReminderNotifier()
+                    )).reminder
+                    : (await addReminders(
+                        [
+                            { ...fields, noteId },
+                            ...extraDates.map(date => ({
+                                ...fields,
+                                dueAtLocal: toLocalDateTimeString(date.getFullYear(), date.getMonth() + 1, date.getDate(), getTimeValueFromDate(date)),
+                                noteId
+                            }))
+                        ],
+                        this.getReminderNotifier()
+                    ))[0];
+
+                this.state.reminders = await getAllReminders();
+                this.state.reminderNoteId = '';
+                this.state.editingReminderId = '';
+                this.state.reminderQuickParse = null;
                 form.reset();
                 this.prepareReminderForm();
+                this.updateReminderFormMode();
                 this.renderReminders();
+                this.syncReminderNotifications();
 
-                const reminderMessage = reminder.scheduled
+                const createdMessage = reminder.scheduled
                     ? '\u63d0\u9192\u5df2\u521b\u5efa\u5e76\u5b89\u6392\u7cfb\u7edf\u901a\u77e5'
-                    : '\u63d0\u9192\u5df2\u521b\u5efa\uff08\u7cfb\u7edf\u901a\u77e5\u4e0d\u53ef\u7528\uff09';
-                this.showToast(reminderMessage);
+                    : (reminder.queued
+                        ? '\u63d0\u9192\u5df2\u521b\u5efa\uff0c\u7cfb\u7edf\u901a\u77e5\u5c06\u5728\u4e34\u8fd1\u65f6\u5b89\u6392'
+                        : '\u63d0\u9192\u5df2\u521b\u5efa\uff08\u7cfb\u7edf\u901a\u77e5\u4e0d\u53ef\u7528\uff09');
+                const updatedMessage = reminder.scheduled
+                    ? '\u63d0\u9192\u5df2\u66f4\u65b0\u5e76\u91cd\u65b0\u5b89\u6392\u7cfb\u7edf\u901a\u77e5'
+                    : (reminder.queued
+                        ? '\u63d0\u9192\u5df2\u66f4\u65b0\uff0c\u7cfb\u7edf\u901a\u77e5\u5c06\u5728\u4e34\u8fd1\u65f6\u5b89\u6392'
+                        : '\u63d0\u9192\u5df2\u66f4\u65b0\uff08\u7cfb\u7edf\u901a\u77e5\u4e0d\u53ef\u7528\uff09');
+                const batchMessage = `\u5df2\u521b\u5efa ${extraDates.length + 1} \u4e2a\u63d0\u9192`;
+                this.showToast(editingReminderId ? updatedMessage : (extraDates.length > 0 ? batchMessage : createdMessage));
             } catch (error) {
-                this.showToast(`\u521b\u5efa\u63d0\u9192\u5931\u8d25\uff1a${error.message || '\u672a\u77e5\u9519\u8bef'}`);
+                const failurePrefix = this.state.editingReminderId
+                    ? '\u66f4\u65b0\u63d0\u9192\u5931\u8d25'
+                    : '\u521b\u5efa\u63d0\u9192\u5931\u8d25';
+                this.showToast(this.getStorageErrorMessage(error, failurePrefix), 3500);
             }
         }
     }
 
+    handleInput(event) {
+        const target = event.target;
+        if (target.form?.id === 'noteForm') {
+            this.scheduleNoteDraftSave();
+        }
+
+        if (target.id === 'reminderQuickInput') {
+            this.applyReminderQuickText(target.value);
+            return;
+        }
+
+        if (target.id === 'noteSearchInput') {
+            this.state.noteSearchQuery = target.value;
+            this.renderNotes();
+            return;
+        }
+
+        if (target.name === 'noteContent' || target.name === 'noteWrapColumns') {
+            this.updateNoteFormatPreview();
+        }
+
+        if (target.name === 'noteContent' || target.name === 'noteTags') {
+            this.updateNoteTagSuggestions();
+        }
+    }
+
     async handleChange(event) {
         const target = event.target;
+        if (target.id === 'noteTemplateSelect') {
+            this.applySelectedNoteTemplate(target);
+            return;
+        }
+
+        if (target.form?.id === 'noteForm' && target.type !== 'file') {
+            this.scheduleNoteDraftSave();
+        }
+
+        if (target.id === 'noteFormatProfile' || target.name === 'noteWrapColumns' || target.name === 'noteMarkdown') {
+            this.updateNoteFormatPreview();
+            return;
+        }
+
         if (
             target.id === 'reminderRepeatType'
             || target.name === 'repeatWeekdays'
             || REMINDER_TIME_FIELD_IDS.has(target.id)
+            || (target.form?.id === 'reminderForm' && target.name.startsWith('rule'))
         ) {
-            this.updateReminderRepeatControls();
+            this.handleReminderFieldChange();
+            return;
+        }
+
+        if (target.id === 'noteFolderFilter') {
+            this.state.noteFolderFilter = target.value;
+            this.renderNotes();
+            return;
+        }
+
+        if (target.id === 'trashRetentionSelect') {
+            try {
+                this.state.settings = await updateSettings({ trashRetentionDays: Number(target.value) });
+                await this.purgeExpiredTrash();
+                await this.refreshTrash();
+            } catch (error) {
+                this.renderTrash();
+                this.showToast(this.getStorageErrorMessage(error, '回收站保留时长保存失败'));
+                return;
+            }
+            this.showToast('回收站保留时长已更新');
+            return;
+        }
+
+        if (target.id === 'imageMaxDimensionSelect' || target.id === 'imageQualitySelect' || target.id === 'imageFormatSelect') {
+            try {
+                this.state.settings = await updateSettings({
+                    imageMaxDimension: Number($('#imageMaxDimensionSelect', this.root)?.value),
+                    imageQuality: Number($('#imageQualitySelect', this.root)?.value),
+                    imageFormat: $('#imageFormatSelect', this.root)?.value
+                });
+            } catch (error) {
+                this.renderStorage();
+                this.showToast(this.getStorageErrorMessage(error, '图片压缩设置保存失败'));
+                return;
+            }
+            this.renderStorage();
+            this.showToast('图片压缩设置已更新');
+            return;
+        }
+
+        if (target.id === 'backupFileInput') {
+            await this.handleBackupFile(target);
+            return;
+        }
+
+        if (target.id === 'noteImportInput') {
+            await this.handleNoteImportFiles(target);
             return;
         }
 
@@ -979,16 +2856,16 @@ export class ToolboxApp {
             return;
         }
 
-        const file = target.files?.[0];
-        if (!file) {
+        const files = Array.from(target.files || []);
+        if (files.length === 0) {
             return;
         }
 
         try {
-            const imageData = await readFileAsDataUrl(file);
-            this.state.noteDraftImage = imageData;
-            this.renderNoteDraft();
-            this.showToast('\u56fe\u7247\u4e0a\u4f20\u6210\u529f');
+            const addedCount = await this.addNoteDraftImages(files);
+            if (addedCount > 0) {
+                this.showToast(`\u5df2\u6dfb\u52a0 ${addedCount} \u5f20\u56fe\u7247`);
+            }
         } catch (error) {
             this.showToast(`\u56fe\u7247\u8bfb\u53d6\u5931\u8d25\uff1a${error.message || '\u672a\u77e5\u9519\u8bef'}`);
         } finally {
@@ -996,13 +2873,29 @@ export class ToolboxApp {
         }
     }
 
-    showToast(message, duration = 2200) {
+    showAppAlert(migrationFailures) {
+        const alertElement = $('#appAlert', this.root);
+        if (!alertElement) {
+            return;
+        }
+
+        const labels = migrationFailures
+            .map(item => `${item.label}（v${item.error.fromVersion} → v${item.error.toVersion}）`)
+            .join('、');
+        alertElement.textContent = `数据升级失败：${labels}。原始数据已备份，相关内容暂不可查看或保存，请更新应用后重试。`;
+        alertElement.classList.remove('hidden');
+    }
+
+    showToast(message, duration = 2200, action = null) {
         const toast = $('#toast', this.root);
         if (!toast) {
             return;
         }
 
-        toast.textContent = String(message || '');
+        toast.innerHTML = action
+            ? `<span>${escapeHtml(message)}</span><button type="button" class="toast-action" data-action="${escapeHtml(action.action)}" data-entry-id="${escapeHtml(action.entryId || '')}">${escapeHtml(action.label)}</button>`
+            : escapeHtml(String(message || ''));
+        toast.classList.toggle('has-action', Boolean(action));
         toast.classList.add('show');
 
         if (this.toastTimer) {
@@ -1010,10 +2903,17 @@ export class ToolboxApp {
         }
 
         this.toastTimer = setTimeout(() => {
-            toast.classList.remove('show');
+            this.hideToast();
         }, duration);
     }
 
+    hideToast() {
+        const toast = $('#toast', this.root);
+        if (toast) {
+            toast.classList.remove('show', 'has-action');
+        }
+    }
+
     async destroy() {
         if (this.toastTimer) {
             clearTimeout(this.toastTimer);
@@ -1025,10 +2925,20 @@ export class ToolboxApp {
             this.uptimeTimer = null;
         }
 
+        await this.flushNoteDraft();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.imageViewer) {
+            this.imageViewer.destroy();
+            this.imageViewer = null;
+        }
+        this.setNoteDraftAttachments([]);
+
         if (this.root) {
             this.root.removeEventListener('click', this.handleClick);
             this.root.removeEventListener('submit', this.handleSubmit);
             this.root.removeEventListener('change', this.handleChange);
+            this.root.removeEventListener('input', this.handleInput);
         }
 
         Object.keys(this.reminderPickers).forEach(key => {
@@ -1040,6 +2950,7 @@ export class ToolboxApp {
         });
 
         await removeNetworkStatusListener();
+        await removeReminderNotificationTapListener();
     }
 }
 
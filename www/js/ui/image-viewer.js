@@ -0,0 +1,272 @@
+﻿const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const DOUBLE_TAP_SCALE = 2.5;
+const DOUBLE_TAP_MS = 300;
+const SWIPE_DISTANCE = 60;
+const TAP_SLOP = 10;
+
+function getDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function getMidpoint(a, b) {
+    return {
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+    };
+}
+
+export class ImageViewer {
+    constructor(element) {
+        this.element = element;
+        this.stage = element?.querySelector('.image-viewer-stage') || null;
+        this.image = element?.querySelector('.image-viewer-img') || null;
+        this.counter = element?.querySelector('.image-viewer-counter') || null;
+
+        this.urls = [];
+        this.index = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.resetTransform();
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        if (this.element && this.stage) {
+            this.element.addEventListener('click', this.handleClick);
+            this.stage.addEventListener('pointerdown', this.handlePointerDown);
+            this.stage.addEventListener('pointermove', this.handlePointerMove);
+            this.stage.addEventListener('pointerup', this.handlePointerUp);
+            this.stage.addEventListener('pointercancel', this.handlePointerUp);
+        }
+    }
+
+    get isOpen() {
+        return Boolean(this.element && !this.element.classList.contains('hidden'));
+    }
+
+    open(urls, index = 0) {
+        this.urls = (Array.isArray(urls) ? urls : []).filter(Boolean);
+        if (!this.element || this.urls.length === 0) {
+            return;
+        }
+
+        this.element.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeydown);
+        this.show(index);
+    }
+
+    close() {
+        if (!this.element) {
+            return;
+        }
+
+        this.element.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.pointers.clear();
+        this.gesture = null;
+        this.urls = [];
+        if (this.image) {
+            this.image.removeAttribute('src');
+        }
+    }
+
+    show(index) {
+        const count = this.urls.length;
+        this.index = ((index % count) + count) % count;
+        this.resetTransform();
+
+        if (this.image) {
+            this.image.src = this.urls[this.index];
+        }
+        if (this.counter) {
+            this.counter.textContent = `${this.index + 1} / ${count}`;
+        }
+        this.element.querySelectorAll('[data-viewer-action="prev"], [data-viewer-action="next"]').forEach(button => {
+            button.disabled = count < 2;
+        });
+    }
+
+    resetTransform() {
+        this.scale = MIN_SCALE;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        if (this.image) {
+            this.image.style.transform = `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.scale})`;
+        }
+    }
+
+    clampOffset() {
+        if (!this.stage || this.scale <= MIN_SCALE) {
+            this.offsetX = 0;
+            this.offsetY = 0;
+            return;
+        }
+
+        const maxX = (this.stage.clientWidth * (this.scale - 1)) / 2;
+        const maxY = (this.stage.clientHeight * (this.scale - 1)) / 2;
+        this.offsetX = Math.min(maxX, Math.max(-maxX, this.offsetX));
+        this.offsetY = Math.min(maxY, Math.max(-maxY, this.offsetY));
+    }
+
+    zoomAt(scale, point) {
+        const rect = this.stage.getBoundingClientRect();
+        const originX = point.x - rect.left - rect.width / 2;
+        const originY = point.y - rect.top - rect.height / 2;
+        const nextScale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+        const ratio = nextScale / this.scale;
+
+        this.offsetX = originX - (originX - this.offsetX) * ratio;
+        this.offsetY = originY - (originY - this.offsetY) * ratio;
+        this.scale = nextScale;
+        this.clampOffset();
+        this.applyTransform();
+    }
+
+    startGesture() {
+        const points = Array.from(this.pointers.values());
+        if (points.length >= 2) {
+            this.gesture = {
+                type: 'pinch',
+                distance: getDistance(points[0], points[1]) || 1,
+                scale: this.scale
+            };
+            return;
+        }
+
+        if (points.length === 1) {
+            this.gesture = {
+                type: 'pan',
+                startX: points[0].x,
+                startY: points[0].y,
+                offsetX: this.offsetX,
+                offsetY: this.offsetY,
+                moved: false
+            };
+        }
+    }
+
+    handlePointerDown(event) {
+        event.preventDefault();
+        this.stage.setPointerCapture?.(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.startGesture();
+    }
+
+    handlePointerMove(event) {
+        if (!this.pointers.has(event.pointerId) || !this.gesture) {
+            return;
+        }
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const points = Array.from(this.pointers.values());
+
+        if (this.gesture.type === 'pinch' && points.length >= 2) {
+            const distance = getDistance(points[0], points[1]);
+            this.zoomAt(this.gesture.scale * (distance / this.gesture.distance), getMidpoint(points[0], points[1]));
+            return;
+        }
+
+        if (this.gesture.type === 'pan') {
+            const deltaX = event.clientX - this.gesture.startX;
+            const deltaY = event.clientY - this.gesture.startY;
+            this.gesture.moved = this.gesture.moved || Math.hypot(deltaX, deltaY) > TAP_SLOP;
+
+            if (this.scale > MIN_SCALE) {
+                this.offsetX = this.gesture.offsetX + deltaX;
+                this.offsetY = this.gesture.offsetY + deltaY;
+                this.clampOffset();
+                this.applyTransform();
+            }
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) {
+            return;
+        }
+
+        const gesture = this.gesture;
+        this.pointers.delete(event.pointerId);
+
+        if (gesture?.type === 'pan' && this.pointers.size === 0) {
+            const deltaX = event.clientX - gesture.startX;
+            if (!gesture.moved) {
+                this.handleTap(event);
+            } else if (this.scale === MIN_SCALE && Math.abs(deltaX) > SWIPE_DISTANCE && this.urls.length > 1) {
+                this.show(this.index + (deltaX < 0 ? 1 : -1));
+            }
+        }
+
+        this.startGesture();
+        if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+    }
+
+    handleTap(event) {
+        const now = Date.now();
+        const point = { x: event.clientX, y: event.clientY };
+        const isDoubleTap = this.lastTap
+            && now - this.lastTap.time < DOUBLE_TAP_MS
+            && getDistance(point, this.lastTap) < TAP_SLOP * 3;
+
+        if (isDoubleTap) {
+            this.lastTap = null;
+            if (this.scale > MIN_SCALE) {
+                this.resetTransform();
+            } else {
+                this.zoomAt(DOUBLE_TAP_SCALE, point);
+            }
+            return;
+        }
+
+        this.lastTap = { ...point, time: now };
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-viewer-action]');
+        if (!button) {
+            return;
+        }
+
+        const action = button.dataset.viewerAction;
+        if (action === 'close') {
+            this.close();
+        } else if (action === 'prev') {
+            this.show(this.index - 1);
+        } else if (action === 'next') {
+            this.show(this.index + 1);
+        }
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        } else if (event.key === 'ArrowLeft') {
+            this.show(this.index - 1);
+        } else if (event.key === 'ArrowRight') {
+            this.show(this.index + 1);
+        }
+    }
+
+    destroy() {
+        this.close();
+
+        if (this.element && this.stage) {
+            this.element.removeEventListener('click', this.handleClick);
+            this.stage.removeEventListener('pointerdown', this.handlePointerDown);
+            this.stage.removeEventListener('pointermove', this.handlePointerMove);
+            this.stage.removeEventListener('pointerup', this.handlePointerUp);
+            this.stage.removeEventListener('pointercancel', this.handlePointerUp);
+        }
+    }
+}
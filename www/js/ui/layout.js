@@ -1,4 +1,29 @@
-﻿const NAV_ITEMS = [
+﻿import {
+    NOTE_FORMAT_PROFILES,
+    DEFAULT_WRAP_COLUMNS,
+    MIN_WRAP_COLUMNS,
+    MAX_WRAP_COLUMNS
+} from '../services/note-format.js';
+import { TRASH_RETENTION_OPTIONS } from '../services/trash-service.js';
+import {
+    IMAGE_MAX_DIMENSION_OPTIONS,
+    IMAGE_QUALITY_OPTIONS,
+    IMAGE_FORMAT_OPTIONS
+} from '../services/media-service.js';
+import { NOTE_EXPORT_FORMATS } from '../services/export-service.js';
+import { NOTE_IMPORT_ACCEPT } from '../services/note-import.js';
+
+const RULE_WEEKDAY_OPTIONS = [
+    { code: 'MO', label: '\u5468\u4e00' },
+    { code: 'TU', label: '\u5468\u4e8c' },
+    { code: 'WE', label: '\u5468\u4e09' },
+    { code: 'TH', label: '\u5468\u56db' },
+    { code: 'FR', label: '\u5468\u4e94' },
+    { code: 'SA', label: '\u5468\u516d' },
+    { code: 'SU', label: '\u5468\u65e5' }
+];
+
+const NAV_ITEMS = [
     { id: 'home', label: '首页', icon: 'nav-index-btn.png' },
     { id: 'device', label: '信息', icon: 'nav-info-btn.png' },
     { id: 'notes', label: '笔记', icon: 'nav-note-btn.png' },
@@ -83,6 +108,7 @@ function renderSubpageHeader() {
 export function getToolboxShell() {
     return `
         <div class="phone-shell">
+            <div id="appAlert" class="app-alert hidden" role="alert"></div>
             <main class="app-main" id="appMain">
                 <section class="view-panel active home-panel" data-view-panel="home">
                     <section class="home-hero">
@@ -107,13 +133,83 @@ export function getToolboxShell() {
                         </div>
                         <div id="devicePanel" class="panel-content"></div>
                     </section>
+                    <section class="sketch-card">
+                        <h2 class="section-title">存储空间</h2>
+                        <div class="action-grid">
+                            <button class="cartoon-button" data-action="refresh-storage">刷新占用</button>
+                            <button class="cartoon-button" data-action="compress-note-images">压缩笔记图片</button>
+                        </div>
+                        <form id="notePurgeForm" class="inline-form">
+                            <select name="purgeDays" aria-label="保留天数">
+                                <option value="30">30 天前</option>
+                                <option value="90" selected>90 天前</option>
+                                <option value="180">180 天前</option>
+                                <option value="365">365 天前</option>
+                            </select>
+                            <button type="submit" class="cartoon-button">清理更早的笔记</button>
+                        </form>
+                        <div class="image-settings-row">
+                            <select id="imageMaxDimensionSelect" aria-label="图片最大边长">
+                                ${IMAGE_MAX_DIMENSION_OPTIONS.map(size => `<option value="${size}">最长边 ${size}px</option>`).join('')}
+                            </select>
+                            <select id="imageQualitySelect" aria-label="图片压缩质量">
+                                ${IMAGE_QUALITY_OPTIONS.map(quality => `<option value="${quality}">质量 ${Math.round(quality * 100)}%</option>`).join('')}
+                            </select>
+                            <select id="imageFormatSelect" aria-label="图片格式">
+                                ${IMAGE_FORMAT_OPTIONS.map(format => `<option value="${format.id}">${format.label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div id="storagePanel" class="panel-content"></div>
+                    </section>
+                    <section class="sketch-card">
+                        <h2 class="section-title">数据备份</h2>
+                        <div class="action-grid">
+                            <button class="cartoon-button" data-action="export-backup">导出备份</button>
+                            <label class="upload-button cartoon-button">
+                                导入备份
+                                <input id="backupFileInput" type="file" accept=".json,application/json" hidden>
+                            </label>
+                        </div>
+                        <div id="backupPanel" class="panel-content"></div>
+                    </section>
+                    <section class="sketch-card">
+                        <h2 class="section-title">回收站</h2>
+                        <div class="inline-form">
+                            <select id="trashRetentionSelect" aria-label="回收站保留时长">
+                                ${TRASH_RETENTION_OPTIONS.map(days => `<option value="${days}">${days > 0 ? `保留 ${days} 天` : '永久保留'}</option>`).join('')}
+                            </select>
+                            <button type="button" class="cartoon-button" data-action="empty-trash">清空回收站</button>
+                        </div>
+                        <div id="trashPanel" class="panel-content"></div>
+                    </section>
                 </section>
 
                 <section class="view-panel" data-view-panel="notes">
                     ${renderSubpageHeader()}
 
                     <section id="notesListSection" class="notes-mode-section">
-                        <h2 class="section-title">笔记列表</h2>
+                        <div class="notes-section-head">
+                            <h2 id="notesListTitle" class="section-title">笔记列表</h2>
+                            <div class="notes-section-actions">
+                                <label class="upload-button copy-btn">
+                                    导入
+                                    <input id="noteImportInput" type="file" accept="${NOTE_IMPORT_ACCEPT}" multiple hidden>
+                                </label>
+                                <button type="button" id="noteExportAll" class="copy-btn" data-action="export-notes">导出</button>
+                                <button type="button" id="noteArchiveToggle" class="copy-btn" data-action="toggle-note-archive-view">查看归档</button>
+                            </div>
+                        </div>
+                        <div class="note-search-bar">
+                            <input
+                                type="search"
+                                id="noteSearchInput"
+                                name="noteSearch"
+                                placeholder="搜索标题或内容"
+                                autocomplete="off"
+                                aria-label="搜索笔记"
+                            >
+                        </div>
+                        <div id="noteFilterBar" class="note-filter-bar hidden"></div>
                         <div id="notesPanel" class="panel-content"></div>
                     </section>
 
@@ -124,7 +220,13 @@ export function getToolboxShell() {
 
                     <section id="noteEditorSection" class="sketch-card notes-mode-section hidden">
                         <div class="notes-section-head">
-                            <h2 class="section-title">新增笔记</h2>
+                            <h2 id="noteEditorTitle" class="section-title">新增笔记</h2>
+                        </div>
+                        <div id="noteDraftBanner" class="note-draft-banner hidden"></div>
+                        <div id="noteTemplateRow" class="note-template-row">
+                            <select id="noteTemplateSelect" aria-label="使用模板"></select>
+                            <button type="button" class="copy-btn" data-action="save-note-template">存为模板</button>
+                            <button type="button" id="noteTemplateDelete" class="copy-btn" data-action="delete-note-template" disabled>删除模板</button>
                         </div>
                         <form id="noteForm" class="stack-form">
                             <label>
@@ -133,21 +235,65 @@ export function getToolboxShell() {
                             </label>
                             <label>
                                 内容
-                                <textarea name="noteContent" class="note-content-input" rows="12" placeholder="输入文本，保存时自动排版"></textarea>
+                                <textarea name="noteContent" class="note-content-input" rows="12" placeholder="输入文本，可选择排版方式，原文会一并保留"></textarea>
+                            </label>
+                            <div class="note-editor-tools">
+                                <button type="button" class="copy-btn" data-action="insert-checklist-item">☐ 清单项</button>
+                            </div>
+                            <label>
+                                标签
+                                <input type="text" name="noteTags" maxlength="120" autocomplete="off" placeholder="用逗号或空格分隔，如：工作, 会议">
+                            </label>
+                            <div id="noteTagSuggestions" class="note-tag-suggestions hidden"></div>
+                            <label>
+                                文件夹（可选）
+                                <input type="text" name="noteFolder" maxlength="30" autocomplete="off" list="noteFolderOptions" placeholder="例如：工作">
+                                <datalist id="noteFolderOptions"></datalist>
                             </label>
 
+                            <div class="note-format-row">
+                                <label>
+                                    排版方式
+                                    <select id="noteFormatProfile" name="noteFormatProfile">
+                                        ${NOTE_FORMAT_PROFILES.map(profile => `<option value="${profile.id}">${profile.label}</option>`).join('')}
+                                    </select>
+                                </label>
+                                <label id="noteWrapColumnsField" class="hidden">
+                                    每行宽度
+                                    <input
+                                        type="number"
+                                        name="noteWrapColumns"
+                                        min="${MIN_WRAP_COLUMNS}"
+                                        max="${MAX_WRAP_COLUMNS}"
+                                        step="1"
+                                        value="${DEFAULT_WRAP_COLUMNS}"
+                                    >
+                                </label>
+                            </div>
+                            <div class="note-format-toggles">
+                                <label class="note-format-default">
+                                    <input type="checkbox" name="noteMarkdown">
+                                    Markdown 模式
+                                </label>
+                                <label class="note-format-default">
+                                    <input type="checkbox" name="noteFormatDefault">
+                                    设为默认排版
+                                </label>
+                            </div>
+                            <div id="noteFormatPreview" class="note-format-preview hidden"></div>
+
                             <div class="action-grid compact">
                                 <button type="button" class="cartoon-button note-mini-btn" data-action="note-camera">拍照附图</button>
                                 <button type="button" class="cartoon-button note-mini-btn" data-action="note-pick-photo">相册附图</button>
                                 <label class="upload-button cartoon-button note-mini-btn">
                                     上传图片
-                                    <input id="noteImageInput" type="file" accept="image/*" hidden>
+                                    <input id="noteImageInput" type="file" accept="image/*" multiple hidden>
                                 </label>
-                                <button type="button" class="cartoon-button note-mini-btn" data-action="clear-note-image">清除附图</button>
+                                <button type="button" class="cartoon-button note-mini-btn" data-action="clear-note-images">清除附图</button>
                             </div>
 
-                            <div id="noteDraftImage" class="draft-image hidden"></div>
-                            <button type="submit" class="cartoon-button note-save-btn">保存笔记</button>
+                            <div id="noteDraftGallery" class="draft-image hidden"></div>
+                            <button type="submit" id="noteSaveButton" class="cartoon-button note-save-btn">保存笔记</button>
                         </form>
                     </section>
 
@@ -176,10 +322,15 @@ export function getToolboxShell() {
                     <section class="sketch-card">
                         <h2 class="section-title">\u63d0\u9192\u529f\u80fd</h2>
                         <form id="reminderForm" class="stack-form">
+                            <label>
+                                \u5feb\u901f\u8f93\u5165
+                                <input type="text" id="reminderQuickInput" name="reminderQuickText" maxlength="100" autocomplete="off" placeholder="\u4f8b\u5982\uff1a\u660e\u5929\u4e0b\u53483\u70b9\u5f00\u4f1a\u3001\u6bcf\u5468\u4e00\u4e09\u4e94\u65e9\u4e0a8\u70b9\u8dd1\u6b65">
+                            </label>
                             <label>
                                 \u63d0\u9192\u5185\u5bb9
                                 <input type="text" name="reminderTitle" maxlength="60" required placeholder="\u4f8b\u5982\uff1a17:00 \u63d0\u4ea4\u65e5\u62a5">
                             </label>
+                            <div id="reminderNoteLink" class="reminder-note-link hidden"></div>
                             <label>
                                 \u63d0\u9192\u65f6\u95f4
                                 <div id="reminderAtOnceField" class="reminder-time-mode-field">
@@ -234,6 +385,7 @@ export function getToolboxShell() {
                                     <option value="weekly">\u6307\u5b9a\u661f\u671f\u51e0</option>
                                     <option value="monthly">\u6bcf\u6708</option>
                                     <option value="yearly">\u6bcf\u5e74</option>
+                                    <option value="custom">\u81ea\u5b9a\u4e49\u89c4\u5219</option>
                                 </select>
                             </label>
                             <div id="reminderWeekdayField" class="reminder-weekday-field hidden">
@@ -269,8 +421,48 @@ export function getToolboxShell() {
                                     </label>
                                 </div>
                             </div>
+                            <div id="reminderRuleField" class="reminder-rule-field hidden">
+                                <div class="reminder-rule-row">
+                                    <span>\u6bcf</span>
+                                    <input type="number" id="reminderRuleInterval" name="ruleInterval" min="1" max="99" value="1">
+                                    <select id="reminderRuleFreq" name="ruleFreq">
+                                        <option value="DAILY">\u5929</option>
+                                        <option value="WEEKLY">\u5468</option>
+                                        <option value="MONTHLY" selected>\u4e2a\u6708</option>
+                                        <option value="YEARLY">\u5e74</option>
+                                    </select>
+                                </div>
+                                <div id="reminderRuleDayRow" class="reminder-rule-row">
+                                    <select id="reminderRuleDayMode" name="ruleDayMode">
+                                        <option value="start">\u6309\u5f00\u59cb\u65e5\u671f</option>
+                                        <option value="monthday">\u6307\u5b9a\u65e5\u671f</option>
+                                        <option value="weekday">\u6307\u5b9a\u7b2c\u51e0\u4e2a\u661f\u671f</option>
+                                    </select>
+                                    <select id="reminderRuleMonthDay" name="ruleMonthDay" class="hidden">
+                                        ${Array.from({ length: 31 }, (_item, index) => `<option value="${index + 1}">${index + 1}\u65e5</option>`).join('')}
+                                        <option value="-1">\u6700\u540e\u4e00\u5929</option>
+                                    </select>
+                                    <select id="reminderRuleOrdinal" name="ruleOrdinal" class="hidden">
+                                        ${[1, 2, 3, 4].map(ordinal => `<option value="${ordinal}">\u7b2c${ordinal}\u4e2a</option>`).join('')}
+                                        <option value="-1">\u6700\u540e\u4e00\u4e2a</option>
+                                    </select>
+                                    <select id="reminderRuleWeekday" name="ruleWeekday" class="hidden">
+                                        ${RULE_WEEKDAY_OPTIONS.map(item => `<option value="${item.code}">${item.label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="reminder-rule-row">
+                                    <select id="reminderRuleEnd" name="ruleEnd">
+                                        <option value="never">\u6c38\u4e0d\u7ed3\u675f</option>
+                                        <option value="until">\u622a\u6b62\u65e5\u671f</option>
+                                        <option value="count">\u91cd\u590d\u6b21\u6570</option>
+                                    </select>
+                                    <input type="date" id="reminderRuleUntil" name="ruleUntil" class="hidden">
+                                    <input type="number" id="reminderRuleCount" name="ruleCount" min="1" max="999" value="10" class="hidden">
+                                </div>
+                            </div>
                             <p id="reminderRepeatHint" class="reminder-repeat-hint">\u5f53\u524d\uff1a\u4ec5\u4e00\u6b21</p>
-                            <button type="submit" class="cartoon-button">\u521b\u5efa\u63d0\u9192</button>
+                            <button type="submit" id="reminderSubmitButton" class="cartoon-button">\u521b\u5efa\u63d0\u9192</button>
+                            <button type="button" id="reminderCancelEdit" class="copy-btn hidden" data-action="cancel-reminder-edit">\u53d6\u6d88\u7f16\u8f91</button>
                         </form>
                     </section>
 
@@ -278,6 +470,14 @@ export function getToolboxShell() {
                         <h2 class="section-title">\u63d0\u9192\u5217\u8868</h2>
                         <div id="remindersPanel" class="panel-content"></div>
                     </section>
+
+                    <section class="sketch-card">
+                        <div class="notes-section-head">
+                            <h2 class="section-title">\u63d0\u9192\u8bb0\u5f55</h2>
+                            <button type="button" id="reminderHistoryToggle" class="copy-btn" data-action="toggle-reminder-history">\u5c55\u5f00</button>
+                        </div>
+                        <div id="reminderHistoryPanel" class="panel-content hidden"></div>
+                    </section>
                 </section>
 
                 <section class="view-panel" data-view-panel="scan">
@@ -299,6 +499,30 @@ export function getToolboxShell() {
             </nav>
         </div>
 
+        <div id="imageViewer" class="image-viewer hidden" role="dialog" aria-modal="true" aria-label="查看图片">
+            <div class="image-viewer-stage">
+                <img class="image-viewer-img" alt="">
+            </div>
+            <div class="image-viewer-bar">
+                <button type="button" class="image-viewer-btn" data-viewer-action="prev" aria-label="上一张">‹</button>
+                <span class="image-viewer-counter"></span>
+                <button type="button" class="image-viewer-btn" data-viewer-action="next" aria-label="下一张">›</button>
+                <button type="button" class="image-viewer-btn" data-viewer-action="close" aria-label="关闭">×</button>
+            </div>
+        </div>
+
+        <div id="noteExportSheet" class="export-sheet hidden" role="dialog" aria-modal="true" aria-labelledby="noteExportTitle">
+            <div class="export-sheet-card sketch-card">
+                <h3 id="noteExportTitle" class="export-sheet-title">导出笔记</h3>
+                <div class="export-sheet-options">
+                    ${NOTE_EXPORT_FORMATS.map(format => `
+                        <button type="button" class="cartoon-button" data-action="run-note-export" data-format="${format.id}">${format.label}</button>
+                    `).join('')}
+                </div>
+                <button type="button" class="copy-btn" data-action="close-note-export">取消</button>
+            </div>
+        </div>
+
         <div id="toast" class="toast"></div>
     `;
 }
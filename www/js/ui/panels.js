@@ -1,4 +1,8 @@
-﻿import { escapeHtml, formatChinaDateTime, formatDateTime, formatRelativeTime } from '../core/dom.js';
+﻿import { escapeHtml, formatBytes, formatChinaDateTime, formatDateTime, formatRelativeTime } from '../core/dom.js';
+import { diffLines } from '../core/diff.js';
+import { renderMarkdown, renderChecklistItem, stripMarkdown } from '../core/markdown.js';
+import { parseChecklist, getChecklistProgress, stripChecklistMarkers } from '../services/note-checklist.js';
+import { SNOOZE_MINUTE_OPTIONS, getReminderRecurrenceRule, describeRecurrenceRule } from '../services/reminder-service.js';
 
 function renderInfoRow(label, value, icon = '') {
     return `
@@ -9,8 +13,17 @@ function renderInfoRow(label, value, icon = '') {
     `;
 }
 
-function getNotePreview(note) {
-    const text = String(note?.content || '')
+function findFirstMatchIndex(text, terms) {
+    const lowered = text.toLowerCase();
+    return terms.reduce((first, term) => {
+        const index = lowered.indexOf(term);
+        return index >= 0 && (first < 0 || index < first) ? index : first;
+    }, -1);
+}
+
+function getNotePreview(note, highlightTerms = []) {
+    const content = stripChecklistMarkers(note?.content);
+    const text = (note?.markdown ? stripMarkdown(content) : content)
         .replace(/\s+/g, ' ')
         .trim();
 
@@ -18,11 +31,18 @@ function getNotePreview(note) {
         if (text.length <= 52) {
             return text;
         }
+
+        const matchIndex = findFirstMatchIndex(text, highlightTerms);
+        if (matchIndex > 36) {
+            const start = Math.min(matchIndex - 12, text.length - 52);
+            const snippet = text.slice(start, start + 52);
+            return start + 52 < text.length ? `...${snippet}...` : `...${snippet}`;
+        }
         return `${text.slice(0, 52)}...`;
     }
 
-    if (note?.imageData) {
-        return '图片笔记（点击查看详情）';
+    if (note?.attachments?.length > 0) {
+        return `图片笔记（${note.attachments.length} 张，点击查看详情）`;
     }
 
     return '暂无正文内容';
@@ -63,18 +83,24 @@ function getReminderRepeatLabel(reminder) {
         return `\u6bcf\u5468 ${label}`;
     }
 
-    if (repeatType === 'monthly') {
-        return '\u6bcf\u6708';
-    }
-
-    if (repeatType === 'yearly') {
-        return '\u6bcf\u5e74';
+    if (repeatType === 'monthly' || repeatType === 'yearly' || repeatType === 'custom') {
+        return describeRecurrenceRule(getReminderRecurrenceRule(reminder));
     }
 
     return '\u4ec5\u4e00\u6b21';
 }
 
-export function renderDevicePanel(panelElement, snapshot) {
+function formatNotificationUsage(usage) {
+    if (!usage) {
+        return '统计中...';
+    }
+    if (usage.pending === null || usage.pending === undefined) {
+        return `不可用（上限 ${usage.budget}）`;
+    }
+    return `${usage.pending} / ${usage.budget}`;
+}
+
+export function renderDevicePanel(panelElement, snapshot, notificationUsage = null) {
     if (!panelElement) {
         return;
     }
@@ -96,10 +122,109 @@ export function renderDevicePanel(panelElement, snapshot) {
         renderInfoRow('虚拟设备', snapshot.isVirtual ? '是' : '否', '🧪'),
         renderInfoRow('电量', `${batteryLevel}% (${charging})`, '🔋'),
         renderInfoRow('网络状态', `${networkStatus} / ${snapshot.network?.typeText || '未知'}`, '📶'),
-        renderInfoRow('运行时长', snapshot.uptime, '⏱️')
+        renderInfoRow('运行时长', snapshot.uptime, '⏱️'),
+        renderInfoRow('待发送通知', formatNotificationUsage(notificationUsage), '🔔')
     ].join('');
 }
 
+export function renderStoragePanel(panelElement, report) {
+    if (!panelElement) {
+        return;
+    }
+
+    if (!report) {
+        panelElement.innerHTML = '<p class="empty-text">正在统计存储占用...</p>';
+        return;
+    }
+
+    const collectionRows = report.collections
+        .map(item => renderInfoRow(item.label, `${formatBytes(item.bytes)}（${item.count} 条）`, '🗂️'))
+        .join('');
+    const deviceRow = report.device?.quota
+        ? renderInfoRow('设备配额', `${formatBytes(report.device.usage)} / ${formatBytes(report.device.quota)}`, '💾')
+        : '';
+
+    const largestHtml = report.largestNotes.length > 0
+        ? report.largestNotes
+            .map(item => `
+                <div class="storage-note-item">
+                    <button class="storage-note-title" data-action="open-note" data-note-id="${escapeHtml(item.id)}">${escapeHtml(item.title)}</button>
+                    <span class="storage-note-size">${escapeHtml(formatBytes(item.bytes))}</span>
+                    <button class="copy-btn" data-action="delete-note" data-note-id="${escapeHtml(item.id)}">删除</button>
+                </div>
+            `)
+            .join('')
+        : '<p class="empty-text">没有带图片的笔记。</p>';
+
+    panelElement.innerHTML = `
+        ${collectionRows}
+        ${renderInfoRow('图片附件', `${formatBytes(report.blobBytes)}（${report.blobCount} 张）`, '🖼️')}
+        ${renderInfoRow('合计', formatBytes(report.totalBytes), '📦')}
+        ${deviceRow}
+        <h3 class="storage-subtitle">图片占用最大的笔记</h3>
+        ${largestHtml}
+    `;
+}
+
+export function renderBackupPanel(panelElement, preview) {
+    if (!panelElement) {
+        return;
+    }
+
+    if (!preview) {
+        panelElement.innerHTML = '<p class="empty-text">导出的备份包含全部笔记（含图片）和提醒，重装应用前请先导出。</p>';
+        return;
+    }
+
+    const rows = preview.collections
+        .map(item => renderInfoRow(item.label, `备份 ${item.incoming} 条 / 当前 ${item.existing} 条`, '🗂️'))
+        .join('');
+
+    panelElement.innerHTML = `
+        ${renderInfoRow('备份时间', formatDateTime(preview.createdAt), '🕒')}
+        ${rows}
+        ${renderInfoRow('图片附件', `${preview.blobCount} 张`, '🖼️')}
+        <p class="backup-hint">合并：保留现有数据，同一条目以较新的为准；覆盖：清空现有数据后导入。</p>
+        <div class="panel-actions backup-actions">
+            <button class="copy-btn" data-action="cancel-restore">取消</button>
+            <button class="copy-btn" data-action="restore-backup" data-mode="merge">合并导入</button>
+            <button class="copy-btn" data-action="restore-backup" data-mode="replace">覆盖导入</button>
+        </div>
+    `;
+}
+
+export function renderTrashPanel(panelElement, entries, { getTitle, getExpiresAt }) {
+    if (!panelElement) {
+        return;
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        panelElement.innerHTML = '<p class="empty-text">回收站是空的。删除的笔记和提醒会在这里保留一段时间。</p>';
+        return;
+    }
+
+    panelElement.innerHTML = entries
+        .map(entry => {
+            const expiresAt = getExpiresAt(entry);
+            const typeLabel = entry.type === 'reminder' ? '提醒' : '笔记';
+            return `
+                <div class="trash-item">
+                    <div class="trash-main">
+                        <div class="trash-title"><span class="trash-type">${typeLabel}</span>${escapeHtml(getTitle(entry))}</div>
+                        <div class="trash-meta">
+                            删除于 ${escapeHtml(formatRelativeTime(entry.deletedAt))}${expiresAt ? `，将于 ${escapeHtml(formatDateTime(expiresAt))} 自动清除` : ''}
+                        </div>
+                    </div>
+                    <div class="trash-actions">
+                        <button class="copy-btn" data-action="restore-trash-entry" data-entry-id="${escapeHtml(entry.id)}">还原</button>
+                        <button class="copy-btn" data-action="purge-trash-entry" data-entry-id="${escapeHtml(entry.id)}">彻底删除</button>
+                    </div>
+                </div>
+            `;
+        })
+        .join('');
+}
+
 export function renderQrPanel(panelElement, qrResult, qrExplanation) {
     if (!panelElement) {
         return;
@@ -125,12 +250,31 @@ export function renderQrPanel(panelElement, qrResult, qrExplanation) {
     `;
 }
 
-export function renderNoteDraftImage(panelElement, imageData) {
+export function renderNoteTemplateOptions(selectElement, templates, selectedId = '') {
+    if (!selectElement) {
+        return;
+    }
+
+    const renderOptions = list => list
+        .map(template => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`)
+        .join('');
+    const builtins = templates.filter(template => template.builtin);
+    const custom = templates.filter(template => !template.builtin);
+
+    selectElement.innerHTML = `
+        <option value="">不使用模板</option>
+        <optgroup label="内置模板">${renderOptions(builtins)}</optgroup>
+        ${custom.length > 0 ? `<optgroup label="我的模板">${renderOptions(custom)}</optgroup>` : ''}
+    `;
+    selectElement.value = templates.some(template => template.id === selectedId) ? selectedId : '';
+}
+
+export function renderNoteDraftBanner(panelElement, draftInfo) {
     if (!panelElement) {
         return;
     }
 
-    if (!imageData) {
+    if (!draftInfo) {
         panelElement.classList.add('hidden');
         panelElement.innerHTML = '';
         return;
@@ -138,35 +282,419 @@ export function renderNoteDraftImage(panelElement, imageData) {
 
     panelElement.classList.remove('hidden');
     panelElement.innerHTML = `
-        <p class="draft-label">附图预览</p>
-        <img src="${escapeHtml(imageData)}" alt="Draft note image">
+        <p class="note-draft-text">发现 ${escapeHtml(formatDateTime(draftInfo.savedAt))} 自动保存的草稿「${escapeHtml(draftInfo.title.trim() || '未命名笔记')}」，处理前新的改动不会自动保存。</p>
+        <div class="note-draft-actions">
+            <button type="button" class="copy-btn" data-action="restore-note-draft">恢复草稿</button>
+            <button type="button" class="copy-btn" data-action="discard-note-draft">丢弃</button>
+        </div>
     `;
 }
 
-export function renderNotesPanel(panelElement, notes) {
+export function renderNoteDraftGallery(panelElement, attachments) {
     if (!panelElement) {
         return;
     }
 
-    if (!Array.isArray(notes) || notes.length === 0) {
-        panelElement.innerHTML = '<p class="empty-text">还没有笔记，点击右侧 + 新增第一条吧。</p>';
+    const list = Array.isArray(attachments) ? attachments : [];
+    if (list.length === 0) {
+        panelElement.classList.add('hidden');
+        panelElement.innerHTML = '';
         return;
     }
 
-    panelElement.innerHTML = notes
-        .map(note => `
-            <article class="note-list-item" data-action="view-note-detail" data-note-id="${escapeHtml(note.id)}">
-                <div class="note-list-head">
-                    <h3>${escapeHtml(note.title)}</h3>
-                    <span class="note-list-time">${escapeHtml(formatDateTime(note.updatedAt))}</span>
+    const items = list
+        .map((attachment, index) => `
+            <div class="draft-gallery-item">
+                <img src="${escapeHtml(attachment.thumbUrl || attachment.url)}" alt="附图 ${index + 1}">
+                <div class="draft-gallery-actions">
+                    <button type="button" class="draft-gallery-btn" data-action="move-note-attachment" data-index="${index}" data-direction="-1" ${index === 0 ? 'disabled' : ''} aria-label="前移">‹</button>
+                    <button type="button" class="draft-gallery-btn" data-action="remove-note-attachment" data-index="${index}" aria-label="移除">×</button>
+                    <button type="button" class="draft-gallery-btn" data-action="move-note-attachment" data-index="${index}" data-direction="1" ${index === list.length - 1 ? 'disabled' : ''} aria-label="后移">›</button>
                 </div>
-                <p class="note-list-preview">${escapeHtml(getNotePreview(note))}</p>
-            </article>
+            </div>
         `)
         .join('');
+
+    panelElement.classList.remove('hidden');
+    panelElement.innerHTML = `
+        <p class="draft-label">附图（${list.length} 张）</p>
+        <div class="draft-gallery">${items}</div>
+    `;
+}
+
+function highlightText(text, terms) {
+    const lowered = text.toLowerCase();
+    const ranges = [];
+    terms.filter(Boolean).forEach(term => {
+        let index = lowered.indexOf(term);
+        while (index >= 0) {
+            ranges.push([index, index + term.length]);
+            index = lowered.indexOf(term, index + term.length);
+        }
+    });
+
+    if (ranges.length === 0) {
+        return escapeHtml(text);
+    }
+
+    const merged = ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((list, range) => {
+            const last = list[list.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                list.push([...range]);
+            }
+            return list;
+        }, []);
+
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+        html += `${escapeHtml(text.slice(cursor, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        cursor = end;
+    });
+    return html + escapeHtml(text.slice(cursor));
 }
 
-export function renderNoteDetailPanel(panelElement, note) {
+function renderNoteTagLine(note) {
+    const tags = Array.isArray(note.tags) ? note.tags : [];
+    if (tags.length === 0 && !note.folder) {
+        return '';
+    }
+
+    return `
+        <div class="note-list-tags">
+            ${note.folder ? `<span class="note-folder-label">📁 ${escapeHtml(note.folder)}</span>` : ''}
+            ${tags.map(tag => `<span class="note-tag">#${escapeHtml(tag)}</span>`).join('')}
+        </div>
+    `;
+}
+
+export function renderNoteFilterBar(panelElement, { tags = [], folders = [], activeTag = '', activeFolder = '', totalCount = 0 } = {}) {
+    if (!panelElement) {
+        return;
+    }
+
+    if (tags.length === 0 && folders.length === 0) {
+        panelElement.classList.add('hidden');
+        panelElement.innerHTML = '';
+        return;
+    }
+
+    const folderSelect = folders.length > 0
+        ? `
+            <select id="noteFolderFilter" class="note-folder-filter" aria-label="按文件夹筛选">
+                <option value="">全部文件夹</option>
+                ${folders.map(folder => `
+                    <option value="${escapeHtml(folder.name)}" ${folder.name === activeFolder ? 'selected' : ''}>
+                        ${escapeHtml(folder.name)}（${folder.count}）
+                    </option>
+                `).join('')}
+            </select>
+        `
+        : '';
+
+    const tagChips = tags
+        .map(tag => {
+            const active = tag.name.toLowerCase() === activeTag.toLowerCase();
+            return `
+                <button type="button" class="tag-chip ${active ? 'active' : ''}" data-action="filter-note-tag" data-tag="${escapeHtml(tag.name)}">
+                    #${escapeHtml(tag.name)} <span class="tag-chip-count">${tag.count}</span>
+                </button>
+            `;
+        })
+        .join('');
+
+    panelElement.classList.remove('hidden');
+    panelElement.innerHTML = `
+        ${folderSelect}
+        <div class="tag-chip-row">
+            <button type="button" class="tag-chip ${activeTag ? '' : 'active'}" data-action="filter-note-tag" data-tag="">
+                全部 <span class="tag-chip-count">${totalCount}</span>
+            </button>
+            ${tagChips}
+        </div>
+        ${activeTag ? `
+            <button type="button" class="copy-btn" data-action="rename-note-tag" data-tag="${escapeHtml(activeTag)}">
+                重命名 / 合并 #${escapeHtml(activeTag)}
+            </button>
+        ` : ''}
+    `;
+}
+
+export function renderNoteTagSuggestions(panelElement, suggestions) {
+    if (!panelElement) {
+        return;
+    }
+
+    const list = Array.isArray(suggestions) ? suggestions : [];
+    panelElement.classList.toggle('hidden', list.length === 0);
+    panelElement.innerHTML = list.length > 0
+        ? `
+            <span class="note-tag-suggestions-label">识别到话题标签：</span>
+            ${list.map(tag => `
+                <button type="button" class="tag-chip" data-action="add-suggested-tag" data-tag="${escapeHtml(tag)}">+ #${escapeHtml(tag)}</button>
+            `).join('')}
+        `
+        : '';
+}
+
+function renderNoteListThumb(note) {
+    const attachments = Array.isArray(note.attachments) ? note.attachments : [];
+    const cover = attachments[0];
+    if (!cover || !(cover.thumbUrl || cover.url)) {
+        return '';
+    }
+
+    return `
+        <div class="note-list-thumb">
+            <img src="${escapeHtml(cover.thumbUrl || cover.url)}" alt="" loading="lazy">
+            ${attachments.length > 1 ? `<span class="note-thumb-count">${attachments.length}</span>` : ''}
+        </div>
+    `;
+}
+
+function renderChecklistProgress(progress) {
+    return progress.total > 0
+        ? `<span class="note-check-progress${progress.done === progress.total ? ' complete' : ''}">${progress.done}/${progress.total} 完成</span>`
+        : '';
+}
+
+function renderNoteListItems(notes, highlightTerms) {
+    return notes
+        .map(note => {
+            const thumbHtml = renderNoteListThumb(note);
+            const progressHtml = renderChecklistProgress(getChecklistProgress(note.content));
+            return `
+                <article class="note-list-item ${note.pinned ? 'pinned' : ''} ${thumbHtml ? 'has-thumb' : ''}" data-action="view-note-detail" data-note-id="${escapeHtml(note.id)}">
+                    <div class="note-list-main">
+                        <div class="note-list-head">
+                            <h3>${note.pinned ? '<span class="note-pin-mark" aria-label="已置顶">📌</span>' : ''}${highlightText(note.title, highlightTerms)}</h3>
+                            <span class="note-list-time">${escapeHtml(formatDateTime(note.updatedAt))}</span>
+                        </div>
+                        <p class="note-list-preview">${progressHtml}${highlightText(getNotePreview(note, highlightTerms), highlightTerms)}</p>
+                        ${renderNoteTagLine(note)}
+                    </div>
+                    ${thumbHtml}
+                </article>
+            `;
+        })
+        .join('');
+}
+
+export function renderNotesPanel(panelElement, notes, { highlightTerms = [], emptyText = '', groupPinned = false } = {}) {
+    if (!panelElement) {
+        return;
+    }
+
+    if (!Array.isArray(notes) || notes.length === 0) {
+        panelElement.innerHTML = `<p class="empty-text">${escapeHtml(emptyText || '还没有笔记，点击右侧 + 新增第一条吧。')}</p>`;
+        return;
+    }
+
+    const pinned = groupPinned ? notes.filter(note => note.pinned) : [];
+    if (pinned.length === 0) {
+        panelElement.innerHTML = renderNoteListItems(notes, highlightTerms);
+        return;
+    }
+
+    const others = notes.filter(note => !note.pinned);
+    panelElement.innerHTML = `
+        <h3 class="note-group-title">置顶</h3>
+        ${renderNoteListItems(pinned, highlightTerms)}
+        ${others.length > 0 ? `<h3 class="note-group-title">其他笔记</h3>${renderNoteListItems(others, highlightTerms)}` : ''}
+    `;
+}
+
+function renderDiffLines(entries, context = 2) {
+    const visible = entries.map((entry, index) => entry.type !== 'equal'
+        || entries.slice(Math.max(0, index - context), index + context + 1).some(item => item.type !== 'equal'));
+
+    const html = [];
+    let hiddenCount = 0;
+    entries.forEach((entry, index) => {
+        if (!visible[index]) {
+            hiddenCount += 1;
+            return;
+        }
+
+        if (hiddenCount > 0) {
+            html.push(`<div class="diff-line diff-skip">… ${hiddenCount} 行未变 …</div>`);
+            hiddenCount = 0;
+        }
+
+        const marker = entry.type === 'added' ? '+' : (entry.type === 'removed' ? '-' : ' ');
+        html.push(`<div class="diff-line diff-${entry.type}">${marker} ${escapeHtml(entry.text) || '&nbsp;'}</div>`);
+    });
+
+    if (hiddenCount > 0) {
+        html.push(`<div class="diff-line diff-skip">… ${hiddenCount} 行未变 …</div>`);
+    }
+
+    return html.join('');
+}
+
+function renderNoteRevisionDiff(revision, note) {
+    const entries = diffLines(revision.content, note.content);
+    const changed = entries.some(entry => entry.type !== 'equal');
+    const titleHtml = revision.title !== note.title
+        ? `<div class="diff-line diff-removed">- 标题：${escapeHtml(revision.title)}</div><div class="diff-line diff-added">+ 标题：${escapeHtml(note.title)}</div>`
+        : '';
+    const revisionImageIds = revision.attachments.map(attachment => attachment.id).join('\n');
+    const noteImageIds = note.attachments.map(attachment => attachment.id).join('\n');
+    const imageHtml = revisionImageIds !== noteImageIds
+        ? `<div class="diff-line diff-skip">附图有变化（${revision.attachments.length} 张 → ${note.attachments.length} 张）</div>`
+        : '';
+
+    return `
+        <div class="note-diff">
+            <p class="note-diff-legend">该版本 → 当前版本</p>
+            ${titleHtml}
+            ${imageHtml}
+            ${changed ? renderDiffLines(entries) : '<div class="diff-line diff-skip">正文没有变化</div>'}
+        </div>
+    `;
+}
+
+function renderNoteRevisions(note, revisions, activeRevisionId) {
+    if (!Array.isArray(revisions) || revisions.length === 0) {
+        return '';
+    }
+
+    const items = revisions
+        .map(revision => {
+            const active = revision.id === activeRevisionId;
+            return `
+                <div class="note-revision-item${active ? ' active' : ''}">
+                    <div class="note-revision-main">
+                        <span class="note-revision-time">${escapeHtml(formatDateTime(revision.savedAt))}</span>
+                        <span class="note-revision-title">${escapeHtml(revision.title)}</span>
+                    </div>
+                    <button class="copy-btn" data-action="toggle-note-diff" data-revision-id="${escapeHtml(revision.id)}">${active ? '收起' : '对比'}</button>
+                    <button class="copy-btn" data-action="restore-note-revision" data-note-id="${escapeHtml(note.id)}" data-revision-id="${escapeHtml(revision.id)}">恢复</button>
+                </div>
+                ${active ? renderNoteRevisionDiff(revision, note) : ''}
+            `;
+        })
+        .join('');
+
+    return `
+        <section class="note-revisions">
+            <h4 class="note-revisions-title">历史版本（${revisions.length}）</h4>
+            ${items}
+        </section>
+    `;
+}
+
+function renderPlainSegment(lines) {
+    const text = lines.join('\n').replace(/^\n+|\s+$/g, '');
+    return text ? `<pre class="note-plain-segment">${escapeHtml(text)}</pre>` : '';
+}
+
+function renderPlainChecklist(lines, startIndex, checklist, sinkCompleted) {
+    const groups = [];
+    let index = startIndex;
+
+    while (index < lines.length) {
+        const item = checklist.get(index);
+        if (item) {
+            const entry = { item, labelLines: [item.text] };
+            if (groups.length === 0 || item.indent <= groups[0].head.item.indent) {
+                groups.push({ head: entry, children: [] });
+            } else {
+                groups[groups.length - 1].children.push(entry);
+            }
+        } else if (groups.length > 0 && /^\s+\S/.test(lines[index])) {
+            const group = groups[groups.length - 1];
+            const last = group.children[group.children.length - 1] || group.head;
+            last.labelLines.push(lines[index].trim());
+        } else {
+            break;
+        }
+        index += 1;
+    }
+
+    const ordered = sinkCompleted
+        ? [...groups.filter(group => !group.head.item.checked), ...groups.filter(group => group.head.item.checked)]
+        : groups;
+    const renderEntry = (entry, childHtml = '') => renderChecklistItem(
+        entry.item.index,
+        entry.item.checked,
+        entry.labelLines.map(line => escapeHtml(line)).join('<br>'),
+        childHtml
+    );
+
+    return {
+        html: `<ul class="note-checklist">${ordered.map(group => renderEntry(
+            group.head,
+            group.children.length > 0 ? `<ul class="note-checklist">${group.children.map(child => renderEntry(child)).join('')}</ul>` : ''
+        )).join('')}</ul>`,
+        nextIndex: index
+    };
+}
+
+function renderPlainNoteBody(content, sinkCompleted) {
+    const checklist = new Map(parseChecklist(content).map(item => [item.lineIndex, item]));
+    if (checklist.size === 0) {
+        return `<pre class="note-content note-detail-content">${escapeHtml(content.trim() || '(无正文内容)')}</pre>`;
+    }
+
+    const lines = content.split('\n');
+    const html = [];
+    let pending = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        if (!checklist.has(index)) {
+            pending.push(lines[index]);
+            index += 1;
+            continue;
+        }
+
+        html.push(renderPlainSegment(pending));
+        pending = [];
+        const rendered = renderPlainChecklist(lines, index, checklist, sinkCompleted);
+        html.push(rendered.html);
+        index = rendered.nextIndex;
+    }
+    html.push(renderPlainSegment(pending));
+
+    return `<div class="note-content note-detail-content note-plain-body">${html.join('')}</div>`;
+}
+
+function renderChecklistBar(progress, sinkCompleted) {
+    if (progress.total === 0) {
+        return '';
+    }
+
+    return `
+        <div class="note-checklist-bar">
+            ${renderChecklistProgress(progress)}
+            <button type="button" class="copy-btn" data-action="toggle-checklist-sink">${sinkCompleted ? '按原顺序显示' : '已完成沉底'}</button>
+        </div>
+    `;
+}
+
+function renderLinkedReminders(reminders) {
+    if (!Array.isArray(reminders) || reminders.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="note-linked-reminders">
+            <p class="note-linked-title">关联提醒</p>
+            ${reminders.map(reminder => `
+                <button type="button" class="note-linked-reminder" data-action="switch-view" data-view="reminders">
+                    ⏰ ${escapeHtml(reminder.title)} · ${escapeHtml(formatChinaDateTime(reminder.dueAt))}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+export function renderNoteDetailPanel(panelElement, note, { revisions = [], activeRevisionId = '', sinkCompleted = false, reminders = [] } = {}) {
     if (!panelElement) {
         return;
     }
@@ -176,26 +704,125 @@ export function renderNoteDetailPanel(panelElement, note) {
         return;
     }
 
-    const imageHtml = note.imageData
-        ? `<img class="note-image" src="${escapeHtml(note.imageData)}" alt="note image">`
+    const attachments = Array.isArray(note.attachments) ? note.attachments : [];
+    const imageHtml = attachments.length > 0
+        ? `
+            <div class="note-gallery${attachments.length === 1 ? ' single' : ''}">
+                ${attachments.map((attachment, index) => `
+                    <button type="button" class="note-gallery-item" data-action="open-image-viewer" data-note-id="${escapeHtml(note.id)}" data-index="${index}">
+                        <img src="${escapeHtml(attachments.length === 1 ? attachment.url : (attachment.thumbUrl || attachment.url))}" alt="附图 ${index + 1}" loading="lazy">
+                    </button>
+                `).join('')}
+            </div>
+        `
+        : '';
+
+    const tags = Array.isArray(note.tags) ? note.tags : [];
+    const tagsHtml = tags.length > 0 || note.folder
+        ? `
+            <div class="note-detail-tags">
+                ${note.folder ? `<span class="note-folder-label">📁 ${escapeHtml(note.folder)}</span>` : ''}
+                ${tags.map(tag => `
+                    <button type="button" class="tag-chip" data-action="filter-note-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+                `).join('')}
+            </div>
+        `
         : '';
 
-    const bodyText = String(note.content || '').trim() || '(无正文内容)';
+    const bodyHtml = note.markdown && note.content.trim()
+        ? `<div class="note-content note-detail-content markdown-body">${renderMarkdown(note.content, { sinkCompleted })}</div>`
+        : renderPlainNoteBody(String(note.content || ''), sinkCompleted);
 
     panelElement.innerHTML = `
         <article class="note-card note-detail-card">
             <div class="note-header">
                 <h3>${escapeHtml(note.title)}</h3>
-                <button class="copy-btn" data-action="delete-note" data-note-id="${escapeHtml(note.id)}">删除笔记</button>
+                <div class="note-header-actions">
+                    ${note.archived ? '' : `<button class="copy-btn" data-action="toggle-note-pin" data-note-id="${escapeHtml(note.id)}">${note.pinned ? '取消置顶' : '置顶'}</button>`}
+                    <button class="copy-btn" data-action="toggle-note-archive" data-note-id="${escapeHtml(note.id)}">${note.archived ? '取消归档' : '归档'}</button>
+                    <button class="copy-btn" data-action="edit-note" data-note-id="${escapeHtml(note.id)}">编辑</button>
+                    <button class="copy-btn" data-action="remind-note" data-note-id="${escapeHtml(note.id)}">设置提醒</button>
+                    <button class="copy-btn" data-action="export-note" data-note-id="${escapeHtml(note.id)}">导出</button>
+                    <button class="copy-btn" data-action="delete-note" data-note-id="${escapeHtml(note.id)}">删除笔记</button>
+                </div>
             </div>
-            <div class="note-meta">更新于 ${escapeHtml(formatDateTime(note.updatedAt))}</div>
-            <pre class="note-content note-detail-content">${escapeHtml(bodyText)}</pre>
+            <div class="note-meta">更新于 ${escapeHtml(formatDateTime(note.updatedAt))}${note.archived ? ' · 已归档' : ''}</div>
+            ${tagsHtml}
+            ${renderLinkedReminders(reminders)}
+            ${renderChecklistBar(getChecklistProgress(note.content), sinkCompleted)}
+            ${bodyHtml}
             ${imageHtml}
+            ${renderNoteRevisions(note, revisions, activeRevisionId)}
         </article>
     `;
 }
 
-export function renderRemindersPanel(panelElement, reminders) {
+export function renderReminderNoteLink(element, note) {
+    if (!element) {
+        return;
+    }
+
+    element.classList.toggle('hidden', !note);
+    element.innerHTML = note
+        ? `
+            <span class="reminder-note-link-text">\u5173\u8054\u7b14\u8bb0\uff1a${escapeHtml(note.title)}</span>
+            <button type="button" class="copy-btn" data-action="clear-reminder-note-link" aria-label="\u53d6\u6d88\u5173\u8054">\u00d7</button>
+        `
+        : '';
+}
+
+function renderReminderNoteButton(reminder, noteIds) {
+    if (!reminder.noteId) {
+        return '';
+    }
+
+    return noteIds.has(reminder.noteId)
+        ? `<button class="copy-btn" data-action="open-note" data-note-id="${escapeHtml(reminder.noteId)}">\u67e5\u770b\u7b14\u8bb0</button>`
+        : '<p class="reminder-tag reminder-note-missing">\u5173\u8054\u7b14\u8bb0\u5df2\u5220\u9664</p>';
+}
+
+function renderReminderStatus(reminder, status) {
+    if (status?.state === 'overdue') {
+        const label = reminder.repeatType === 'once' ? '\u5df2\u903e\u671f' : '\u672c\u6b21\u672a\u5b8c\u6210';
+        return `<p class="reminder-tag reminder-status-overdue">${label}\uff1a${escapeHtml(formatChinaDateTime(status.occurrenceAt))}</p>`;
+    }
+
+    if (status?.state === 'snoozed') {
+        return `<p class="reminder-tag reminder-status-snoozed">\u5df2\u63a8\u8fdf\u81f3 ${escapeHtml(formatChinaDateTime(reminder.snoozedUntil))}</p>`;
+    }
+
+    if (status?.state === 'completed') {
+        return '<p class="reminder-tag reminder-status-done">\u672c\u6b21\u5df2\u5b8c\u6210</p>';
+    }
+
+    return '';
+}
+
+function getReminderNotificationLabel(reminder) {
+    if (reminder.scheduled) {
+        return '\u7cfb\u7edf\u901a\u77e5\u5df2\u5b89\u6392';
+    }
+    return reminder.queued ? '\u4e34\u8fd1\u65f6\u5b89\u6392\u7cfb\u7edf\u901a\u77e5' : '\u4ec5\u672c\u5730\u8bb0\u5f55';
+}
+
+function renderReminderSnoozeRow(reminder, status) {
+    if (status?.state !== 'overdue' && status?.state !== 'snoozed') {
+        return '';
+    }
+
+    const reminderId = escapeHtml(reminder.id);
+    return `
+        <div class="reminder-snooze-row">
+            <span>\u7a0d\u540e\u63d0\u9192</span>
+            ${SNOOZE_MINUTE_OPTIONS.map(minutes => `
+                <button class="copy-btn" data-action="snooze-reminder" data-reminder-id="${reminderId}" data-minutes="${minutes}">${minutes} \u5206\u949f</button>
+            `).join('')}
+            <button class="copy-btn" data-action="snooze-reminder" data-reminder-id="${reminderId}" data-minutes="custom">\u81ea\u5b9a\u4e49</button>
+        </div>
+    `;
+}
+
+export function renderRemindersPanel(panelElement, reminders, { notes = [], editingReminderId = '', statuses = new Map() } = {}) {
     if (!panelElement) {
         return;
     }
@@ -205,18 +832,65 @@ export function renderRemindersPanel(panelElement, reminders) {
         return;
     }
 
+    const noteIds = new Set(notes.map(note => note.id));
     panelElement.innerHTML = reminders
-        .map(reminder => `
-            <article class="reminder-item">
-                <div class="reminder-main">
-                    <h3>${escapeHtml(reminder.title)}</h3>
-                    <p>\u4e0b\u6b21\uff1a${escapeHtml(formatChinaDateTime(reminder.dueAt))}\uff08${escapeHtml(formatRelativeTime(reminder.dueAt))}\uff09</p>
-                    <p class="reminder-tag reminder-repeat-tag">${escapeHtml(getReminderRepeatLabel(reminder))}</p>
-                    <p class="reminder-tag">${reminder.scheduled ? '\u7cfb\u7edf\u901a\u77e5\u5df2\u5b89\u6392' : '\u4ec5\u672c\u5730\u8bb0\u5f55'}</p>
-                </div>
-                <button class="copy-btn" data-action="delete-reminder" data-reminder-id="${escapeHtml(reminder.id)}">\u5220\u9664</button>
-            </article>
-        `)
+        .map(reminder => {
+            const status = statuses.get(reminder.id);
+            return `
+                <article class="reminder-item${reminder.id === editingReminderId ? ' editing' : ''}${status ? ` is-${status.state}` : ''}">
+                    <div class="reminder-main">
+                        <h3>${escapeHtml(reminder.title)}</h3>
+                        <p>\u4e0b\u6b21\uff1a${escapeHtml(formatChinaDateTime(reminder.dueAt))}\uff08${escapeHtml(formatRelativeTime(reminder.dueAt))}\uff09</p>
+                        ${renderReminderStatus(reminder, status)}
+                        <p class="reminder-tag reminder-repeat-tag">${escapeHtml(getReminderRepeatLabel(reminder))}</p>
+                        <p class="reminder-tag">${getReminderNotificationLabel(reminder)}</p>
+                        ${renderReminderSnoozeRow(reminder, status)}
+                    </div>
+                    <div class="reminder-actions">
+                        ${status?.state === 'completed' ? '' : `<button class="copy-btn" data-action="complete-reminder" data-reminder-id="${escapeHtml(reminder.id)}">\u5b8c\u6210</button>`}
+                        ${renderReminderNoteButton(reminder, noteIds)}
+                        <button class="copy-btn" data-action="edit-reminder" data-reminder-id="${escapeHtml(reminder.id)}">\u7f16\u8f91</button>
+                        <button class="copy-btn" data-action="delete-reminder" data-reminder-id="${escapeHtml(reminder.id)}">\u5220\u9664</button>
+                    </div>
+                </article>
+            `;
+        })
         .join('');
 }
 
+export function renderReminderHistoryPanel(panelElement, history) {
+    if (!panelElement) {
+        return;
+    }
+
+    const recurring = history?.recurring || [];
+    const finished = history?.finished || [];
+    if (recurring.length === 0 && finished.length === 0) {
+        panelElement.innerHTML = '<p class="empty-text">\u8fd8\u6ca1\u6709\u63d0\u9192\u8bb0\u5f55\u3002</p>';
+        return;
+    }
+
+    const recurringHtml = recurring.map(item => `
+        <article class="reminder-history-item">
+            <h3>${escapeHtml(item.reminder.title)}</h3>
+            <p class="reminder-streak">\u8fde\u7eed\u5b8c\u6210 ${item.streak} \u6b21 \u00b7 \u7d2f\u8ba1 ${item.total} \u6b21${item.snoozeCount > 0 ? ` \u00b7 \u63a8\u8fdf ${item.snoozeCount} \u6b21` : ''}</p>
+            <p>${item.lastCompletedAt ? `\u6700\u8fd1\u5b8c\u6210\uff1a${escapeHtml(formatChinaDateTime(item.lastCompletedAt))}` : '\u5c1a\u672a\u5b8c\u6210\u8fc7'}</p>
+        </article>
+    `).join('');
+
+    const finishedHtml = finished.map(reminder => `
+        <article class="reminder-history-item finished">
+            <div>
+                <h3>${escapeHtml(reminder.title)}</h3>
+                <p>\u5b8c\u6210\u4e8e ${escapeHtml(formatChinaDateTime(reminder.completedAt))}</p>
+            </div>
+            <button class="copy-btn" data-action="delete-reminder" data-reminder-id="${escapeHtml(reminder.id)}">\u5220\u9664</button>
+        </article>
+    `).join('');
+
+    panelElement.innerHTML = `
+        ${recurring.length > 0 ? `<h3 class="reminder-history-heading">\u5468\u671f\u63d0\u9192</h3>${recurringHtml}` : ''}
+        ${finished.length > 0 ? `<h3 class="reminder-history-heading">\u5df2\u5b8c\u6210\u7684\u5355\u6b21\u63d0\u9192</h3>${finishedHtml}` : ''}
+    `;
+}
+